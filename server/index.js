@@ -10,9 +10,12 @@ import streamRoutes from './routes/streams.js';
 import alertRoutes from './routes/alerts.js';
 import mlRoutes from './routes/ml.js';
 import pendingAlertRoutes from './routes/pending-alerts.js';
+import evidenceRoutes from './routes/evidence.js';
 
 // Import ML service
 import MLService from './services/mlService.js';
+import { FlowTrafficProvider } from './services/conditions/index.js';
+import { createEvidenceRecorderFromEnv } from './services/evidence/index.js';
 
 dotenv.config();
 
@@ -46,13 +49,27 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 console.log('Connected to Supabase');
 
 // Initialize ML Service
-const mlService = new MLService();
+const mlService = new MLService(undefined, { trafficProvider: new FlowTrafficProvider(supabase) });
 mlService.initialize().then(() => {
-  console.log('✅ ML Service initialized');
+  if (mlService.isModelLoaded()) {
+    console.log('✅ ML Service initialized');
+  } else {
+    console.error('❌ ML model failed to load:', mlService.getModelError());
+  }
 }).catch(err => {
   console.error('❌ ML Service initialization failed:', err);
 });
 
+// Evidence (key frames and clips) saved with pending alerts; expired sets are pruned hourly
+const evidence = createEvidenceRecorderFromEnv(process.env, supabase);
+const pruneEvidence = () => evidence.prune().then(removed => {
+  if (removed > 0) console.log(`🗑️ Pruned ${removed} expired evidence sets`);
+}).catch(error => {
+  console.error('❌ Evidence pruning failed:', error.message);
+});
+pruneEvidence();
+setInterval(pruneEvidence, 60 * 60 * 1000).unref();
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('🔌 Client connected:', socket.id);
@@ -61,6 +78,10 @@ io.on('connection', (socket) => {
     socket.join(`stream-${streamId}`);
     console.log(`📺 Client joined stream: ${streamId}`);
   });
+
+  socket.on('join-batch', (jobId) => {
+    socket.join(`batch-${jobId}`);
+  });
   
   socket.on('disconnect', () => {
     console.log('🔌 Client disconnected:', socket.id);
@@ -71,6 +92,7 @@ io.on('connection', (socket) => {
 app.use((req, res, next) => {
   req.io = io;
   req.mlService = mlService;
+  req.evidence = evidence;
   req.supabase = supabase;
   next();
 });
@@ -80,6 +102,7 @@ app.use('/api/streams', streamRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/pending-alerts', pendingAlertRoutes);
 app.use('/api/ml', mlRoutes);
+app.use('/api/evidence', evidenceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -88,7 +111,8 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    mlModelLoaded: mlService.isModelLoaded()
+    mlModelLoaded: mlService.isModelLoaded(),
+    mlModelError: mlService.getModelError()
   });
 });
 
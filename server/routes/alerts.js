@@ -1,4 +1,6 @@
 import express from 'express';
+import { renderAnnotatedFrame, frameFromDetectionData } from '../services/annotation.js';
+import { normalizeSeverityOverride, SeverityValidationError } from '../services/severityScorer.js';
 
 const router = express.Router();
 
@@ -46,6 +48,39 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Detections stored with the alert drawn as a JPEG, for the alert panel and exported reports
+router.get('/:id/annotated', async (req, res) => {
+  try {
+    const { data: alert, error } = await req.supabase
+      .from('alerts')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error) throw error;
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    if (!alert.detection_data?.boundingBoxes) {
+      return res.status(404).json({ error: 'Alert has no stored detections' });
+    }
+
+    // Drawn over the evidence key frame while it is kept, over a blank frame otherwise
+    const frame = frameFromDetectionData(alert.detection_data);
+    const image = alert.evidence ? await req.evidence.getKeyFrame(alert.evidence.id) : null;
+    const jpeg = await renderAnnotatedFrame({
+      ...frame,
+      image,
+      timestamp: frame.timestamp || alert.created_at,
+      location: frame.location || alert.location
+    });
+    res.set('Cache-Control', 'private, max-age=3600').type('image/jpeg').send(jpeg);
+  } catch (error) {
+    console.error('Error annotating alert:', error);
+    res.status(500).json({ error: 'Failed to annotate alert' });
+  }
+});
+
 // Update alert status
 router.put('/:id/status', async (req, res) => {
   try {
@@ -76,6 +111,60 @@ router.put('/:id/status', async (req, res) => {
   }
 });
 
+// Override an alert's severity; the scored severity, the reason and the reviewer are kept with it
+router.put('/:id/severity', async (req, res) => {
+  try {
+    const { severity, reason, overridden_by } = req.body;
+
+    if (!severity) {
+      return res.status(400).json({ error: 'Severity is required' });
+    }
+
+    const { data: current, error: fetchError } = await req.supabase
+      .from('alerts')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (!current) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const override = normalizeSeverityOverride({ severity, reason }, current.severity);
+    if (!override) {
+      return res.json(current);
+    }
+
+    const { data: alert, error } = await req.supabase
+      .from('alerts')
+      .update({
+        severity: override.severity,
+        severity_override: {
+          scored: current.severity_override?.scored || current.severity,
+          ...override,
+          by: overridden_by || 'system',
+          at: new Date().toISOString()
+        }
+      })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    req.io.emit('alert-status-updated', alert);
+
+    res.json(alert);
+  } catch (error) {
+    if (error instanceof SeverityValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error overriding alert severity:', error);
+    res.status(500).json({ error: 'Failed to override alert severity' });
+  }
+});
+
 // Send alert notification
 router.post('/:id/send', async (req, res) => {
   try {
@@ -0,0 +1,147 @@
+import express from 'express';
+import { EVIDENCE_ID_PATTERN } from '../services/evidence/index.js';
+import { authenticate, canViewOriginals, logEvidenceAccess } from '../services/evidence/access.js';
+
+const router = express.Router();
+
+// Evidence set of an alert: status (recording or complete), expiry and the clip's frames
+router.get('/:id', async (req, res) => {
+  try {
+    const manifest = EVIDENCE_ID_PATTERN.test(req.params.id) ? await req.evidence.getManifest(req.params.id) : null;
+    if (!manifest) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+
+    const base = `/api/evidence/${manifest.id}`;
+    res.json({
+      ...manifest,
+      keyFrameUrl: `${base}/key-frame`,
+      frames: manifest.frames.map(frame => ({ ...frame, url: `${base}/frames/${frame.index}` }))
+    });
+  } catch (error) {
+    console.error('Error fetching evidence:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence' });
+  }
+});
+
+// Redacted images never change once written, so browsers may keep them
+async function sendImage(res, load) {
+  const image = await load();
+  if (!image) {
+    return res.status(404).json({ error: 'Evidence frame not found' });
+  }
+  res.set('Cache-Control', 'private, max-age=86400').type('image/jpeg').send(image);
+}
+
+// Unredacted images are served only to roles in EVIDENCE_ORIGINALS_ROLES, never cached, and every
+// attempt is audit-logged first: an attempt that cannot be logged is refused
+async function sendOriginal(req, res, resource, load) {
+  const user = authenticate(req);
+  const outcome = !user ? 'unauthenticated' : canViewOriginals(user) ? 'granted' : 'denied';
+
+  try {
+    await logEvidenceAccess(req, { evidenceId: req.params.id, resource, user, outcome });
+  } catch (error) {
+    console.error('Error logging evidence access:', error);
+    return res.status(503).json({ error: 'Access to original evidence could not be audit-logged' });
+  }
+
+  if (outcome === 'unauthenticated') {
+    return res.status(401).json({ error: 'Sign in to view original evidence' });
+  }
+  if (outcome === 'denied') {
+    return res.status(403).json({ error: 'Your role may not view original evidence' });
+  }
+
+  const image = await load();
+  if (!image) {
+    return res.status(404).json({ error: 'Evidence frame not found' });
+  }
+  res.set('Cache-Control', 'no-store').type('image/jpeg').send(image);
+}
+
+function parseFrameIndex(value) {
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 ? index : null;
+}
+
+// Frame that raised the alert, redacted
+router.get('/:id/key-frame', async (req, res) => {
+  try {
+    if (!EVIDENCE_ID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+    await sendImage(res, () => req.evidence.getKeyFrame(req.params.id));
+  } catch (error) {
+    console.error('Error fetching evidence key frame:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence key frame' });
+  }
+});
+
+// One frame of the clip, by its index in the manifest, redacted
+router.get('/:id/frames/:index', async (req, res) => {
+  try {
+    const index = parseFrameIndex(req.params.index);
+    if (!EVIDENCE_ID_PATTERN.test(req.params.id) || index === null) {
+      return res.status(404).json({ error: 'Evidence frame not found' });
+    }
+    await sendImage(res, () => req.evidence.getFrame(req.params.id, index));
+  } catch (error) {
+    console.error('Error fetching evidence frame:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence frame' });
+  }
+});
+
+// Unredacted key frame (permission required, audit-logged)
+router.get('/:id/original/key-frame', async (req, res) => {
+  try {
+    if (!EVIDENCE_ID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Evidence not found' });
+    }
+    await sendOriginal(req, res, 'key-frame', () => req.evidence.getKeyFrame(req.params.id, { original: true }));
+  } catch (error) {
+    console.error('Error fetching original evidence key frame:', error);
+    res.status(500).json({ error: 'Failed to fetch original evidence key frame' });
+  }
+});
+
+// Unredacted clip frame (permission required, audit-logged)
+router.get('/:id/original/frames/:index', async (req, res) => {
+  try {
+    const index = parseFrameIndex(req.params.index);
+    if (!EVIDENCE_ID_PATTERN.test(req.params.id) || index === null) {
+      return res.status(404).json({ error: 'Evidence frame not found' });
+    }
+    await sendOriginal(req, res, `frame ${index}`, () => req.evidence.getFrame(req.params.id, index, { original: true }));
+  } catch (error) {
+    console.error('Error fetching original evidence frame:', error);
+    res.status(500).json({ error: 'Failed to fetch original evidence frame' });
+  }
+});
+
+// Who accessed the originals of an evidence set, newest first (permission required)
+router.get('/:id/access-log', async (req, res) => {
+  try {
+    const user = authenticate(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in to view the evidence access log' });
+    }
+    if (!canViewOriginals(user)) {
+      return res.status(403).json({ error: 'Your role may not view the evidence access log' });
+    }
+
+    const { data: entries, error } = await req.supabase
+      .from('evidence_access_log')
+      .select('*')
+      .eq('evidence_id', req.params.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    res.json(entries || []);
+  } catch (error) {
+    console.error('Error fetching evidence access log:', error);
+    res.status(500).json({ error: 'Failed to fetch evidence access log' });
+  }
+});
+
+export default router;
@@ -1,5 +1,13 @@
 import express from 'express';
+import fs from 'fs/promises';
 import multer from 'multer';
+import path from 'path';
+import { listScenarios } from '../services/simulation/index.js';
+import { selectAllRows } from '../services/pagedQuery.js';
+import { computeVerdictMetrics, MetricsQueryError, parseMetricsQuery } from '../services/verdictMetrics.js';
+import BatchJobManager, { BATCH_IMAGE_PATTERN, BatchValidationError, summarizeBatchImage } from '../services/batchJobs.js';
+import { isZipArchive, zipEntries, ZipArchiveError } from '../services/zipArchive.js';
+import { renderAnnotatedFrame, frameFromResult } from '../services/annotation.js';
 
 const router = express.Router();
 
@@ -17,26 +25,97 @@ const upload = multer({
   }
 });
 
+const batchJobs = new BatchJobManager({
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 2,
+  maxImages: parseInt(process.env.BATCH_MAX_IMAGES) || 500,
+  retentionMinutes: parseInt(process.env.BATCH_RETENTION_MINUTES) || 60,
+  ...(process.env.BATCH_DIR && { dir: path.resolve(process.env.BATCH_DIR) })
+});
+
+// Whole batch request, and what its archives may expand to
+const BATCH_MAX_UPLOAD_BYTES = (parseInt(process.env.BATCH_MAX_UPLOAD_MB) || 1024) * 1024 * 1024;
+
+// Batch uploads take images and zip archives of images, written straight to the batch directory
+const batchUpload = multer({
+  storage: multer.diskStorage({
+    destination: batchJobs.options.dir,
+    filename: (req, file, cb) => cb(null, path.basename(batchJobs.createFilePath()))
+  }),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB per file, for archives
+    files: batchJobs.options.maxImages
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || /zip/.test(file.mimetype) || /\.zip$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new BatchValidationError(`${file.originalname} is neither an image nor a zip archive`));
+    }
+  }
+}).fields([{ name: 'images' }, { name: 'archive' }]);
+
+async function readFileHead(file, length) {
+  const handle = await fs.open(file);
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Uploaded files -> images on disk, added to `images` as they are found. Zip archives are expanded into
+// the batch directory one entry at a time and then deleted (hidden files and macOS metadata are skipped);
+// together they may expand to at most BATCH_MAX_UPLOAD_BYTES.
+async function collectBatchImages(files, images) {
+  let extractedBytes = 0;
+
+  for (const file of [...(files?.images || []), ...(files?.archive || [])]) {
+    if (!isZipArchive(await readFileHead(file.path, 4))) {
+      images.push({ name: file.originalname, file: file.path, size: file.size, mimeType: file.mimetype });
+      continue;
+    }
+
+    const entries = zipEntries(await fs.readFile(file.path), {
+      maxEntries: batchJobs.options.maxImages - images.length,
+      maxTotalBytes: BATCH_MAX_UPLOAD_BYTES - extractedBytes,
+      filter: name => BATCH_IMAGE_PATTERN.test(name) && !name.split('/').some(part => part.startsWith('.') || part === '__MACOSX')
+    });
+    for (const entry of entries) {
+      const target = batchJobs.createFilePath('.image');
+      await fs.writeFile(target, entry.buffer);
+      extractedBytes += entry.buffer.length;
+      images.push({ name: `${file.originalname}/${entry.name}`, file: target, size: entry.buffer.length, mimeType: null });
+    }
+    await fs.rm(file.path, { force: true });
+  }
+
+  return images;
+}
+
+function wantsAnnotation(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+// JPEG with the result's boxes drawn over the analyzed image, as a data URL for the JSON response
+async function annotatedDataUrl(result, image, location) {
+  const jpeg = await renderAnnotatedFrame(frameFromResult(result, image, location));
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`;
+}
+
 // Get ML model status
 router.get('/status', (req, res) => {
   try {
+    const detector = req.mlService.getDetectorInfo();
     const status = {
       modelLoaded: req.mlService.isModelLoaded(),
-      modelType: 'Accident Detection CNN',
-      version: '1.0.0',
-      capabilities: [
-        'Vehicle Detection',
-        'Collision Analysis',
-        'Emergency Situation Recognition',
-        'Real-time Processing',
-        'Weather Integration',
-        'Traffic Pattern Analysis'
-      ],
-      performance: {
-        averageProcessingTime: '1.2s',
-        accuracy: '94.7%',
-        falsePositiveRate: '2.1%'
-      },
+      modelError: req.mlService.getModelError(),
+      provider: detector.provider,
+      modelType: detector.name,
+      version: detector.version,
+      capabilities: detector.capabilities,
+      debrisDetection: req.mlService.supportsDebris(),
+      detector,
       apis: {
         weather: !!process.env.OPENWEATHER_API_KEY,
         images: !!process.env.UNSPLASH_ACCESS_KEY,
@@ -51,7 +130,7 @@ router.get('/status', (req, res) => {
   }
 });
 
-// Analyze single image
+// Analyze single image; ?annotate=true adds the annotated frame as annotatedImage
 router.post('/analyze-image', upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
@@ -59,10 +138,14 @@ router.post('/analyze-image', upload.single('image'), async (req, res) => {
     }
 
     const result = await req.mlService.processFrame(req.file.buffer);
-    
+    const annotatedImage = wantsAnnotation(req.query.annotate) && !result.error
+      ? await annotatedDataUrl(result, req.file.buffer, req.file.originalname)
+      : undefined;
+
     res.json({
       success: true,
       result,
+      annotatedImage,
       metadata: {
         fileSize: req.file.size,
         mimeType: req.file.mimetype,
@@ -76,20 +159,29 @@ router.post('/analyze-image', upload.single('image'), async (req, res) => {
   }
 });
 
-// Analyze image from URL
+// Analyze image from URL; { annotate: true } adds the annotated frame as annotatedImage
 router.post('/analyze-url', async (req, res) => {
   try {
-    const { imageUrl } = req.body;
+    const { imageUrl, annotate } = req.body;
     
     if (!imageUrl) {
       return res.status(400).json({ error: 'Image URL is required' });
     }
 
-    const result = await req.mlService.analyzeImage(imageUrl);
-    
+    let result;
+    let annotatedImage;
+    if (wantsAnnotation(annotate)) {
+      const image = await req.mlService.fetchImage(imageUrl);
+      result = await req.mlService.processFrame(image);
+      annotatedImage = result.error ? undefined : await annotatedDataUrl(result, image.buffer, imageUrl);
+    } else {
+      result = await req.mlService.analyzeImage(imageUrl);
+    }
+
     res.json({
       success: true,
       result,
+      annotatedImage,
       metadata: {
         sourceUrl: imageUrl,
         processedAt: new Date()
@@ -102,10 +194,145 @@ router.post('/analyze-url', async (req, res) => {
   }
 });
 
-// Get weather data
+// Start a batch job over uploaded images (field `images`) and/or zip archives (field `archive`);
+// ?annotate=true also keeps an annotated frame per image. Progress goes to the `batch-<id>`
+// Socket.IO room as batch-progress and batch-completed events.
+router.post('/batch', (req, res, next) => {
+  // Checked before anything is written to disk; multer only limits single files
+  const length = Number(req.headers['content-length']);
+  if (!Number.isFinite(length)) {
+    return res.status(411).json({ error: 'Batch uploads need a Content-Length' });
+  }
+  if (length > BATCH_MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ error: `Batch uploads are limited to ${BATCH_MAX_UPLOAD_BYTES / 1024 / 1024} MB` });
+  }
+
+  batchUpload(req, res, error => {
+    if (error) {
+      const status = error instanceof BatchValidationError || error instanceof multer.MulterError ? 400 : 500;
+      return res.status(status).json({ error: status === 400 ? error.message : 'Failed to read uploaded files' });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const images = [];
+  try {
+    const io = req.io;
+    const job = batchJobs.createJob(req.mlService, await collectBatchImages(req.files, images), {
+      annotate: wantsAnnotation(req.query.annotate),
+      onProgress: (job, image) => {
+        if (image) {
+          io.to(`batch-${job.id}`).emit('batch-progress', { ...batchJobs.describe(job), image: summarizeBatchImage(image) });
+        } else {
+          io.to(`batch-${job.id}`).emit('batch-completed', batchJobs.describe(job));
+        }
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      job: batchJobs.describe(job),
+      links: {
+        status: `/api/ml/batch/${job.id}`,
+        summaryJson: `/api/ml/batch/${job.id}/summary?format=json`,
+        summaryCsv: `/api/ml/batch/${job.id}/summary?format=csv`
+      }
+    });
+  } catch (error) {
+    // No job took the files over, so every uploaded and extracted file goes
+    await batchJobs.discard([
+      ...Object.values(req.files || {}).flat().map(file => ({ file: file.path })),
+      ...images
+    ]);
+    if (error instanceof BatchValidationError || error instanceof ZipArchiveError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error starting batch job:', error);
+    res.status(500).json({ error: 'Failed to start batch job' });
+  }
+});
+
+// Progress and per-image results of a batch job
+router.get('/batch/:id', (req, res) => {
+  const job = batchJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Batch job not found' });
+  }
+
+  res.json({ success: true, job: batchJobs.describe(job, { includeResults: true }) });
+});
+
+// Annotated frame of one image of a job started with ?annotate=true
+router.get('/batch/:id/images/:index/annotated', (req, res) => {
+  const job = batchJobs.getJob(req.params.id);
+  const image = job?.images[Number(req.params.index)];
+  if (!image) {
+    return res.status(404).json({ error: 'Batch image not found' });
+  }
+  if (!image.annotated) {
+    return res.status(404).json({ error: job.annotate ? 'Image has not been analyzed yet' : 'Batch job was started without ?annotate=true' });
+  }
+
+  res.type('image/jpeg').sendFile(image.annotated, error => {
+    if (error && !res.headersSent) res.status(404).json({ error: 'Annotated frame is no longer available' });
+  });
+});
+
+// One row per image, as a JSON or CSV download (?format=csv); available once the job has ended
+router.get('/batch/:id/summary', (req, res) => {
+  const job = batchJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Batch job not found' });
+  }
+  if (job.status === 'queued' || job.status === 'running') {
+    return res.status(409).json({ error: 'Batch job is still running', job: batchJobs.describe(job) });
+  }
+
+  const format = req.query.format || 'json';
+  if (format === 'csv') {
+    res.attachment(`batch-${job.id}.csv`);
+    return res.type('text/csv').send(batchJobs.toCsv(job));
+  }
+  if (format !== 'json') {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  res.attachment(`batch-${job.id}.json`);
+  res.json(batchJobs.summarize(job));
+});
+
+// Stop a batch job; images already being analyzed still finish
+router.post('/batch/:id/cancel', (req, res) => {
+  const job = batchJobs.cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Batch job not found' });
+  }
+
+  res.json({ success: true, job: batchJobs.describe(job) });
+});
+
+// Get weather data for a stream (?streamId=) or a place (?location= and/or ?lat=&lon=); without either,
+// for the default location (WEATHER_DEFAULT_LOCATION)
 router.get('/weather', async (req, res) => {
   try {
-    const weather = await req.mlService.getWeatherData();
+    let place;
+    if (req.query.streamId) {
+      place = (await loadStreams(req.supabase, req.query.streamId))[0];
+      if (!place) {
+        return res.status(404).json({ error: 'Stream not found' });
+      }
+    } else {
+      place = {
+        location: req.query.location,
+        latitude: parseFloat(req.query.lat),
+        longitude: parseFloat(req.query.lon)
+      };
+      if (!place.location && !(Number.isFinite(place.latitude) && Number.isFinite(place.longitude))) {
+        place = { location: req.mlService.defaultWeatherLocation };
+      }
+    }
+
+    const weather = await req.mlService.getWeatherData(place);
     
     res.json({
       success: true,
@@ -136,14 +363,33 @@ router.get('/sample-images', async (req, res) => {
   }
 });
 
-// Get traffic conditions
-router.get('/traffic-conditions', (req, res) => {
+// List scripted simulation scenarios (use the url as a stream URL to run one)
+router.get('/scenarios', (req, res) => {
+  const scenarios = listScenarios();
+
+  res.json({
+    success: true,
+    scenarios,
+    count: scenarios.length
+  });
+});
+
+// Get traffic conditions at each stream's location (or one with ?streamId=), from its flow statistics
+router.get('/traffic-conditions', async (req, res) => {
   try {
-    const trafficConditions = req.mlService.getTrafficConditions();
+    const streams = await loadStreams(req.supabase, req.query.streamId);
+    if (req.query.streamId && streams.length === 0) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    const locations = await Promise.all(streams.map(async stream => ({
+      ...describeLocation(stream),
+      trafficConditions: await req.mlService.getTrafficConditions(stream)
+    })));
     
     res.json({
       success: true,
-      trafficConditions,
+      locations,
       timestamp: new Date()
     });
 
@@ -171,26 +417,54 @@ router.post('/test', async (req, res) => {
   }
 });
 
-// Get model performance metrics
+// Detection accuracy from reviewer verdicts (?from=&to=&streamId=&severity=) and live processing stats
 router.get('/metrics', async (req, res) => {
   try {
-    // In a real application, these would be calculated from actual usage data
+    const { from, to, streamId, severity } = parseMetricsQuery(req.query);
+
+    const buildQuery = () => {
+      let query = req.supabase
+        .from('pending_alerts')
+        .select('id, stream_id, type, status, confidence, created_at, approved_at, rejection_reason, severity:detection_data->>severity')
+        .gte('created_at', from.toISOString())
+        .lte('created_at', to.toISOString());
+      if (streamId) query = query.eq('stream_id', streamId);
+      return query.order('created_at', { ascending: true }).order('id', { ascending: true });
+    };
+
+    const [rows, streams] = await Promise.all([
+      selectAllRows(buildQuery),
+      selectAllRows(() => req.supabase.from('streams').select('id, location').order('id', { ascending: true }))
+    ]);
+
+    const verdicts = computeVerdictMetrics(
+      rows.filter(row => !severity || (row.severity || 'unknown') === severity),
+      new Map(streams.map(stream => [stream.id, stream.location]))
+    );
+    const processing = req.mlService.processingStats.snapshot();
+    const streamProcessing = streamId ? processing.streams.filter(stream => stream.streamId === streamId) : processing.streams;
+
     const metrics = {
-      totalProcessedFrames: Math.floor(Math.random() * 10000) + 5000,
-      accidentsDetected: Math.floor(Math.random() * 100) + 50,
-      averageConfidence: 0.847,
+      range: { from, to, streamId, severity },
+      totalProcessedFrames: streamId ? (streamProcessing[0]?.frames ?? 0) : processing.frames,
+      alertsDetected: verdicts.total,
+      accidentsDetected: verdicts.byType.find(group => group.type === 'accident')?.total ?? 0,
+      averageConfidence: verdicts.averageConfidence,
       processingSpeed: {
-        framesPerSecond: 15.3,
-        averageLatency: 1.2
+        framesPerSecond: processing.framesPerSecond,
+        averageLatencyMs: processing.latencyMs.average
       },
       accuracy: {
-        precision: 0.943,
-        recall: 0.891,
-        f1Score: 0.916
+        precision: verdicts.precision,
+        approved: verdicts.approved,
+        rejected: verdicts.rejected,
+        pending: verdicts.pending
       },
+      verdicts,
+      processing: { ...processing, streams: streamProcessing },
       weatherIntegration: {
         enabled: !!process.env.OPENWEATHER_API_KEY,
-        lastUpdate: new Date()
+        provider: req.mlService.weatherProvider.provider
       },
       lastUpdated: new Date()
     };
@@ -198,33 +472,32 @@ router.get('/metrics', async (req, res) => {
     res.json(metrics);
 
   } catch (error) {
+    if (error instanceof MetricsQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('❌ Error getting ML metrics:', error);
     res.status(500).json({ error: 'Failed to get ML metrics' });
   }
 });
 
-// Get comprehensive analysis
+// Get comprehensive analysis: risk per stream location (or one with ?streamId=), plus a pipeline self-test
 router.get('/analysis', async (req, res) => {
   try {
-    const [weather, trafficConditions, testResult] = await Promise.all([
-      req.mlService.getWeatherData(),
-      Promise.resolve(req.mlService.getTrafficConditions()),
+    const streams = await loadStreams(req.supabase, req.query.streamId);
+    if (req.query.streamId && streams.length === 0) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    const [locations, testResult] = await Promise.all([
+      Promise.all(streams.map(stream => analyzeLocation(stream, req.mlService))),
       req.mlService.simulateDetection()
     ]);
+    const assessed = locations.filter(location => location.riskAssessment);
 
     const analysis = {
-      weather,
-      trafficConditions,
+      locations,
       mlResults: testResult,
-      riskAssessment: {
-        overallRisk: calculateRiskLevel(weather, trafficConditions, testResult),
-        factors: {
-          weather: assessWeatherRisk(weather),
-          traffic: assessTrafficRisk(trafficConditions),
-          ml: assessMLRisk(testResult)
-        }
-      },
-      recommendations: generateRecommendations(weather, trafficConditions, testResult),
+      overallRisk: assessed.length > 0 ? Math.max(...assessed.map(location => location.riskAssessment.overallRisk)) : 0,
       timestamp: new Date()
     };
 
@@ -239,6 +512,63 @@ router.get('/analysis', async (req, res) => {
   }
 });
 
+async function loadStreams(supabase, streamId) {
+  let query = supabase.from('streams').select('*');
+  if (streamId) query = query.eq('id', streamId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+function describeLocation(stream) {
+  return {
+    streamId: stream.id,
+    location: stream.location,
+    coordinates: Number.isFinite(stream.latitude) && Number.isFinite(stream.longitude)
+      ? { latitude: stream.latitude, longitude: stream.longitude }
+      : null
+  };
+}
+
+// Weather, traffic and the stream's own latest detections at one location. A provider failing
+// for one location is reported on it instead of failing the whole analysis.
+async function analyzeLocation(stream, mlService) {
+  const location = describeLocation(stream);
+
+  try {
+    const [weather, trafficConditions] = await Promise.all([
+      mlService.getWeatherData(stream),
+      mlService.getTrafficConditions(stream)
+    ]);
+    // Streams that are not running have no detections to judge
+    const mlResult = mlService.getStreamLastResult(stream.id) || { accidents: [], events: [] };
+
+    return {
+      ...location,
+      weather,
+      trafficConditions,
+      riskAssessment: {
+        overallRisk: calculateRiskLevel(weather, trafficConditions, mlResult),
+        factors: {
+          weather: assessWeatherRisk(weather),
+          traffic: assessTrafficRisk(trafficConditions),
+          ml: assessMLRisk(mlResult)
+        }
+      },
+      recommendations: generateRecommendations(weather, trafficConditions, mlResult)
+    };
+  } catch (error) {
+    console.error(`❌ Error analyzing ${stream.location}:`, error.message);
+    return { ...location, error: error.message };
+  }
+}
+
+// Speed rules only apply to calibrated streams; pixel speeds depend on the camera
+function isSlowTraffic(traffic) {
+  return traffic.speedUnit === 'km/h' && traffic.averageSpeed !== null && traffic.averageSpeed < 20;
+}
+
 // Helper functions for risk assessment
 function calculateRiskLevel(weather, traffic, mlResult) {
   let risk = 0;
@@ -255,14 +585,17 @@ function calculateRiskLevel(weather, traffic, mlResult) {
   if (traffic.level === 'heavy' || traffic.level === 'congested') {
     risk += 0.3;
   }
-  if (traffic.averageSpeed < 20) {
+  if (isSlowTraffic(traffic)) {
     risk += 0.2;
   }
   
   // ML risk (0-1)
-  if (mlResult.accidentDetected) {
+  if (mlResult.accidents.length > 0) {
     risk += 0.4;
   }
+  if (mlResult.events.some(event => event.priority === 'urgent')) {
+    risk += 0.3;
+  }
   
   return Math.min(risk, 1.0);
 }
@@ -294,9 +627,15 @@ function assessTrafficRisk(traffic) {
   } else if (traffic.level === 'heavy') {
     risks.push('Heavy traffic conditions');
   }
-  if (traffic.averageSpeed < 20) {
+  if (isSlowTraffic(traffic)) {
     risks.push('Very slow moving traffic');
   }
+  if (traffic.jam) {
+    risks.push('Traffic jam in progress');
+  }
+  if (traffic.level === 'unknown') {
+    risks.push('No flow data yet for this location');
+  }
   if (traffic.congestionIndex > 0.7) {
     risks.push('High congestion index');
   }
@@ -307,14 +646,20 @@ function assessTrafficRisk(traffic) {
 function assessMLRisk(mlResult) {
   const risks = [];
   
-  if (mlResult.accidentDetected) {
+  if (mlResult.accidents.length > 0) {
     risks.push('Potential accident detected');
   }
-  if (mlResult.confidence > 0.8) {
+  if (mlResult.accidents.some(accident => accident.confidence > 0.8)) {
     risks.push('High confidence detection');
   }
-  if (mlResult.detections.some(d => d.class === 'person')) {
-    risks.push('Pedestrians detected in traffic area');
+  if (mlResult.events.some(e => e.type === 'pedestrian_hazard')) {
+    risks.push('Pedestrian in the roadway near approaching traffic');
+  }
+  if (mlResult.events.some(e => e.type === 'wrong_way')) {
+    risks.push('Wrong-way driver');
+  }
+  if (mlResult.events.some(e => e.type === 'stalled_vehicle' || e.type === 'debris')) {
+    risks.push('Obstruction in the roadway');
   }
   
   return risks.length > 0 ? risks : ['No immediate risks detected'];
@@ -329,10 +674,10 @@ function generateRecommendations(weather, traffic, mlResult) {
   if (traffic.level === 'congested') {
     recommendations.push('Deploy additional monitoring resources');
   }
-  if (mlResult.accidentDetected) {
+  if (mlResult.accidents.length > 0) {
     recommendations.push('Immediate response required - potential accident detected');
   }
-  if (mlResult.detections.some(d => d.class === 'person')) {
+  if (mlResult.events.some(e => e.type === 'pedestrian_hazard')) {
     recommendations.push('Monitor pedestrian safety in traffic area');
   }
   
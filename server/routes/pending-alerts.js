@@ -1,4 +1,7 @@
 import express from 'express';
+import { renderAnnotatedFrame, frameFromDetectionData } from '../services/annotation.js';
+import { loadIncident } from '../services/incidents.js';
+import { normalizeSeverityOverride, SeverityValidationError } from '../services/severityScorer.js';
 
 const router = express.Router();
 
@@ -10,6 +13,7 @@ router.get('/', async (req, res) => {
     let query = req.supabase
       .from('pending_alerts')
       .select('*')
+      .order('priority', { ascending: false })
       .order('created_at', { ascending: false })
       .limit(parseInt(limit));
 
@@ -26,7 +30,7 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single pending alert
+// Get single pending alert, with the cameras that reported its incident
 router.get('/:id', async (req, res) => {
   try {
     const { data: alert, error } = await req.supabase
@@ -39,13 +43,43 @@ router.get('/:id', async (req, res) => {
     if (!alert) {
       return res.status(404).json({ error: 'Pending alert not found' });
     }
-    res.json(alert);
+
+    const incident = await loadIncident(req.supabase, alert.incident_id || alert.id);
+    res.json({ ...alert, contributing_streams: incident?.contributing_streams || [] });
   } catch (error) {
     console.error('Error fetching pending alert:', error);
     res.status(500).json({ error: 'Failed to fetch pending alert' });
   }
 });
 
+// Stored detections drawn as a JPEG (boxes, track IDs, collision pair, timestamp and location)
+router.get('/:id/annotated', async (req, res) => {
+  try {
+    const { data: alert, error } = await req.supabase
+      .from('pending_alerts')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error) throw error;
+    if (!alert) {
+      return res.status(404).json({ error: 'Pending alert not found' });
+    }
+    if (!alert.detection_data?.boundingBoxes) {
+      return res.status(404).json({ error: 'Pending alert has no stored detections' });
+    }
+
+    // Drawn over the evidence key frame while it is kept, over a blank frame otherwise
+    const frame = frameFromDetectionData(alert.detection_data);
+    const image = alert.evidence ? await req.evidence.getKeyFrame(alert.evidence.id) : null;
+    const jpeg = await renderAnnotatedFrame({ ...frame, image, timestamp: frame.timestamp || alert.frame_timestamp });
+    res.set('Cache-Control', 'private, max-age=3600').type('image/jpeg').send(jpeg);
+  } catch (error) {
+    console.error('Error annotating pending alert:', error);
+    res.status(500).json({ error: 'Failed to annotate pending alert' });
+  }
+});
+
 // Create pending alert from accident detection
 router.post('/', async (req, res) => {
   try {
@@ -78,10 +112,20 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Approve pending alert (converts to final alert)
+const ALERT_DESCRIPTIONS = {
+  accident: confidence => `Accident detected with ${confidence} confidence`,
+  wrong_way: confidence => `Wrong-way driver detected with ${confidence} confidence`,
+  stalled_vehicle: confidence => `Stalled vehicle on the roadway detected with ${confidence} confidence`,
+  debris: confidence => `Debris on the roadway detected with ${confidence} confidence`,
+  pedestrian_hazard: confidence => `Pedestrian in the roadway detected with ${confidence} confidence`
+};
+
+// Approve pending alert (converts to final alert). The pending alerts of every camera that reported the
+// incident are approved together into a single alert. The reviewer may set a different severity than the
+// scored one (`severity`), with the reason for it (`severity_reason`).
 router.post('/:id/approve', async (req, res) => {
   try {
-    const { approved_by } = req.body;
+    const { approved_by, severity, severity_reason } = req.body;
 
     const { data: pendingAlert, error: fetchError } = await req.supabase
       .from('pending_alerts')
@@ -93,31 +137,57 @@ router.post('/:id/approve', async (req, res) => {
     if (!pendingAlert) {
       return res.status(404).json({ error: 'Pending alert not found' });
     }
+    if (pendingAlert.status !== 'pending') {
+      return res.status(409).json({ error: `Pending alert is already ${pendingAlert.status}`, pendingAlert });
+    }
 
-    // Update pending alert status
-    const { error: updateError } = await req.supabase
+    const incident = await loadIncident(req.supabase, pendingAlert.incident_id || pendingAlert.id);
+    const contributions = incident.contributing_streams;
+    const pendingAlertIds = contributions.map(contribution => contribution.pending_alert_id);
+    const scoredSeverity = incident.detection_data.severity || 'high';
+    const override = normalizeSeverityOverride({ severity, reason: severity_reason }, scoredSeverity);
+
+    // Update pending alert status. Only alerts still pending change, so a concurrent approval or
+    // rejection is not overwritten and the incident is not sent twice.
+    const { data: approved, error: updateError } = await req.supabase
       .from('pending_alerts')
       .update({
         status: 'approved',
         approved_by: approved_by || 'system',
         approved_at: new Date().toISOString()
       })
-      .eq('id', req.params.id);
+      .in('id', pendingAlertIds)
+      .eq('status', 'pending')
+      .select('id');
 
     if (updateError) throw updateError;
+    if (!approved.some(row => row.id === pendingAlert.id)) {
+      return res.status(409).json({ error: 'Pending alert was reviewed in the meantime' });
+    }
 
-    // Create final alert
+    // Create final alert from the camera that first reported the incident
+    const type = incident.type || 'accident';
+    const describe = ALERT_DESCRIPTIONS[type] || ALERT_DESCRIPTIONS.accident;
+    const confidence = Math.max(...contributions.map(contribution => contribution.confidence));
     const alertData = {
-      stream_id: pendingAlert.stream_id,
-      location: pendingAlert.detection_data.location || 'Unknown',
-      latitude: pendingAlert.detection_data.latitude,
-      longitude: pendingAlert.detection_data.longitude,
-      severity: pendingAlert.detection_data.severity || 'high',
-      type: 'accident',
+      stream_id: incident.stream_id,
+      location: incident.detection_data.location || 'Unknown',
+      latitude: incident.detection_data.latitude,
+      longitude: incident.detection_data.longitude,
+      severity: override ? override.severity : scoredSeverity,
+      severity_override: override && {
+        scored: scoredSeverity,
+        ...override,
+        by: approved_by || 'system',
+        at: new Date().toISOString()
+      },
+      type,
       status: 'sent',
-      confidence: pendingAlert.confidence,
-      detection_data: pendingAlert.detection_data,
-      description: `Accident detected with ${pendingAlert.confidence.toFixed(2)} confidence`,
+      confidence,
+      detection_data: incident.detection_data,
+      evidence: incident.evidence || null,
+      contributing_streams: contributions,
+      description: describe(confidence.toFixed(2)),
       sent_at: new Date().toISOString()
     };
 
@@ -129,17 +199,25 @@ router.post('/:id/approve', async (req, res) => {
 
     if (alertError) throw alertError;
 
+    // Evidence of approved alerts is kept for the longer alert retention period
+    for (const contribution of contributions.filter(contribution => contribution.evidence)) {
+      await req.evidence.retain(contribution.evidence.id).catch(error => {
+        console.error('Error retaining evidence:', error);
+      });
+    }
+
     // Update stream status
     await req.supabase
       .from('streams')
       .update({
         status: 'alert',
-        accident_count: pendingAlert.detection_data.accident_count || 1
+        accident_count: incident.detection_data.accident_count || 1
       })
-      .eq('id', pendingAlert.stream_id);
+      .in('id', [...new Set(contributions.map(contribution => contribution.stream_id))]);
 
     req.io.emit('alert-approved', {
       pendingAlertId: req.params.id,
+      pendingAlertIds,
       finalAlert
     });
 
@@ -149,17 +227,35 @@ router.post('/:id/approve', async (req, res) => {
       finalAlert
     });
   } catch (error) {
+    if (error instanceof SeverityValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error approving pending alert:', error);
     res.status(500).json({ error: 'Failed to approve pending alert' });
   }
 });
 
-// Reject pending alert
+// Reject pending alert, with the other cameras' pending alerts of its incident
 router.post('/:id/reject', async (req, res) => {
   try {
     const { rejection_reason, approved_by } = req.body;
 
-    const { data: alert, error } = await req.supabase
+    const { data: pendingAlert, error: fetchError } = await req.supabase
+      .from('pending_alerts')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (!pendingAlert) {
+      return res.status(404).json({ error: 'Pending alert not found' });
+    }
+    if (pendingAlert.status !== 'pending') {
+      return res.status(409).json({ error: `Pending alert is already ${pendingAlert.status}`, pendingAlert });
+    }
+
+    const incident = await loadIncident(req.supabase, pendingAlert.incident_id || pendingAlert.id);
+    const { data: rejected, error } = await req.supabase
       .from('pending_alerts')
       .update({
         status: 'rejected',
@@ -167,13 +263,14 @@ router.post('/:id/reject', async (req, res) => {
         approved_by: approved_by || 'system',
         approved_at: new Date().toISOString()
       })
-      .eq('id', req.params.id)
-      .select()
-      .single();
+      .in('id', incident.contributing_streams.map(contribution => contribution.pending_alert_id))
+      .eq('status', 'pending')
+      .select();
 
     if (error) throw error;
+    const alert = rejected.find(row => row.id === req.params.id);
     if (!alert) {
-      return res.status(404).json({ error: 'Pending alert not found' });
+      return res.status(409).json({ error: 'Pending alert was reviewed in the meantime' });
     }
 
     req.io.emit('alert-rejected', alert);
@@ -1,7 +1,34 @@
 import express from 'express';
+import path from 'path';
+import { detectSourceType, readFrames } from '../services/frameSource.js';
+import { DetectionRecorder, getRecordingsDir, listRecordings, RecordingPathError, resolveRecordingPath } from '../services/detectionReplay.js';
+import { normalizeZones, ZoneValidationError } from '../services/zones.js';
+import { normalizeCalibration, CalibrationValidationError } from '../services/calibration.js';
+import { FlowAggregator, FlowQueryError, mergeFlowRows, parseFlowQuery } from '../services/flowStats.js';
+import { selectAllRows } from '../services/pagedQuery.js';
+import {
+  correlateAcrossStreams,
+  correlateIncident,
+  getCorrelationOptions,
+  loadIncident,
+  outranks
+} from '../services/incidents.js';
+import {
+  listProfiles,
+  normalizeThresholds,
+  resolveThresholds,
+  validateProfile,
+  ThresholdValidationError
+} from '../services/detectionProfiles.js';
+import { describeEventSeverity } from '../services/severityScorer.js';
 
 const router = express.Router();
 
+// Frame readers for streams currently being processed, keyed by stream id
+const activeProcessors = new Map();
+// Detection recorders for streams whose output is being captured, keyed by stream id
+const activeRecordings = new Map();
+
 // Get all streams
 router.get('/', async (req, res) => {
   try {
@@ -18,6 +45,37 @@ router.get('/', async (req, res) => {
   }
 });
 
+// List named threshold presets
+router.get('/profiles', (req, res) => {
+  res.json(listProfiles());
+});
+
+// List detection recordings available for replay
+router.get('/recordings', async (req, res) => {
+  try {
+    res.json(await listRecordings());
+  } catch (error) {
+    console.error('Error listing recordings:', error);
+    res.status(500).json({ error: 'Failed to list recordings' });
+  }
+});
+
+// Download a detection recording
+router.get('/recordings/:file', (req, res) => {
+  const file = path.basename(req.params.file);
+
+  if (!file.endsWith('.jsonl')) {
+    return res.status(400).json({ error: 'Recordings are .jsonl files' });
+  }
+
+  res.type('application/x-ndjson');
+  res.sendFile(path.join(getRecordingsDir(), file), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Recording not found' });
+    }
+  });
+});
+
 // Get single stream
 router.get('/:id', async (req, res) => {
   try {
@@ -38,6 +96,204 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Inspect the live tracker session of a stream (debugging)
+router.get('/:id/tracks', (req, res) => {
+  const tracking = req.mlService.getStreamTracks(req.params.id);
+
+  res.json({
+    streamId: req.params.id,
+    processing: activeProcessors.has(req.params.id),
+    ...(tracking || { tracks: [] })
+  });
+});
+
+// Effective accident thresholds of a stream (defaults <- profile <- overrides)
+router.get('/:id/thresholds', async (req, res) => {
+  try {
+    const { data: stream, error } = await req.supabase
+      .from('streams')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error) throw error;
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    res.json({
+      profile: stream.detection_profile || 'default',
+      overrides: stream.thresholds || {},
+      effective: resolveThresholds(stream)
+    });
+  } catch (error) {
+    console.error('Error fetching stream thresholds:', error);
+    res.status(500).json({ error: 'Failed to fetch stream thresholds' });
+  }
+});
+
+// Traffic flow time series of a stream: ?bucket=60|300|900 (or 1m|5m|15m), from, to (default last hour)
+router.get('/:id/flow', async (req, res) => {
+  try {
+    const { bucketSeconds, from, to } = parseFlowQuery(req.query);
+
+    // A restart within a bucket writes a second row for it, so rows can outnumber buckets
+    const rows = await selectAllRows(() => req.supabase
+      .from('flow_stats')
+      .select('*')
+      .eq('stream_id', req.params.id)
+      .eq('bucket_seconds', bucketSeconds)
+      .gte('bucket_start', from.toISOString())
+      .lte('bucket_start', to.toISOString())
+      .order('bucket_start', { ascending: true })
+      .order('id', { ascending: true }));
+
+    res.json({
+      streamId: req.params.id,
+      bucketSeconds,
+      from,
+      to,
+      buckets: mergeFlowRows(rows)
+    });
+  } catch (error) {
+    if (error instanceof FlowQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching flow stats:', error);
+    res.status(500).json({ error: 'Failed to fetch flow stats' });
+  }
+});
+
+// Grab one frame to draw zones over
+router.get('/:id/snapshot', async (req, res) => {
+  try {
+    const { data: stream, error } = await req.supabase
+      .from('streams')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error) throw error;
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    const frame = await req.mlService.extractFrameFromStream(stream.url);
+
+    if (!frame.buffer) {
+      // Simulated and replayed sources have detections but no picture
+      return res.status(422).json({ error: 'This source has no camera image', width: frame.width, height: frame.height });
+    }
+
+    res.type('image/jpeg').send(frame.buffer);
+  } catch (error) {
+    console.error('Error grabbing snapshot:', error.message);
+    res.status(502).json({ error: `Failed to grab snapshot: ${error.message}`, code: error.code });
+  }
+});
+
+// Replace the ROI, exclusion and lane polygons of a stream
+router.put('/:id/zones', async (req, res) => {
+  try {
+    const zones = normalizeZones(req.body.zones);
+
+    const { data: stream, error } = await req.supabase
+      .from('streams')
+      .update({ zones })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    req.io.emit('stream-updated', stream);
+
+    res.json(stream);
+  } catch (error) {
+    if (error instanceof ZoneValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating stream zones:', error);
+    res.status(500).json({ error: 'Failed to update stream zones' });
+  }
+});
+
+// Replace the camera calibration of a stream (image points paired with road positions in metres)
+router.put('/:id/calibration', async (req, res) => {
+  try {
+    const calibration = normalizeCalibration(req.body.calibration);
+
+    const { data: stream, error } = await req.supabase
+      .from('streams')
+      .update({ calibration })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    req.io.emit('stream-updated', stream);
+
+    res.json(stream);
+  } catch (error) {
+    if (error instanceof CalibrationValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating stream calibration:', error);
+    res.status(500).json({ error: 'Failed to update stream calibration' });
+  }
+});
+
+// Recording status of a stream
+router.get('/:id/recording', (req, res) => {
+  const recorder = activeRecordings.get(req.params.id);
+  res.json({ recording: !!recorder, ...(recorder && recorder.getInfo()) });
+});
+
+// Start recording a stream's detection output (captures frames while the stream is processed)
+router.post('/:id/recording', async (req, res) => {
+  try {
+    if (activeRecordings.has(req.params.id)) {
+      return res.status(409).json({ error: 'Stream is already being recorded', ...activeRecordings.get(req.params.id).getInfo() });
+    }
+
+    const { data: stream, error } = await req.supabase
+      .from('streams')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error) throw error;
+    if (!stream) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    const recorder = new DetectionRecorder(stream);
+    activeRecordings.set(stream.id, recorder);
+
+    res.status(201).json({ recording: true, ...recorder.getInfo() });
+  } catch (error) {
+    console.error('Error starting recording:', error);
+    res.status(500).json({ error: 'Failed to start recording' });
+  }
+});
+
+// Stop recording a stream
+router.delete('/:id/recording', async (req, res) => {
+  const info = await stopRecording(req.params.id);
+
+  if (!info) {
+    return res.status(404).json({ error: 'Stream is not being recorded' });
+  }
+  res.json({ recording: false, ...info });
+});
+
 // Create new stream
 router.post('/', async (req, res) => {
   try {
@@ -46,6 +302,7 @@ router.post('/', async (req, res) => {
     if (!url || !location) {
       return res.status(400).json({ error: 'URL and location are required' });
     }
+    checkStreamUrl(url.trim());
 
     const streamData = {
       url: url.trim(),
@@ -67,22 +324,43 @@ router.post('/', async (req, res) => {
 
     res.status(201).json(stream);
   } catch (error) {
+    if (error instanceof RecordingPathError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error creating stream:', error);
     res.status(500).json({ error: 'Failed to create stream' });
   }
 });
 
+// Replay URLs are checked when saved so a stream cannot point at files outside RECORDINGS_DIR
+function checkStreamUrl(url) {
+  if (detectSourceType(url) === 'replay') resolveRecordingPath(url);
+  return url;
+}
+
 // Update stream
 router.put('/:id', async (req, res) => {
   try {
-    const { url, location, coordinates, status } = req.body;
+    const { url, location, coordinates, status, profile, thresholds } = req.body;
 
     const updateData = {};
-    if (url) updateData.url = url.trim();
+    if (url) updateData.url = checkStreamUrl(url.trim());
     if (location) updateData.location = location.trim();
     if (coordinates?.latitude) updateData.latitude = coordinates.latitude;
     if (coordinates?.longitude) updateData.longitude = coordinates.longitude;
     if (status) updateData.status = status;
+    if (profile !== undefined) updateData.detection_profile = validateProfile(profile);
+    if (thresholds !== undefined) updateData.thresholds = normalizeThresholds(thresholds);
+
+    if (profile !== undefined || thresholds !== undefined) {
+      // Reject combinations that only fail once merged, e.g. overrides breaking the profile's severity order
+      const { data: current } = await req.supabase
+        .from('streams')
+        .select('*')
+        .eq('id', req.params.id)
+        .single();
+      resolveThresholds({ ...current, ...updateData });
+    }
 
     const { data: stream, error } = await req.supabase
       .from('streams')
@@ -100,6 +378,9 @@ router.put('/:id', async (req, res) => {
 
     res.json(stream);
   } catch (error) {
+    if (error instanceof ThresholdValidationError || error instanceof RecordingPathError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error updating stream:', error);
     res.status(500).json({ error: 'Failed to update stream' });
   }
@@ -108,6 +389,9 @@ router.put('/:id', async (req, res) => {
 // Delete stream
 router.delete('/:id', async (req, res) => {
   try {
+    stopStreamProcessor(req.params.id);
+    await stopRecording(req.params.id);
+
     const { error: deleteError } = await req.supabase
       .from('streams')
       .delete()
@@ -151,7 +435,7 @@ router.post('/:id/start', async (req, res) => {
 
     if (updateError) throw updateError;
 
-    processStreamWithML(updatedStream, req.mlService, req.io, req.supabase);
+    processStreamWithML(updatedStream, req.mlService, req.evidence, req.io, req.supabase);
 
     req.io.emit('stream-started', updatedStream);
 
@@ -165,6 +449,8 @@ router.post('/:id/start', async (req, res) => {
 // Stop monitoring stream
 router.post('/:id/stop', async (req, res) => {
   try {
+    stopStreamProcessor(req.params.id);
+
     const { data: stream, error } = await req.supabase
       .from('streams')
       .update({
@@ -190,9 +476,15 @@ router.post('/:id/stop', async (req, res) => {
 });
 
 // Process stream with ML
-async function processStreamWithML(stream, mlService, io, supabase) {
-  const processInterval = setInterval(async () => {
-    try {
+async function processStreamWithML(stream, mlService, evidence, io, supabase) {
+  stopStreamProcessor(stream.id);
+
+  const controller = new AbortController();
+  activeProcessors.set(stream.id, controller);
+  const flow = new FlowAggregator(stream.id, { vehicleClasses: mlService.detectionClasses.vehicle });
+
+  try {
+    for await (const frame of readFrames(stream.url, { signal: controller.signal })) {
       const { data: currentStream, error } = await supabase
         .from('streams')
         .select('*')
@@ -200,11 +492,24 @@ async function processStreamWithML(stream, mlService, io, supabase) {
         .single();
 
       if (error || !currentStream || !currentStream.is_processing) {
-        clearInterval(processInterval);
         return;
       }
 
-      const result = await mlService.processVideoStream(stream.url);
+      // Zones, calibration and thresholds are read with the stream on every frame, so edits apply without a restart.
+      // Simulated frames bring the scene's lane layout for streams without zones of their own.
+      const zones = currentStream.zones || frame.zones;
+      const thresholds = resolveThresholds(currentStream);
+      const result = await mlService.processFrame(frame, {
+        streamId: stream.id,
+        zones,
+        calibration: currentStream.calibration,
+        thresholds,
+        place: currentStream,
+        roadClass: currentStream.detection_profile
+      });
+      activeRecordings.get(stream.id)?.record(frame, result);
+      evidence.addFrame(stream.id, frame, result);
+      await saveFlowStats(flow.add(result, zones?.lanes), supabase);
 
       await supabase
         .from('streams')
@@ -213,31 +518,251 @@ async function processStreamWithML(stream, mlService, io, supabase) {
 
       io.to(`stream-${stream.id}`).emit('detection-result', {
         streamId: stream.id,
+        frameNumber: frame.frameNumber,
         result
       });
 
+      // Alerts raised by one frame share its evidence: the key frame and a clip around it. It is captured
+      // only for detections that open an incident or become the key detection of the one they repeat.
+      let evidenceLink;
+      const captureEvidence = async () => {
+        if (evidenceLink === undefined) {
+          evidenceLink = await evidence.capture(stream.id, frame, { location: stream.location });
+        }
+        return evidenceLink;
+      };
+
       if (result.accidentDetected) {
-        await handleAccidentDetection(stream, result, io, supabase);
+        await handleAccidentDetection(stream, result, thresholds, captureEvidence, io, supabase);
       }
+      for (const event of result.events) {
+        if (event.type === 'traffic_jam') {
+          await handleTrafficJam(stream, event, io, supabase);
+        } else {
+          await handleHazardEvent(stream, event, result, thresholds, captureEvidence, io, supabase);
+        }
+      }
+    }
 
-    } catch (error) {
-      console.error('ML processing error:', error);
-
-      await supabase
+    // Replays and simulations with a duration run out: the stream goes inactive as if stopped
+    if (!controller.signal.aborted) {
+      const { data: endedStream } = await supabase
         .from('streams')
         .update({
-          status: 'error',
+          status: 'inactive',
           is_processing: false
         })
-        .eq('id', stream.id);
+        .eq('id', stream.id)
+        .select()
+        .single();
+
+      if (endedStream) {
+        io.emit('stream-updated', endedStream);
+      }
+    }
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    console.error(`ML processing error for stream ${stream.id}:`, error.message);
+
+    const { data: erroredStream } = await supabase
+      .from('streams')
+      .update({
+        status: 'error',
+        is_processing: false
+      })
+      .eq('id', stream.id)
+      .select()
+      .single();
+
+    io.emit('stream-error', {
+      streamId: stream.id,
+      code: error.code || 'PROCESSING_ERROR',
+      message: error.message
+    });
+
+    if (erroredStream) {
+      io.emit('stream-updated', erroredStream);
+    }
+  } finally {
+    // Partial buckets are kept; a restart within the same bucket is merged by the flow endpoint
+    await saveFlowStats(flow.flush(), supabase);
+    // The congestion detector goes with this processor, so a jam it reported could never clear
+    await resolveTrafficJams(stream.id, { status: 'stream_stopped', timestamp: new Date() }, io, supabase).catch(error => {
+      console.error('Error resolving traffic jams:', error.message);
+    });
+    if (activeProcessors.get(stream.id) === controller) {
+      activeProcessors.delete(stream.id);
+    }
+    if (!activeProcessors.has(stream.id)) {
+      mlService.releaseStream(stream.id);
+      await evidence.releaseStream(stream.id);
+    }
+  }
+}
+
+async function saveFlowStats(rows, supabase) {
+  if (rows.length === 0) return;
 
-      clearInterval(processInterval);
+  const { error } = await supabase.from('flow_stats').insert(rows);
+  if (error) {
+    console.error('Error saving flow stats:', error.message);
+  }
+}
+
+async function stopRecording(streamId) {
+  const recorder = activeRecordings.get(streamId);
+  if (!recorder) return null;
+
+  activeRecordings.delete(streamId);
+  await recorder.close();
+  return recorder.getInfo();
+}
+
+function stopStreamProcessor(streamId) {
+  const controller = activeProcessors.get(streamId);
+  if (controller) {
+    controller.abort();
+    activeProcessors.delete(streamId);
+  }
+}
+
+// Newest pending alerts of a stream and type that a detection is correlated with
+const RECENT_INCIDENTS = 20;
+
+// Open a pending alert for a detection, merge it into the incident it repeats, or join it to the incident
+// a nearby camera is reporting (see services/incidents.js). `replaced` tells whether the detection became
+// the key detection of its pending alert, `escalated` whether it made the incident urgent.
+async function recordIncident(stream, candidate, thresholds, captureEvidence, supabase) {
+  const { data: recent, error } = await supabase
+    .from('pending_alerts')
+    .select('*')
+    .eq('stream_id', stream.id)
+    .eq('type', candidate.type)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_INCIDENTS);
+
+  if (error) throw error;
+
+  const now = new Date();
+  const { action, incident } = correlateIncident(candidate, recent || [], {
+    mergeSeconds: thresholds.incidentMergeSeconds,
+    cooldownSeconds: thresholds.incidentCooldownSeconds,
+    now: now.getTime()
+  });
+
+  if (action === 'suppress') {
+    return { action, pendingAlert: incident, replaced: false, escalated: false };
+  }
+
+  if (action === 'open') {
+    const nearby = await correlateWithNearbyStreams(stream, candidate, now, supabase);
+
+    if (nearby.action === 'suppress') {
+      return { action: 'suppress', pendingAlert: nearby.incident, replaced: false, escalated: false };
+    }
+    if (nearby.action === 'join') {
+      const pendingAlert = await insertPendingAlert(stream, candidate, nearby.incident.incident_id || nearby.incident.id, await captureEvidence(), now, supabase);
+      return {
+        action: 'join',
+        pendingAlert,
+        replaced: true,
+        escalated: candidate.priority === 'urgent' && nearby.incident.priority !== 'urgent'
+      };
+    }
+  }
+
+  if (action === 'merge') {
+    const replaced = outranks(candidate, incident);
+    const update = {
+      detection_count: (incident.detection_count || 1) + 1,
+      last_detected_at: now.toISOString(),
+      confidence: Math.max(incident.confidence, candidate.confidence)
+    };
+    if (replaced) {
+      Object.assign(update, {
+        priority: candidate.priority,
+        detection_data: candidate.detectionData,
+        frame_timestamp: candidate.frameTimestamp,
+        evidence: (await captureEvidence()) || incident.evidence
+      });
     }
-  }, 5000);
+
+    const { data: pendingAlert } = await supabase
+      .from('pending_alerts')
+      .update(update)
+      .eq('id', incident.id)
+      .select()
+      .single();
+
+    return { action, pendingAlert, replaced, escalated: replaced && candidate.priority === 'urgent' && incident.priority !== 'urgent' };
+  }
+
+  const pendingAlert = await insertPendingAlert(stream, candidate, null, await captureEvidence(), now, supabase);
+  return { action, pendingAlert, replaced: true, escalated: false };
+}
+
+// Same-type incidents of other streams active within the correlation window
+async function correlateWithNearbyStreams(stream, candidate, now, supabase) {
+  const options = getCorrelationOptions();
+  if (options.radiusMeters <= 0) return { action: 'open', incident: null };
+
+  const since = new Date(now.getTime() - options.windowSeconds * 1000).toISOString();
+  const { data: recent, error } = await supabase
+    .from('pending_alerts')
+    .select('*')
+    .eq('type', candidate.type)
+    .neq('stream_id', stream.id)
+    .or(`last_detected_at.gte.${since},approved_at.gte.${since}`)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_INCIDENTS);
+
+  if (error) throw error;
+  return correlateAcrossStreams(candidate, recent || [], { ...options, now: now.getTime() });
+}
+
+// `incidentId` is the first pending alert of the incident when the detection joins another camera's
+async function insertPendingAlert(stream, candidate, incidentId, evidenceLink, now, supabase) {
+  const { data: pendingAlert } = await supabase
+    .from('pending_alerts')
+    .insert([{
+      stream_id: stream.id,
+      incident_id: incidentId,
+      type: candidate.type,
+      priority: candidate.priority,
+      detection_data: candidate.detectionData,
+      evidence: evidenceLink,
+      frame_timestamp: candidate.frameTimestamp,
+      confidence: candidate.confidence,
+      detection_count: 1,
+      last_detected_at: now.toISOString(),
+      status: 'pending'
+    }])
+    .select()
+    .single();
+
+  return pendingAlert;
+}
+
+// Repeats and other cameras' detections update the incident under review. Its own detection (`detection`,
+// with the stream) is only replaced by the stream that opened it.
+async function emitIncidentUpdate(pendingAlert, detection, io, supabase) {
+  if (!pendingAlert) return;
+
+  const incident = await loadIncident(supabase, pendingAlert.incident_id || pendingAlert.id);
+  io.emit('incident-updated', pendingAlert.incident_id ? { pendingAlert: incident } : { pendingAlert: incident, ...detection });
+}
+
+function logSuppressed(label, stream, pendingAlert) {
+  console.log(`${label} at ${stream.location} repeats ${pendingAlert.status} alert ${pendingAlert.id} - cooling down`);
+}
+
+function logJoined(label, stream, pendingAlert) {
+  console.log(`${label} at ${stream.location} joins incident ${pendingAlert?.incident_id} seen by a nearby camera`);
 }
 
 // Handle accident detection - create pending alert for approval
-async function handleAccidentDetection(stream, detectionResult, io, supabase) {
+async function handleAccidentDetection(stream, detectionResult, thresholds, captureEvidence, io, supabase) {
   try {
     const detectionData = {
       accidents: detectionResult.accidents,
@@ -246,28 +771,37 @@ async function handleAccidentDetection(stream, detectionResult, io, supabase) {
       location: stream.location,
       latitude: stream.latitude,
       longitude: stream.longitude,
-      severity: detectionResult.confidence > 0.85 ? 'critical' : detectionResult.confidence > 0.75 ? 'high' : 'medium',
+      severity: detectionResult.severity,
+      severityBreakdown: detectionResult.severityBreakdown,
       boundingBoxes: detectionResult.detections.map(d => ({
         x: d.boundingBox.x,
         y: d.boundingBox.y,
         width: d.boundingBox.width,
         height: d.boundingBox.height,
         class: d.class,
-        confidence: d.confidence
+        confidence: d.confidence,
+        trackId: d.trackId,
+        laneId: d.laneId
       }))
     };
 
-    const { data: pendingAlert } = await supabase
-      .from('pending_alerts')
-      .insert([{
-        stream_id: stream.id,
-        detection_data: detectionData,
-        frame_timestamp: detectionResult.timestamp.toISOString(),
-        confidence: detectionResult.confidence,
-        status: 'pending'
-      }])
-      .select()
-      .single();
+    const { action, pendingAlert, replaced } = await recordIncident(stream, {
+      type: 'accident',
+      priority: 'normal',
+      confidence: detectionResult.confidence,
+      frameTimestamp: detectionResult.timestamp.toISOString(),
+      detectionData
+    }, thresholds, captureEvidence, supabase);
+
+    if (action === 'suppress') {
+      logSuppressed('Accident', stream, pendingAlert);
+      return;
+    }
+    if (action === 'merge' || action === 'join') {
+      await emitIncidentUpdate(pendingAlert, replaced ? { stream, detectionResult } : {}, io, supabase);
+      if (action === 'join') logJoined('Accident', stream, pendingAlert);
+      return;
+    }
 
     io.emit('accident-detected-pending', {
       pendingAlert,
@@ -282,4 +816,147 @@ async function handleAccidentDetection(stream, detectionResult, io, supabase) {
   }
 }
 
+const HAZARD_LABELS = {
+  wrong_way: 'Wrong-way driver',
+  stalled_vehicle: 'Stalled vehicle',
+  debris: 'Debris',
+  pedestrian_hazard: 'Pedestrian in roadway'
+};
+
+// Handle hazard events (wrong-way drivers, stalled vehicles, debris, pedestrians) - urgent ones skip the normal queue
+async function handleHazardEvent(stream, event, detectionResult, thresholds, captureEvidence, io, supabase) {
+  try {
+    // The offending track, plus for pedestrians the vehicles heading at them
+    const highlightedTrackIds = [event.trackId, ...(event.nearbyVehicles || []).map(vehicle => vehicle.trackId)];
+    const detectionData = {
+      events: [event],
+      highlightedTrackIds,
+      vehicles: detectionResult.frameAnalysis,
+      frameTimestamp: detectionResult.timestamp,
+      location: stream.location,
+      latitude: stream.latitude,
+      longitude: stream.longitude,
+      severity: event.severity,
+      severityBreakdown: describeEventSeverity(event),
+      boundingBoxes: detectionResult.detections.map(d => ({
+        x: d.boundingBox.x,
+        y: d.boundingBox.y,
+        width: d.boundingBox.width,
+        height: d.boundingBox.height,
+        class: d.class,
+        confidence: d.confidence,
+        trackId: d.trackId,
+        laneId: d.laneId,
+        highlighted: highlightedTrackIds.includes(d.trackId)
+      }))
+    };
+
+    const { action, pendingAlert, replaced, escalated } = await recordIncident(stream, {
+      type: event.type,
+      priority: event.priority,
+      confidence: event.confidence,
+      frameTimestamp: detectionResult.timestamp.toISOString(),
+      detectionData
+    }, thresholds, captureEvidence, supabase);
+
+    if (action === 'suppress') {
+      logSuppressed(HAZARD_LABELS[event.type] || event.type, stream, pendingAlert);
+      return;
+    }
+    // An incident that turns urgent is raised for review again
+    if ((action === 'merge' || action === 'join') && !escalated) {
+      await emitIncidentUpdate(pendingAlert, replaced ? { stream, event } : {}, io, supabase);
+      if (action === 'join') logJoined(HAZARD_LABELS[event.type] || event.type, stream, pendingAlert);
+      return;
+    }
+
+    io.emit(event.priority === 'urgent' ? 'urgent-alert-pending' : 'hazard-detected-pending', {
+      pendingAlert,
+      stream,
+      event
+    });
+
+    console.log(`${HAZARD_LABELS[event.type] || event.type} (${event.trackId}, ${event.severity}) at ${stream.location} - ${event.priority === 'urgent' ? 'urgent review' : 'awaiting approval'}`);
+
+  } catch (error) {
+    console.error('Error handling hazard event:', error);
+  }
+}
+
+// Handle congestion - jams open a traffic_jam alert directly and resolve it when flow recovers
+async function handleTrafficJam(stream, event, io, supabase) {
+  try {
+    if (event.status === 'cleared') {
+      await resolveTrafficJams(stream.id, event, io, supabase);
+      console.log(`Traffic jam cleared at ${stream.location} after ${Math.round(event.durationSeconds)}s`);
+      return;
+    }
+
+    const { data: openJams } = await supabase
+      .from('alerts')
+      .select('*')
+      .eq('stream_id', stream.id)
+      .eq('type', 'traffic_jam')
+      .neq('status', 'resolved');
+
+    // Keep an alert that is still open rather than opening a second one
+    if (openJams && openJams.length > 0) return;
+
+    const { data: alert } = await supabase
+      .from('alerts')
+      .insert([{
+        stream_id: stream.id,
+        location: stream.location,
+        latitude: stream.latitude,
+        longitude: stream.longitude,
+        severity: event.severity,
+        type: 'traffic_jam',
+        status: 'sent',
+        confidence: event.confidence,
+        detection_data: { congestion: event, severityBreakdown: describeEventSeverity(event) },
+        description: `Traffic jam: ${event.averageVehicles.toFixed(1)} vehicles moving at ${event.averageSpeed.toFixed(0)} ${event.speedUnit} on average over ${event.windowSeconds}s`,
+        sent_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    io.emit('traffic-jam-detected', { alert, stream, congestion: event });
+
+    console.log(`Traffic jam detected at ${stream.location}`);
+
+  } catch (error) {
+    console.error('Error handling traffic jam:', error);
+  }
+}
+
+// Resolve a stream's open jam alerts. `cleared` is the congestion event that ended the jam, or says why
+// the alerts were closed without one.
+async function resolveTrafficJams(streamId, cleared, io, supabase) {
+  const { data: openJams, error } = await supabase
+    .from('alerts')
+    .select('*')
+    .eq('stream_id', streamId)
+    .eq('type', 'traffic_jam')
+    .neq('status', 'resolved');
+
+  if (error) throw error;
+
+  const now = new Date().toISOString();
+
+  for (const jam of openJams || []) {
+    const { data: resolved } = await supabase
+      .from('alerts')
+      .update({
+        status: 'resolved',
+        resolved_at: now,
+        detection_data: { ...jam.detection_data, cleared }
+      })
+      .eq('id', jam.id)
+      .select()
+      .single();
+
+    if (resolved) io.emit('alert-status-updated', resolved);
+  }
+}
+
 export default router;
@@ -0,0 +1,194 @@
+import { Jimp, loadFont, measureText } from 'jimp';
+import { SANS_16_WHITE } from 'jimp/fonts';
+
+// Renders what the model saw: boxes colored by class with track IDs, the collision pair (and any tracks
+// a hazard event points at) highlighted, and a timestamp and location watermark. Drawn over the frame when
+// there is one, otherwise over a blank frame sized to fit the boxes.
+const CLASS_COLORS = {
+  car: 0x3b82f6ff,
+  truck: 0xf97316ff,
+  bus: 0xa855f7ff,
+  motorcycle: 0x22c55eff,
+  bicycle: 0x14b8a6ff,
+  person: 0xeab308ff
+};
+const OTHER_COLOR = 0x9ca3afff;
+const COLLISION_COLOR = 0xef4444ff;
+const HIGHLIGHT_COLOR = 0xd946efff;
+const BLANK_COLOR = 0x1f2937ff;
+const DEFAULT_FRAME = { width: 1280, height: 720 };
+
+let fontPromise = null;
+function getFont() {
+  fontPromise = fontPromise || loadFont(SANS_16_WHITE);
+  return fontPromise;
+}
+
+function channels(color) {
+  return [(color >>> 24) & 0xff, (color >>> 16) & 0xff, (color >>> 8) & 0xff];
+}
+
+// Blends `color` over the pixels of a rectangle, clipped to the image
+function fillRect(image, x, y, width, height, color, alpha = 1) {
+  const { data, width: imageWidth, height: imageHeight } = image.bitmap;
+  const [r, g, b] = channels(color);
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(imageWidth, Math.round(x + width));
+  const y1 = Math.min(imageHeight, Math.round(y + height));
+
+  for (let row = y0; row < y1; row++) {
+    for (let column = x0; column < x1; column++) {
+      const index = (row * imageWidth + column) * 4;
+      data[index] = data[index] * (1 - alpha) + r * alpha;
+      data[index + 1] = data[index + 1] * (1 - alpha) + g * alpha;
+      data[index + 2] = data[index + 2] * (1 - alpha) + b * alpha;
+      data[index + 3] = 255;
+    }
+  }
+}
+
+function strokeRect(image, box, color, thickness) {
+  fillRect(image, box.x, box.y, box.width, thickness, color);
+  fillRect(image, box.x, box.y + box.height - thickness, box.width, thickness, color);
+  fillRect(image, box.x, box.y, thickness, box.height, color);
+  fillRect(image, box.x + box.width - thickness, box.y, thickness, box.height, color);
+}
+
+function drawLine(image, from, to, color, thickness) {
+  const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y)));
+  for (let step = 0; step <= steps; step++) {
+    const x = from.x + ((to.x - from.x) * step) / steps;
+    const y = from.y + ((to.y - from.y) * step) / steps;
+    fillRect(image, x - thickness / 2, y - thickness / 2, thickness, thickness, color);
+  }
+}
+
+// The bitmap font only has printable ASCII
+function printable(text) {
+  return String(text).replace(/[^\x20-\x7e]/g, '?');
+}
+
+function label(image, font, text, x, y, color) {
+  const value = printable(text);
+  const width = measureText(font, value) + 8;
+  const top = Math.max(0, y - 20);
+  const left = Math.min(Math.max(0, x), Math.max(0, image.bitmap.width - width));
+
+  fillRect(image, left, top, width, 20, color, 0.85);
+  image.print({ font, x: left + 4, y: top + 1, text: value });
+}
+
+function center(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+function sameBox(a, b) {
+  return ['x', 'y', 'width', 'height'].every(key => Math.abs(a[key] - b[key]) < 0.5);
+}
+
+// `track_12` -> `#12`; detections without a track keep no ID
+function shortTrackId(trackId) {
+  const match = /(\d+)$/.exec(trackId || '');
+  return match ? `#${match[1]}` : null;
+}
+
+// Stored alerts keep boxes flat ({x, y, width, height, class, ...}); results nest them under boundingBox
+function normalizeDetection(detection) {
+  const box = detection.boundingBox || detection;
+  return {
+    box: { x: box.x, y: box.y, width: box.width, height: box.height },
+    class: detection.class,
+    confidence: detection.confidence,
+    trackId: detection.trackId || null,
+    highlighted: !!detection.highlighted
+  };
+}
+
+// Frame size for a blank background: large enough for every box, at least 1280x720
+function blankFrameSize(detections) {
+  return {
+    width: Math.max(DEFAULT_FRAME.width, ...detections.map(d => Math.ceil(d.box.x + d.box.width))),
+    height: Math.max(DEFAULT_FRAME.height, ...detections.map(d => Math.ceil(d.box.y + d.box.height)))
+  };
+}
+
+// frame: { image (Buffer or null), detections, accidents, highlightedTrackIds, timestamp, location }.
+// Accidents mark their pair by trackIds (tracked streams) or boundingBoxes (single frames). Returns a JPEG.
+export async function renderAnnotatedFrame(frame) {
+  const detections = (frame.detections || []).map(normalizeDetection);
+  const image = frame.image
+    ? await Jimp.read(frame.image)
+    : new Jimp({ ...blankFrameSize(detections), color: BLANK_COLOR });
+  const font = await getFont();
+  const thickness = Math.max(2, Math.round(image.bitmap.width / 640));
+  const highlightedTrackIds = new Set(frame.highlightedTrackIds || []);
+
+  const pairs = (frame.accidents || []).map(accident => {
+    const members = detections.filter(detection =>
+      (accident.trackIds || []).includes(detection.trackId) ||
+      (accident.boundingBoxes || []).some(box => sameBox(box, detection.box)));
+    return members.slice(0, 2);
+  });
+  const colliding = new Set(pairs.flat());
+  const isHighlighted = detection => detection.highlighted || highlightedTrackIds.has(detection.trackId);
+  const emphasis = detection => (colliding.has(detection) ? 2 : isHighlighted(detection) ? 1 : 0);
+
+  // Plain boxes first so emphasized ones are drawn on top
+  const ordered = [...detections].sort((a, b) => emphasis(a) - emphasis(b));
+
+  for (const detection of ordered) {
+    const color = [CLASS_COLORS[detection.class] || OTHER_COLOR, HIGHLIGHT_COLOR, COLLISION_COLOR][emphasis(detection)];
+    const weight = emphasis(detection) > 0 ? thickness * 2 : thickness;
+
+    strokeRect(image, detection.box, color, weight);
+    const confidence = typeof detection.confidence === 'number' ? ` ${Math.round(detection.confidence * 100)}%` : '';
+    label(image, font, [shortTrackId(detection.trackId), `${detection.class}${confidence}`].filter(Boolean).join(' '),
+      detection.box.x, detection.box.y, color);
+  }
+
+  for (const [first, second] of pairs.filter(pair => pair.length === 2)) {
+    const from = center(first.box);
+    const to = center(second.box);
+    drawLine(image, from, to, COLLISION_COLOR, thickness);
+    label(image, font, 'COLLISION', (from.x + to.x) / 2, (from.y + to.y) / 2, COLLISION_COLOR);
+  }
+
+  // Watermark: location on the left, capture time (UTC) on the right
+  const { width, height } = image.bitmap;
+  const timestamp = frame.timestamp ? new Date(frame.timestamp) : null;
+  const time = timestamp && !Number.isNaN(timestamp.getTime())
+    ? `${timestamp.toISOString().replace('T', ' ').slice(0, 19)} UTC`
+    : 'time unknown';
+  fillRect(image, 0, height - 24, width, 24, 0x000000ff, 0.6);
+  image.print({ font, x: 8, y: height - 22, text: printable(frame.location || 'Unknown location') });
+  image.print({ font, x: Math.max(8, width - measureText(font, time) - 8), y: height - 22, text: time });
+
+  return image.getBuffer('image/jpeg', { quality: 85 });
+}
+
+// Annotation input for a stored alert's detection_data (accident or hazard)
+export function frameFromDetectionData(detectionData = {}) {
+  return {
+    detections: detectionData.boundingBoxes || [],
+    accidents: detectionData.accidents || [],
+    highlightedTrackIds: detectionData.highlightedTrackIds || [],
+    timestamp: detectionData.frameTimestamp,
+    location: detectionData.location
+  };
+}
+
+// Annotation input for a processFrame result
+export function frameFromResult(result, image = null, location = null) {
+  const highlightedTrackIds = (result.events || []).flatMap(event =>
+    [event.trackId, ...(event.nearbyVehicles || []).map(vehicle => vehicle.trackId)]).filter(Boolean);
+
+  return {
+    image,
+    detections: result.detections,
+    accidents: result.accidents,
+    highlightedTrackIds,
+    timestamp: result.timestamp,
+    location
+  };
+}
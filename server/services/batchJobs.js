@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { renderAnnotatedFrame, frameFromResult } from './annotation.js';
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  maxImages: 500,
+  // Finished jobs stay pollable this long before they are dropped
+  retentionMinutes: 60,
+  // Uploaded images and annotated frames wait here on disk rather than in memory
+  dir: path.join(os.tmpdir(), 'trafficwatch-batches')
+};
+
+// Every file the manager writes is named after a random UUID, which is how leftovers are recognised
+const BATCH_FILE_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}[.-]/;
+
+export const BATCH_IMAGE_PATTERN = /\.(jpe?g|png|bmp|gif|tiff?)$/i;
+
+const CSV_COLUMNS = [
+  'index', 'name', 'status', 'accidentDetected', 'confidence', 'severity', 'accidents',
+  'vehicleCount', 'personCount', 'detections', 'latencyMs', 'error'
+];
+
+export class BatchValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchValidationError';
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row of the downloadable summary, also sent with each progress event
+export function summarizeBatchImage(image) {
+  const result = image.result;
+  return {
+    index: image.index,
+    name: image.name,
+    status: image.status,
+    accidentDetected: result ? result.accidentDetected : null,
+    confidence: result ? result.confidence : null,
+    severity: result?.severity ?? null,
+    accidents: result ? result.accidents.length : null,
+    vehicleCount: result ? result.frameAnalysis.vehicleCount : null,
+    personCount: result ? result.frameAnalysis.personCount : null,
+    detections: result ? result.detections.length : null,
+    latencyMs: image.latencyMs,
+    error: image.error
+  };
+}
+
+// In-memory batch jobs: each job runs its images through mlService.processFrame, `concurrency` at a
+// time, one frame each (as /analyze-image does). Images and annotated frames are files in options.dir:
+// an image is read when its turn comes and deleted once analyzed, annotated frames when the job is
+// dropped. Jobs are lost on restart, and the files they left behind are deleted on the next start.
+class BatchJobManager {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.jobs = new Map();
+    this.prepareDir();
+  }
+
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  prepareDir() {
+    fs.mkdirSync(this.options.dir, { recursive: true });
+    for (const name of fs.readdirSync(this.options.dir).filter(name => BATCH_FILE_PATTERN.test(name))) {
+      fs.rmSync(path.join(this.options.dir, name), { force: true });
+    }
+  }
+
+  // A fresh path in the batch directory for an upload or an extracted image
+  createFilePath(extension = '.upload') {
+    return path.join(this.options.dir, `${crypto.randomUUID()}${extension}`);
+  }
+
+  // Deletes files of images that never made it into a job
+  async discard(images) {
+    await Promise.all(images.map(image => fs.promises.rm(image.file, { force: true })));
+  }
+
+  // images: [{ name, file, size, mimeType }], `file` being a path in options.dir that the job takes over;
+  // options.annotate keeps an annotated JPEG of every analyzed image; options.onProgress(job, image) is
+  // called after every image and once more when the job ends
+  createJob(mlService, images, { annotate = false, onProgress = () => {} } = {}) {
+    this.prune();
+
+    if (images.length === 0) {
+      throw new BatchValidationError('No images provided');
+    }
+    if (images.length > this.options.maxImages) {
+      throw new BatchValidationError(`A batch may hold at most ${this.options.maxImages} images (got ${images.length})`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      annotate,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      total: images.length,
+      processed: 0,
+      failed: 0,
+      accidents: 0,
+      images: images.map((image, index) => ({
+        index,
+        name: image.name,
+        size: image.size,
+        mimeType: image.mimeType || null,
+        status: 'queued',
+        result: null,
+        error: null,
+        latencyMs: null,
+        annotated: null,
+        file: image.file
+      }))
+    };
+    this.jobs.set(job.id, job);
+
+    this.run(mlService, job, onProgress).catch(error => {
+      console.error(`❌ Batch job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.finishedAt = new Date();
+      onProgress(job, null);
+    });
+
+    return job;
+  }
+
+  async run(mlService, job, onProgress) {
+    job.status = 'running';
+    job.startedAt = new Date();
+    let next = 0;
+
+    const worker = async () => {
+      while (job.status === 'running' && next < job.images.length) {
+        const image = job.images[next++];
+        await this.processImage(mlService, job, image);
+        onProgress(job, image);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.options.concurrency, job.images.length) }, worker));
+
+    if (job.status === 'running') job.status = 'completed';
+    job.finishedAt = new Date();
+    onProgress(job, null);
+  }
+
+  async processImage(mlService, job, image) {
+    image.status = 'processing';
+    let buffer;
+    try {
+      buffer = await fs.promises.readFile(image.file);
+    } catch (error) {
+      console.error(`❌ Failed to read ${image.name}:`, error.message);
+    }
+
+    const startedAt = performance.now();
+    const result = buffer ? await mlService.processFrame(buffer) : { error: 'Uploaded image is no longer available' };
+
+    image.latencyMs = Math.round((performance.now() - startedAt) * 100) / 100;
+
+    if (result.error) {
+      image.status = 'failed';
+      image.error = result.error;
+      job.failed++;
+    } else {
+      image.status = 'completed';
+      image.result = result;
+      if (result.accidentDetected) job.accidents++;
+
+      if (job.annotate) {
+        // A drawing failure leaves the analysis itself intact
+        try {
+          const annotated = path.join(this.options.dir, `${job.id}-${image.index}.jpg`);
+          await fs.promises.writeFile(annotated, await renderAnnotatedFrame(frameFromResult(result, buffer, image.name)));
+          image.annotated = annotated;
+        } catch (error) {
+          console.error(`❌ Failed to annotate ${image.name}:`, error.message);
+        }
+      }
+    }
+
+    await this.removeFile(image, 'file');
+    job.processed++;
+  }
+
+  async removeFile(image, key) {
+    const file = image[key];
+    image[key] = null;
+    if (file) await fs.promises.rm(file, { force: true }).catch(() => {});
+  }
+
+  getJob(id) {
+    this.prune();
+    return this.jobs.get(id) || null;
+  }
+
+  // Images not yet started are skipped; the ones in flight still finish
+  cancelJob(id) {
+    const job = this.getJob(id);
+    if (!job) return null;
+
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'cancelled';
+      for (const image of job.images.filter(image => image.status === 'queued')) {
+        image.status = 'skipped';
+        this.removeFile(image, 'file');
+      }
+    }
+    return job;
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = now - this.options.retentionMinutes * 60000;
+    for (const [id, job] of this.jobs) {
+      if (!job.finishedAt || job.finishedAt.getTime() >= cutoff) continue;
+
+      this.jobs.delete(id);
+      for (const image of job.images) {
+        this.removeFile(image, 'file');
+        this.removeFile(image, 'annotated');
+      }
+    }
+  }
+
+  // Progress view; with includeResults, the full processFrame result of every finished image
+  describe(job, { includeResults = false } = {}) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      total: job.total,
+      processed: job.processed,
+      failed: job.failed,
+      accidents: job.accidents,
+      progress: job.total > 0 ? job.processed / job.total : 1,
+      ...(includeResults && {
+        images: job.images.map(image => ({
+          index: image.index,
+          name: image.name,
+          size: image.size,
+          status: image.status,
+          latencyMs: image.latencyMs,
+          error: image.error,
+          result: image.result,
+          annotatedImageUrl: image.annotated ? `/api/ml/batch/${job.id}/images/${image.index}/annotated` : null
+        }))
+      })
+    };
+  }
+
+  summarize(job) {
+    return { ...this.describe(job), images: job.images.map(summarizeBatchImage) };
+  }
+
+  toCsv(job) {
+    const rows = job.images.map(summarizeBatchImage).map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+    return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+  }
+}
+
+export default BatchJobManager;
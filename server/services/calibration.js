@@ -0,0 +1,191 @@
+// Per-stream camera calibration, stored as `streams.calibration` (jsonb). Four or more image points
+// (pixels in the camera frame) are paired with their position on the road plane in metres; the
+// homography fitted to them maps any point where an object touches the road to ground coordinates.
+//
+//   {
+//     points: [{ image: { x, y }, ground: { x, y } }, ...],   at least 4, no 3 image points in a line
+//     homography: [h11, h12, h13, h21, h22, h23, h31, h32, h33],  computed server-side, row-major
+//     rmsError: 0.12                                          metres, fit residual over the points
+//   }
+export class CalibrationValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalibrationValidationError';
+  }
+}
+
+const MIN_POINTS = 4;
+
+function readPoint(point, label) {
+  const [x, y] = Array.isArray(point) ? point : [point?.x, point?.y];
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    throw new CalibrationValidationError(`${label} needs numeric x/y`);
+  }
+  return { x, y };
+}
+
+// Translates points to their centroid and scales them to an average distance of sqrt(2),
+// which keeps the least-squares system well conditioned for pixel-sized inputs
+function normalizationOf(points) {
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const spread = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+
+  if (spread === 0) return null;
+  const s = Math.SQRT2 / spread;
+  return { apply: p => ({ x: (p.x - cx) * s, y: (p.y - cy) * s }), matrix: [s, 0, -s * cx, 0, s, -s * cy, 0, 0, 1] };
+}
+
+function multiply(a, b) {
+  const result = new Array(9).fill(0);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      for (let k = 0; k < 3; k++) result[row * 3 + col] += a[row * 3 + k] * b[k * 3 + col];
+    }
+  }
+  return result;
+}
+
+function invertSimilarity([s, , tx, , , ty]) {
+  return [1 / s, 0, -tx / s, 0, 1 / s, -ty / s, 0, 0, 1];
+}
+
+// Gaussian elimination with partial pivoting; null when the system is singular
+function solve(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-10) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k];
+    }
+  }
+
+  const result = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k++) sum -= rows[row][k] * result[k];
+    result[row] = sum / rows[row][row];
+  }
+  return result;
+}
+
+function hasCollinearTriple(points) {
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      for (let k = j + 1; k < points.length; k++) {
+        const [a, b, c] = [points[i], points[j], points[k]];
+        const area = Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+        const scale = Math.max(Math.hypot(b.x - a.x, b.y - a.y), Math.hypot(c.x - a.x, c.y - a.y)) ** 2;
+        if (area <= scale * 1e-3) return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Least-squares homography (h33 = 1) from image to ground, fitted on normalized coordinates
+export function computeHomography(pairs) {
+  if (!Array.isArray(pairs) || pairs.length < MIN_POINTS) {
+    throw new CalibrationValidationError(`Calibration needs at least ${MIN_POINTS} points`);
+  }
+
+  const imageNorm = normalizationOf(pairs.map(p => p.image));
+  const groundNorm = normalizationOf(pairs.map(p => p.ground));
+  if (!imageNorm || !groundNorm) {
+    throw new CalibrationValidationError('Calibration points must not all be the same point');
+  }
+
+  const normal = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const rhs = new Array(8).fill(0);
+  const accumulate = (row, value) => {
+    for (let i = 0; i < 8; i++) {
+      rhs[i] += row[i] * value;
+      for (let j = 0; j < 8; j++) normal[i][j] += row[i] * row[j];
+    }
+  };
+
+  for (const pair of pairs) {
+    const { x, y } = imageNorm.apply(pair.image);
+    const { x: gx, y: gy } = groundNorm.apply(pair.ground);
+    accumulate([x, y, 1, 0, 0, 0, -x * gx, -y * gx], gx);
+    accumulate([0, 0, 0, x, y, 1, -x * gy, -y * gy], gy);
+  }
+
+  const solution = solve(normal, rhs);
+  if (!solution) {
+    throw new CalibrationValidationError('Calibration points are degenerate; spread them across the road surface');
+  }
+
+  const homography = multiply(invertSimilarity(groundNorm.matrix), multiply([...solution, 1], imageNorm.matrix));
+  const scale = homography[8];
+  if (Math.abs(scale) < 1e-12) {
+    throw new CalibrationValidationError('Calibration points are degenerate; spread them across the road surface');
+  }
+  return homography.map(value => value / scale);
+}
+
+// Image point -> ground point in metres, or null for points on or beyond the horizon
+export function projectPoint(homography, point) {
+  const [h11, h12, h13, h21, h22, h23, h31, h32, h33] = homography;
+  const w = h31 * point.x + h32 * point.y + h33;
+  if (w <= 1e-12) return null;
+  return {
+    x: (h11 * point.x + h12 * point.y + h13) / w,
+    y: (h21 * point.x + h22 * point.y + h23) / w
+  };
+}
+
+// Validates a calibration from the API and returns the stored shape; null clears it
+export function normalizeCalibration(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new CalibrationValidationError('Calibration must be an object');
+  }
+  if (!Array.isArray(input.points) || input.points.length < MIN_POINTS) {
+    throw new CalibrationValidationError(`Calibration needs at least ${MIN_POINTS} points`);
+  }
+
+  const points = input.points.map((point, index) => ({
+    image: readPoint(point?.image, `Point ${index + 1} image position`),
+    ground: readPoint(point?.ground, `Point ${index + 1} ground position`)
+  }));
+
+  if (hasCollinearTriple(points.map(p => p.image)) || hasCollinearTriple(points.map(p => p.ground))) {
+    throw new CalibrationValidationError('No three calibration points may lie on one line');
+  }
+
+  let homography = computeHomography(points);
+
+  // All points must sit on the same side of the horizon; flip the sign so that side projects
+  const weights = points.map(({ image }) => homography[6] * image.x + homography[7] * image.y + homography[8]);
+  if (!weights.every(w => w > 0) && !weights.every(w => w < 0)) {
+    throw new CalibrationValidationError('Calibration points straddle the horizon; pick points on the road surface');
+  }
+  if (weights[0] < 0) homography = homography.map(value => -value);
+
+  const squared = points.reduce((sum, { image, ground }) => {
+    const projected = projectPoint(homography, image);
+    return sum + (projected.x - ground.x) ** 2 + (projected.y - ground.y) ** 2;
+  }, 0);
+
+  return {
+    points,
+    homography,
+    rmsError: Math.sqrt(squared / points.length)
+  };
+}
+
+// Image -> ground mapper for a stored calibration, or null for uncalibrated streams
+export function createGroundProjector(calibration) {
+  if (!Array.isArray(calibration?.homography) || calibration.homography.length !== 9) return null;
+  return point => projectPoint(calibration.homography, point);
+}
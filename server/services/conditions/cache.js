@@ -0,0 +1,40 @@
+// Small TTL cache for provider lookups; concurrent misses for one key share a single load.
+// Failures are kept for failureTtlMs (0: not at all), so that while a provider is down callers fail
+// at once instead of each waiting out its timeout.
+class TtlCache {
+  constructor(ttlMs, failureTtlMs = 0) {
+    this.ttlMs = ttlMs;
+    this.failureTtlMs = failureTtlMs;
+    this.entries = new Map();
+  }
+
+  async getOrLoad(key, load, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (entry && (entry.pending || now - entry.loadedAt < entry.ttlMs)) {
+      if (entry.error) throw entry.error;
+      return entry.pending || entry.value;
+    }
+
+    const pending = Promise.resolve().then(load);
+    this.entries.set(key, { pending });
+
+    try {
+      const value = await pending;
+      this.entries.set(key, { value, loadedAt: Date.now(), ttlMs: this.ttlMs });
+      return value;
+    } catch (error) {
+      if (this.failureTtlMs > 0) {
+        this.entries.set(key, { error, loadedAt: Date.now(), ttlMs: this.failureTtlMs });
+      } else {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default TtlCache;
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeOpenWeather } from './weather.js';
+import { distanceKm } from '../geometry.js';
+
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/weather.json');
+const MAX_DISTANCE_KM = 50;
+
+// Stand-in for OpenWeather without an API key: canned OpenWeather responses from a JSON file.
+// A place gets the fixture with its name, else the nearest one within 50 km, else the first.
+class FixtureWeatherProvider {
+  constructor(options = {}) {
+    this.provider = 'fixture';
+    this.file = options.file || DEFAULT_FIXTURES;
+    this.fixtures = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+    if (!Array.isArray(this.fixtures) || this.fixtures.length === 0) {
+      throw new Error(`Weather fixtures ${this.file} must be a non-empty array of OpenWeather responses`);
+    }
+  }
+
+  async getWeather(place = {}) {
+    return normalizeOpenWeather(this.findFixture(place), this.provider);
+  }
+
+  findFixture(place) {
+    const name = place.location?.trim().toLowerCase();
+    const named = name && this.fixtures.find(fixture => fixture.name?.toLowerCase() === name);
+    if (named) return named;
+
+    if (Number.isFinite(place.latitude) && Number.isFinite(place.longitude)) {
+      const here = { lat: place.latitude, lon: place.longitude };
+      const nearest = this.fixtures
+        .filter(fixture => fixture.coord)
+        .map(fixture => ({ fixture, distance: distanceKm(here, fixture.coord) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+      if (nearest && nearest.distance <= MAX_DISTANCE_KM) return nearest.fixture;
+    }
+
+    return this.fixtures[0];
+  }
+}
+
+export default FixtureWeatherProvider;
@@ -0,0 +1,60 @@
+// Traffic conditions at a stream's location, derived from our own flow statistics (`flow_stats`)
+// and, while the stream is running, its live congestion window.
+const RECENT_MINUTES = 15;
+
+// Occupancy (share of frames a lane holds a vehicle) at which each level starts
+const LEVELS = [
+  ['congested', 0.6],
+  ['heavy', 0.35],
+  ['moderate', 0.15],
+  ['light', 0]
+];
+
+class FlowTrafficProvider {
+  constructor(supabase) {
+    this.provider = 'flow';
+    this.supabase = supabase;
+  }
+
+  // stream: a streams row; live: MLService congestion stats for the stream, or null when it is not running
+  async getConditions(stream, live = null) {
+    const since = new Date(Date.now() - RECENT_MINUTES * 60 * 1000);
+    const { data: rows, error } = await this.supabase
+      .from('flow_stats')
+      .select('*')
+      .eq('stream_id', stream.id)
+      .eq('bucket_seconds', 300)
+      .gte('bucket_start', new Date(Math.floor(since.getTime() / 300000) * 300000).toISOString())
+      .order('bucket_start', { ascending: true });
+
+    if (error) throw error;
+
+    const frames = (rows || []).reduce((sum, row) => sum + row.frames, 0);
+    if (frames === 0 && !live) {
+      return { level: 'unknown', averageSpeed: null, speedUnit: null, congestionIndex: null, vehiclesPerMinute: null, jam: false, source: this.provider, buckets: 0 };
+    }
+
+    const occupancy = frames > 0 ? rows.reduce((sum, row) => sum + Number(row.occupancy) * row.frames, 0) / frames : 0;
+    const speedRows = (rows || []).filter(row => row.average_speed !== null);
+    const speedUnit = speedRows[speedRows.length - 1]?.speed_unit ?? null;
+    const sameUnit = speedRows.filter(row => row.speed_unit === speedUnit);
+    const samples = sameUnit.reduce((sum, row) => sum + row.speed_samples, 0);
+    const minutes = (rows || []).reduce((sum, row) => sum + row.bucket_seconds / 60, 0);
+    const jam = live?.state === 'jam';
+
+    return {
+      level: jam ? 'congested' : LEVELS.find(([, min]) => occupancy >= min)[0],
+      averageSpeed: live?.averageSpeed ?? (samples > 0
+        ? sameUnit.reduce((sum, row) => sum + Number(row.average_speed) * row.speed_samples, 0) / samples
+        : null),
+      speedUnit: live?.averageSpeed != null ? live.speedUnit : speedUnit,
+      congestionIndex: jam ? Math.max(occupancy, LEVELS[0][1]) : occupancy,
+      vehiclesPerMinute: minutes > 0 ? rows.reduce((sum, row) => sum + row.vehicle_total, 0) / minutes : null,
+      jam,
+      source: this.provider,
+      buckets: (rows || []).length
+    };
+  }
+}
+
+export default FlowTrafficProvider;
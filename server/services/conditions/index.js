@@ -0,0 +1,34 @@
+import OpenWeatherProvider from './openWeatherProvider.js';
+import FixtureWeatherProvider from './fixtureWeatherProvider.js';
+import FlowTrafficProvider from './flowTrafficProvider.js';
+
+const WEATHER_PROVIDERS = {
+  openweather: OpenWeatherProvider,
+  fixture: FixtureWeatherProvider
+};
+
+// Weather providers implement getWeather({ location, latitude, longitude }) -> normalized weather;
+// traffic providers implement getConditions(stream, liveCongestion) -> traffic conditions.
+export function createWeatherProvider(provider, options = {}) {
+  const Provider = WEATHER_PROVIDERS[provider];
+
+  if (!Provider) {
+    throw new Error(`Unknown weather provider "${provider}" (expected one of: ${Object.keys(WEATHER_PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+// OpenWeather when an API key is configured, the fixture stand-in otherwise
+export function createWeatherProviderFromEnv(env = process.env) {
+  const provider = env.WEATHER_PROVIDER || (env.OPENWEATHER_API_KEY ? 'openweather' : 'fixture');
+
+  return createWeatherProvider(provider, {
+    apiKey: env.OPENWEATHER_API_KEY,
+    url: env.OPENWEATHER_URL,
+    timeout: parseInt(env.WEATHER_TIMEOUT) || undefined,
+    file: env.WEATHER_FIXTURES
+  });
+}
+
+export { FlowTrafficProvider };
@@ -0,0 +1,38 @@
+import axios from 'axios';
+import { normalizeOpenWeather } from './weather.js';
+
+const DEFAULT_URL = 'https://api.openweathermap.org/data/2.5/weather';
+
+// Current conditions from the OpenWeatherMap API, by coordinates when the place has them, else by name
+class OpenWeatherProvider {
+  constructor(options = {}) {
+    this.provider = 'openweather';
+    this.apiKey = options.apiKey;
+    this.url = options.url || DEFAULT_URL;
+    this.timeout = options.timeout || 5000;
+
+    if (!this.apiKey) {
+      throw new Error('OpenWeather provider needs OPENWEATHER_API_KEY');
+    }
+  }
+
+  async getWeather(place = {}) {
+    const hasCoordinates = Number.isFinite(place.latitude) && Number.isFinite(place.longitude);
+    if (!hasCoordinates && !place.location) {
+      throw new Error('Weather lookup needs a location or coordinates');
+    }
+
+    const response = await axios.get(this.url, {
+      params: {
+        ...(hasCoordinates ? { lat: place.latitude, lon: place.longitude } : { q: place.location }),
+        units: 'metric',
+        appid: this.apiKey
+      },
+      timeout: this.timeout
+    });
+
+    return normalizeOpenWeather(response.data, this.provider);
+  }
+}
+
+export default OpenWeatherProvider;
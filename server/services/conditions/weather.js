@@ -0,0 +1,18 @@
+// OpenWeather "current weather" response -> the shape the API and risk assessment use.
+// Every weather provider returns this shape, so fixtures are stored as OpenWeather responses.
+export function normalizeOpenWeather(data, source) {
+  const condition = data.weather?.[0] || {};
+
+  return {
+    location: data.name || null,
+    coordinates: data.coord ? { latitude: data.coord.lat, longitude: data.coord.lon } : null,
+    conditions: condition.main || 'Unknown',
+    description: condition.description || null,
+    temperature: data.main?.temp ?? null,
+    humidity: data.main?.humidity ?? null,
+    visibility: data.visibility ?? 10000,
+    windSpeed: data.wind?.speed ?? 0,
+    observedAt: data.dt ? new Date(data.dt * 1000) : new Date(),
+    source
+  };
+}
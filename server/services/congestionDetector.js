@@ -0,0 +1,114 @@
+const DEFAULT_OPTIONS = {
+  minVehicles: 6,
+  maxSpeed: 40,
+  windowSeconds: 60,
+  minCoverage: 0.8,
+  clearVehiclesRatio: 0.7,
+  clearSpeedRatio: 1.5,
+  speedWindowSeconds: 1,
+  speedUnit: 'px/s'
+};
+
+// Sustained congestion per stream. Every frame adds a sample (visible vehicles, their mean speed in speedUnit:
+// px/s from box centres, or km/h from the tracker's ground speed on calibrated streams);
+// averages over the last windowSeconds open a jam when there are at least minVehicles moving at maxSpeed
+// or slower. The jam only clears once the averages pass clearly looser limits (fewer than
+// clearVehiclesRatio x minVehicles, or faster than clearSpeedRatio x maxSpeed), so it does not flap.
+class CongestionDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.samples = [];
+    this.jam = null;
+  }
+
+  configure(options) {
+    // Samples in the old unit cannot be averaged with new ones, e.g. right after a stream is calibrated
+    if (options.speedUnit && options.speedUnit !== this.options.speedUnit) this.samples = [];
+    Object.assign(this.options, options);
+  }
+
+  // Returns a traffic_jam event when a jam starts or clears, null otherwise
+  update(tracks, frame) {
+    const timestamp = frame.timestamp;
+    const visible = tracks.filter(track => track.lastSeen === timestamp);
+    const speeds = visible.map(track => this.speedOf(track, timestamp)).filter(speed => speed !== null);
+
+    this.samples.push({
+      timestamp,
+      vehicles: visible.length,
+      speed: speeds.length > 0 ? speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length : null
+    });
+    this.samples = this.samples.filter(sample => timestamp - sample.timestamp <= this.options.windowSeconds * 1000);
+
+    const stats = this.getStats();
+    if (stats.coverage < this.options.minCoverage) return null;
+
+    const { minVehicles, maxSpeed, clearVehiclesRatio, clearSpeedRatio } = this.options;
+
+    if (!this.jam && stats.averageVehicles >= minVehicles && stats.averageSpeed !== null && stats.averageSpeed <= maxSpeed) {
+      this.jam = { startedAt: timestamp };
+      return this.createEvent('started', stats, timestamp);
+    }
+
+    if (this.jam && (stats.averageVehicles < minVehicles * clearVehiclesRatio ||
+      (stats.averageSpeed !== null && stats.averageSpeed > maxSpeed * clearSpeedRatio))) {
+      const event = this.createEvent('cleared', stats, timestamp);
+      this.jam = null;
+      return event;
+    }
+
+    return null;
+  }
+
+  getStats() {
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    const moving = this.samples.filter(sample => sample.speed !== null);
+
+    return {
+      state: this.jam ? 'jam' : 'free',
+      averageVehicles: this.samples.reduce((sum, sample) => sum + sample.vehicles, 0) / (this.samples.length || 1),
+      averageSpeed: moving.length > 0 ? moving.reduce((sum, sample) => sum + sample.speed, 0) / moving.length : null,
+      speedUnit: this.options.speedUnit,
+      windowSeconds: this.options.windowSeconds,
+      coverage: last ? (last.timestamp - first.timestamp) / (this.options.windowSeconds * 1000) : 0,
+      jamSince: this.jam ? new Date(this.jam.startedAt) : null
+    };
+  }
+
+  createEvent(status, stats, timestamp) {
+    const slowness = stats.averageSpeed === null ? 1 : 1 - Math.min(1, stats.averageSpeed / (this.options.maxSpeed * this.options.clearSpeedRatio));
+
+    return {
+      type: 'traffic_jam',
+      status,
+      averageVehicles: stats.averageVehicles,
+      averageSpeed: stats.averageSpeed,
+      speedUnit: this.options.speedUnit,
+      windowSeconds: stats.windowSeconds,
+      startedAt: new Date(this.jam.startedAt),
+      durationSeconds: (timestamp - this.jam.startedAt) / 1000,
+      // Near-standstill queues are rated higher than slow-moving traffic
+      severity: stats.averageSpeed !== null && stats.averageSpeed <= this.options.maxSpeed / 4 ? 'high' : 'medium',
+      confidence: Math.min(1, 0.5 + 0.5 * slowness),
+      timestamp: new Date(timestamp)
+    };
+  }
+
+  // Track speed over the last speedWindowSeconds, or null without enough history
+  speedOf(track, timestamp) {
+    if (this.options.speedUnit === 'km/h') return track.speedKmh ?? null;
+
+    const history = track.history.filter(h => h.timestamp >= timestamp - this.options.speedWindowSeconds * 1000);
+    if (history.length < 2) return null;
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const seconds = (last.timestamp - first.timestamp) / 1000;
+    if (seconds <= 0) return null;
+
+    return Math.hypot(last.center.x - first.center.x, last.center.y - first.center.y) / seconds;
+  }
+}
+
+export default CongestionDetector;
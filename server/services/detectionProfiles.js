@@ -0,0 +1,167 @@
+// Accident thresholds per stream: built-in defaults, then the stream's named profile
+// (`streams.detection_profile`), then its own overrides (`streams.thresholds`).
+// The *Meters / *Kmh thresholds replace their pixel counterparts on calibrated streams.
+export const DEFAULT_THRESHOLDS = {
+  minVehicles: 2,
+  maxDistanceBetweenVehicles: 100,
+  maxDistanceMeters: 5,
+  collisionConfidenceThreshold: 0.7,
+  timeWindowForCollision: 5,
+  stationaryDwellSeconds: 20,
+  signalCycleSeconds: 120,
+  jamMinVehicles: 6,
+  jamMaxSpeed: 40,
+  jamMaxSpeedKmh: 20,
+  jamWindowSeconds: 60,
+  incidentMergeSeconds: 120,
+  incidentCooldownSeconds: 300,
+  severityCutoffs: {
+    critical: 0.85,
+    high: 0.75,
+    medium: 0.65
+  }
+};
+
+export const DETECTION_PROFILES = {
+  default: {
+    name: 'Default',
+    description: 'General purpose settings',
+    thresholds: {}
+  },
+  highway: {
+    name: 'Highway',
+    description: 'Fast traffic seen from afar: wider spacing, shorter window, stricter confidence',
+    thresholds: {
+      maxDistanceBetweenVehicles: 160,
+      maxDistanceMeters: 8,
+      collisionConfidenceThreshold: 0.75,
+      timeWindowForCollision: 4,
+      stationaryDwellSeconds: 15,
+      jamMaxSpeed: 60,
+      jamMaxSpeedKmh: 40,
+      severityCutoffs: { critical: 0.8, high: 0.7, medium: 0.6 }
+    }
+  },
+  'urban-intersection': {
+    name: 'Urban intersection',
+    description: 'Dense slow traffic that often stops close together: tighter spacing, longer window, waits out red lights before calling a vehicle stalled',
+    thresholds: {
+      maxDistanceBetweenVehicles: 70,
+      maxDistanceMeters: 3,
+      collisionConfidenceThreshold: 0.8,
+      timeWindowForCollision: 7,
+      stationaryDwellSeconds: 90,
+      jamMinVehicles: 8,
+      jamMaxSpeedKmh: 10,
+      jamWindowSeconds: 120,
+      severityCutoffs: { critical: 0.9, high: 0.8, medium: 0.7 }
+    }
+  },
+  tunnel: {
+    name: 'Tunnel',
+    description: 'No escape route and poor lighting: more sensitive and every incident rated higher',
+    thresholds: {
+      collisionConfidenceThreshold: 0.6,
+      timeWindowForCollision: 5,
+      stationaryDwellSeconds: 10,
+      jamWindowSeconds: 45,
+      severityCutoffs: { critical: 0.75, high: 0.65, medium: 0.5 }
+    }
+  }
+};
+
+const LIMITS = {
+  minVehicles: [2, 20],
+  maxDistanceBetweenVehicles: [1, 5000],
+  maxDistanceMeters: [0.5, 200],
+  collisionConfidenceThreshold: [0, 1],
+  timeWindowForCollision: [0.5, 120],
+  stationaryDwellSeconds: [2, 3600],
+  signalCycleSeconds: [10, 3600],
+  jamMinVehicles: [1, 200],
+  jamMaxSpeed: [1, 2000],
+  jamMaxSpeedKmh: [1, 200],
+  jamWindowSeconds: [10, 1800],
+  incidentMergeSeconds: [5, 3600],
+  incidentCooldownSeconds: [0, 86400]
+};
+
+export class ThresholdValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ThresholdValidationError';
+  }
+}
+
+export function listProfiles() {
+  return Object.entries(DETECTION_PROFILES).map(([id, profile]) => ({
+    id,
+    name: profile.name,
+    description: profile.description,
+    thresholds: mergeThresholds(DEFAULT_THRESHOLDS, profile.thresholds)
+  }));
+}
+
+function mergeThresholds(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    severityCutoffs: { ...base.severityCutoffs, ...overrides.severityCutoffs }
+  };
+}
+
+export function validateProfile(profile) {
+  if (profile !== null && profile !== undefined && !DETECTION_PROFILES[profile]) {
+    throw new ThresholdValidationError(`Unknown detection profile "${profile}" (expected one of: ${Object.keys(DETECTION_PROFILES).join(', ')})`);
+  }
+  return profile ?? null;
+}
+
+// Validates per-stream overrides; only the keys given are stored, null clears them
+export function normalizeThresholds(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ThresholdValidationError('Thresholds must be an object');
+  }
+
+  const thresholds = {};
+
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'severityCutoffs') continue;
+    if (!LIMITS[key]) {
+      throw new ThresholdValidationError(`Unknown threshold "${key}"`);
+    }
+    const [min, max] = LIMITS[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new ThresholdValidationError(`${key} must be a number between ${min} and ${max}`);
+    }
+    thresholds[key] = value;
+  }
+
+  if (input.severityCutoffs) {
+    thresholds.severityCutoffs = {};
+    for (const [level, value] of Object.entries(input.severityCutoffs)) {
+      if (!(level in DEFAULT_THRESHOLDS.severityCutoffs)) {
+        throw new ThresholdValidationError(`Unknown severity level "${level}"`);
+      }
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new ThresholdValidationError(`Severity cutoff ${level} must be between 0 and 1`);
+      }
+      thresholds.severityCutoffs[level] = value;
+    }
+  }
+
+  return thresholds;
+}
+
+// Effective thresholds for a stream row (defaults <- profile <- overrides)
+export function resolveThresholds(stream = {}) {
+  const profile = DETECTION_PROFILES[stream.detection_profile] || DETECTION_PROFILES.default;
+  const resolved = mergeThresholds(mergeThresholds(DEFAULT_THRESHOLDS, profile.thresholds), stream.thresholds || {});
+  const { critical, high, medium } = resolved.severityCutoffs;
+
+  if (!(critical >= high && high >= medium)) {
+    throw new ThresholdValidationError('Severity cutoffs must satisfy critical >= high >= medium');
+  }
+  return resolved;
+}
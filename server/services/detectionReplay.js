@@ -0,0 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { sleep } from './sleep.js';
+
+// Detection recordings are JSON Lines: one header line, then one line per processed frame.
+//
+//   {"type":"header","format":"traffic-detections","version":1,"streamId":"...","source":"...","location":"...","startedAt":"..."}
+//   {"type":"frame","frameNumber":0,"timestamp":"2026-01-01T12:00:00.000Z","detections":[
+//     {"class":"car","confidence":0.91,"boundingBox":{"x":10,"y":20,"width":120,"height":60},"trackId":"track_1"}]}
+//
+// The header is optional when replaying; frame lines need a timestamp and a detections array.
+export const RECORDING_FORMAT = 'traffic-detections';
+export const RECORDING_VERSION = 1;
+
+export class RecordingFormatError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'RecordingFormatError';
+    this.code = 'INVALID_RECORDING';
+    this.line = line;
+  }
+}
+
+export class RecordingPathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecordingPathError';
+    this.code = 'RECORDING_OUTSIDE_DIR';
+  }
+}
+
+export function getRecordingsDir() {
+  return path.resolve(process.env.RECORDINGS_DIR || './recordings');
+}
+
+// replay://<file> is resolved against RECORDINGS_DIR, plain .jsonl paths against the working directory and
+// replay:///abs/path is taken as it is. Whichever it is, the file must be inside RECORDINGS_DIR: whoever can
+// create a stream must not be able to make the server read any other file.
+export function resolveRecordingPath(url) {
+  const match = /^replay:\/\/([^?#]*)(?:\?([^#]*))?/i.exec(url);
+  const dir = getRecordingsDir();
+  const file = match ? path.resolve(dir, decodeURIComponent(match[1])) : path.resolve(url.split('?')[0]);
+  const relative = path.relative(dir, file);
+
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new RecordingPathError(`Recordings must be inside ${dir} (RECORDINGS_DIR)`);
+  }
+
+  return { file, params: new URLSearchParams((match ? match[2] : url.split('?')[1]) || '') };
+}
+
+function parseDetection(detection, line) {
+  const box = detection?.boundingBox;
+
+  if (typeof detection?.class !== 'string' || !box || ['x', 'y', 'width', 'height'].some(key => typeof box[key] !== 'number')) {
+    throw new RecordingFormatError('Detection needs a class and a numeric boundingBox {x, y, width, height}', line);
+  }
+
+  return {
+    class: detection.class,
+    confidence: typeof detection.confidence === 'number' ? detection.confidence : 1,
+    boundingBox: { x: box.x, y: box.y, width: box.width, height: box.height },
+    ...(detection.trackId && { recordedTrackId: detection.trackId })
+  };
+}
+
+// Returns null for header lines, a normalized frame record otherwise
+export function parseRecordingLine(text, line) {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch {
+    throw new RecordingFormatError('Line is not valid JSON', line);
+  }
+
+  if (record.type === 'header') {
+    if (record.format !== RECORDING_FORMAT || record.version > RECORDING_VERSION) {
+      throw new RecordingFormatError(`Unsupported recording format ${record.format} v${record.version}`, line);
+    }
+    return null;
+  }
+
+  const timestamp = new Date(record.timestamp);
+  if (Number.isNaN(timestamp.getTime()) || !Array.isArray(record.detections)) {
+    throw new RecordingFormatError('Frame needs a timestamp and a detections array', line);
+  }
+
+  return {
+    frameNumber: record.frameNumber,
+    timestamp,
+    detections: record.detections.map(detection => parseDetection(detection, line))
+  };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Yields recorded frames shaped like live frames. Timestamps are shifted to start now while keeping
+// the recorded spacing, so the tracker and temporal detector see the same timing as the original run.
+// Query options: speed (playback rate, default 1) and loop=1.
+export async function* replayFrames(url, options = {}) {
+  const { file, params } = resolveRecordingPath(url);
+  const speed = parseFloat(params.get('speed')) || 1;
+  const loop = params.get('loop') === '1' || params.get('loop') === 'true' || !!options.loop;
+
+  await fs.promises.access(file, fs.constants.R_OK);
+
+  let frameNumber = 0;
+  let offset = Date.now();
+
+  do {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineNumber = 0;
+    let firstRecorded = null;
+    let lastRecorded = null;
+    const startedAt = Date.now();
+
+    try {
+      for await (const text of lines) {
+        lineNumber++;
+        if (!text.trim()) continue;
+
+        const record = parseRecordingLine(text, lineNumber);
+        if (!record) continue;
+
+        firstRecorded = firstRecorded ?? record.timestamp.getTime();
+        lastRecorded = record.timestamp.getTime();
+        const elapsed = lastRecorded - firstRecorded;
+
+        if (options.realtime !== false) {
+          await sleep(Math.max(0, startedAt + elapsed / speed - Date.now()), options.signal);
+        }
+        if (options.signal?.aborted) return;
+
+        yield {
+          buffer: null,
+          frameNumber: frameNumber++,
+          timestamp: new Date(offset + elapsed),
+          source: 'replay',
+          url,
+          detections: record.detections,
+          replay: {
+            file: path.basename(file),
+            line: lineNumber,
+            recordedFrameNumber: record.frameNumber,
+            recordedAt: record.timestamp
+          }
+        };
+      }
+    } finally {
+      lines.close();
+    }
+
+    if (firstRecorded === null) {
+      throw new RecordingFormatError(`Recording ${path.basename(file)} has no frames`);
+    }
+    // Next pass continues the timeline one frame gap after the last replayed frame
+    offset += lastRecorded - firstRecorded + 1000;
+  } while (loop && !options.signal?.aborted);
+}
+
+// Appends a stream's per-frame detection output to a recording file
+export class DetectionRecorder {
+  constructor(stream, options = {}) {
+    const startedAt = new Date();
+    const dir = options.dir || getRecordingsDir();
+    const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    this.streamId = stream.id;
+    this.fileName = options.fileName || `${stream.id}-${stamp}.jsonl`;
+    this.filePath = path.join(dir, this.fileName);
+    this.startedAt = startedAt;
+    this.frames = 0;
+    this.output = fs.createWriteStream(this.filePath, { flags: 'a' });
+
+    this.writeLine({
+      type: 'header',
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      streamId: stream.id,
+      source: stream.url,
+      location: stream.location,
+      startedAt
+    });
+  }
+
+  writeLine(record) {
+    this.output.write(`${JSON.stringify(record)}\n`);
+  }
+
+  record(frame, result) {
+    this.frames++;
+    this.writeLine({
+      type: 'frame',
+      frameNumber: frame.frameNumber,
+      timestamp: result.timestamp,
+      detections: result.detections.map(detection => ({
+        class: detection.class,
+        confidence: round(detection.confidence, 4),
+        boundingBox: {
+          x: round(detection.boundingBox.x, 2),
+          y: round(detection.boundingBox.y, 2),
+          width: round(detection.boundingBox.width, 2),
+          height: round(detection.boundingBox.height, 2)
+        },
+        trackId: detection.trackId
+      }))
+    });
+  }
+
+  getInfo() {
+    return {
+      streamId: this.streamId,
+      file: this.fileName,
+      url: `replay://${this.fileName}`,
+      startedAt: this.startedAt,
+      frames: this.frames
+    };
+  }
+
+  close() {
+    return new Promise(resolve => this.output.end(resolve));
+  }
+}
+
+export async function listRecordings(dir = getRecordingsDir()) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const recordings = await Promise.all(entries
+    .filter(name => name.endsWith('.jsonl'))
+    .map(async (name) => {
+      const stats = await fs.promises.stat(path.join(dir, name));
+      return { file: name, url: `replay://${name}`, size: stats.size, modifiedAt: stats.mtime };
+    }));
+
+  return recordings.sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
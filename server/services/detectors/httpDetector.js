@@ -0,0 +1,87 @@
+import axios from 'axios';
+
+// Remote inference server contract:
+//   GET  {url}/info   -> { name, version, capabilities, classes }
+//   POST {url}/detect -> raw image bytes in, { detections: [{ class, confidence, boundingBox: { x, y, width, height } }] } out
+class HttpDetector {
+  constructor(options = {}) {
+    this.provider = 'http';
+    this.url = (options.url || '').replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+    this.apiKey = options.apiKey || null;
+    this.remoteInfo = null;
+  }
+
+  async load() {
+    if (!this.url) {
+      throw new Error('ML_INFERENCE_URL is required for the http detector');
+    }
+
+    const response = await axios.get(`${this.url}/info`, {
+      timeout: this.timeout,
+      headers: this.getHeaders()
+    });
+
+    this.remoteInfo = response.data || {};
+    console.log(`http detector connected to ${this.url} (${this.remoteInfo.name || 'unnamed'} ${this.remoteInfo.version || ''})`);
+  }
+
+  isReady() {
+    return !!this.remoteInfo;
+  }
+
+  getInfo() {
+    const info = this.remoteInfo || {};
+
+    return {
+      provider: this.provider,
+      name: info.name || 'Remote inference server',
+      version: info.version || null,
+      capabilities: info.capabilities || ['object-detection'],
+      classes: info.classes || [],
+      endpoint: this.url
+    };
+  }
+
+  getHeaders(extra = {}) {
+    return {
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      ...extra
+    };
+  }
+
+  async detect(frame) {
+    if (!frame) {
+      throw new Error('Frame contains no image data');
+    }
+
+    const response = await axios.post(`${this.url}/detect`, frame, {
+      timeout: this.timeout,
+      headers: this.getHeaders({ 'Content-Type': 'application/octet-stream' }),
+      maxBodyLength: Infinity
+    });
+
+    const detections = response.data?.detections;
+    if (!Array.isArray(detections)) {
+      throw new Error('Inference server response is missing a detections array');
+    }
+
+    const timestamp = Date.now();
+
+    return detections
+      .filter(d => d && d.class && d.boundingBox)
+      .map((d, index) => ({
+        class: d.class,
+        confidence: Number(d.confidence) || 0,
+        boundingBox: {
+          x: Number(d.boundingBox.x) || 0,
+          y: Number(d.boundingBox.y) || 0,
+          width: Number(d.boundingBox.width) || 0,
+          height: Number(d.boundingBox.height) || 0
+        },
+        id: d.id || `${d.class.replace(/\s+/g, '_')}_${index}_${timestamp}`
+      }));
+  }
+}
+
+export default HttpDetector;
@@ -0,0 +1,35 @@
+import SimulatorDetector from './simulatorDetector.js';
+import TfjsDetector from './tfjsDetector.js';
+import HttpDetector from './httpDetector.js';
+
+const DETECTOR_PROVIDERS = {
+  simulator: SimulatorDetector,
+  tfjs: TfjsDetector,
+  http: HttpDetector
+};
+
+// Every provider implements: load(), isReady(), getInfo(), detect(frame) -> detections[]
+export function createDetector(provider, options = {}) {
+  const Detector = DETECTOR_PROVIDERS[provider];
+
+  if (!Detector) {
+    throw new Error(`Unknown detector provider "${provider}" (expected one of: ${Object.keys(DETECTOR_PROVIDERS).join(', ')})`);
+  }
+
+  return new Detector(options);
+}
+
+export function createDetectorFromEnv(env = process.env) {
+  const provider = env.ML_DETECTOR || 'tfjs';
+
+  return createDetector(provider, {
+    modelPath: env.ML_MODEL_PATH,
+    modelName: env.ML_MODEL_NAME,
+    detectionThreshold: parseFloat(env.ML_DETECTION_THRESHOLD) || undefined,
+    maxDetections: parseInt(env.ML_MAX_DETECTIONS) || undefined,
+    url: env.ML_INFERENCE_URL,
+    apiKey: env.ML_INFERENCE_API_KEY,
+    timeout: parseInt(env.ML_INFERENCE_TIMEOUT) || undefined,
+    seed: env.ML_SIMULATION_SEED || undefined
+  });
+}
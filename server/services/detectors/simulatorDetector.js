@@ -0,0 +1,34 @@
+import { createRandom, randomDetections } from '../simulation/index.js';
+
+// Fabricated detections for demos and UI work; ignores the frame entirely.
+// Pass a seed (ML_SIMULATION_SEED) to get the same sequence on every run.
+class SimulatorDetector {
+  constructor(options = {}) {
+    this.provider = 'simulator';
+    this.seed = options.seed;
+    this.random = createRandom(options.seed);
+  }
+
+  async load() {}
+
+  isReady() {
+    return true;
+  }
+
+  getInfo() {
+    return {
+      provider: this.provider,
+      name: 'Random traffic simulator',
+      version: '1.1.0',
+      capabilities: ['object-detection', 'simulated'],
+      classes: ['car', 'truck', 'bus', 'motorcycle', 'bicycle', 'person'],
+      seed: this.seed ?? null
+    };
+  }
+
+  async detect() {
+    return randomDetections(this.random);
+  }
+}
+
+export default SimulatorDetector;
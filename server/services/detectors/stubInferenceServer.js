@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+// Canned scene returned when no detections are supplied: two cars in contact and a pedestrian
+const DEFAULT_DETECTIONS = [
+  { class: 'car', confidence: 0.93, boundingBox: { x: 320, y: 180, width: 140, height: 90 } },
+  { class: 'car', confidence: 0.9, boundingBox: { x: 400, y: 200, width: 150, height: 95 } },
+  { class: 'person', confidence: 0.81, boundingBox: { x: 120, y: 220, width: 30, height: 70 } }
+];
+
+// Stand-in for a GPU inference box that speaks the http detector contract.
+// `detections` may be an array or a function (frameBuffer, requestIndex) => detections[].
+export function startStubInferenceServer(options = {}) {
+  const {
+    port = 0,
+    host = '127.0.0.1',
+    detections = DEFAULT_DETECTIONS,
+    name = 'Stub inference server',
+    version = '0.0.0-stub',
+    delay = 0
+  } = options;
+
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (req.method === 'GET' && req.url === '/info') {
+        return send(200, {
+          name,
+          version,
+          capabilities: ['object-detection', 'stub'],
+          classes: ['car', 'truck', 'bus', 'motorcycle', 'bicycle', 'person']
+        });
+      }
+
+      if (req.method === 'POST' && req.url === '/detect') {
+        const frame = Buffer.concat(chunks);
+        requests.push({ size: frame.length, receivedAt: new Date() });
+
+        const result = typeof detections === 'function'
+          ? detections(frame, requests.length - 1)
+          : detections;
+
+        return setTimeout(() => send(200, { detections: result }), delay);
+      }
+
+      send(404, { error: 'Route not found' });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        url: `http://${host}:${address.port}`,
+        server,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.env.STUB_INFERENCE_PORT) || 5055;
+
+  startStubInferenceServer({ port }).then(({ url }) => {
+    console.log(`🧪 Stub inference server listening on ${url}`);
+    console.log(`   Start the API with ML_DETECTOR=http ML_INFERENCE_URL=${url}`);
+  }).catch(error => {
+    console.error('❌ Failed to start stub inference server:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,248 @@
+import fs from 'fs/promises';
+import path from 'path';
+import * as tf from '@tensorflow/tfjs';
+import { Jimp } from 'jimp';
+
+// COCO label ids emitted by SSD detectors that matter for traffic analysis. Luggage and umbrellas are what
+// COCO has of the things that fall off vehicles; on the roadway they are tracked as possible debris.
+const COCO_TRAFFIC_CLASSES = {
+  1: 'person',
+  2: 'bicycle',
+  3: 'car',
+  4: 'motorcycle',
+  6: 'bus',
+  8: 'truck',
+  10: 'traffic light',
+  13: 'stop sign',
+  14: 'parking meter',
+  27: 'backpack',
+  28: 'umbrella',
+  31: 'handbag',
+  33: 'suitcase'
+};
+
+// Load a converted tfjs graph model (model.json + weight shards) from disk
+function fileSystemModelHandler(modelJSON, modelDir) {
+  return {
+    load: async () => {
+      const weightSpecs = [];
+      const weightBuffers = [];
+
+      for (const group of modelJSON.weightsManifest || []) {
+        weightSpecs.push(...group.weights);
+        for (const shardPath of group.paths) {
+          weightBuffers.push(await fs.readFile(path.join(modelDir, shardPath)));
+        }
+      }
+
+      const weights = Buffer.concat(weightBuffers);
+
+      return {
+        modelTopology: modelJSON.modelTopology,
+        format: modelJSON.format,
+        generatedBy: modelJSON.generatedBy,
+        convertedBy: modelJSON.convertedBy,
+        signature: modelJSON.signature,
+        userDefinedMetadata: modelJSON.userDefinedMetadata,
+        weightSpecs,
+        weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+      };
+    }
+  };
+}
+
+class TfjsDetector {
+  constructor(options = {}) {
+    this.provider = 'tfjs';
+    this.modelPath = options.modelPath || './models/accident-detection-model';
+    this.modelName = options.modelName || null;
+    this.detectionThreshold = options.detectionThreshold || 0.5;
+    this.maxDetections = options.maxDetections || 50;
+    this.model = null;
+    this.metadata = {};
+  }
+
+  async load() {
+    await tf.ready();
+
+    const resolvedPath = path.resolve(this.modelPath);
+    const stats = await fs.stat(resolvedPath);
+    const modelJsonPath = stats.isDirectory() ? path.join(resolvedPath, 'model.json') : resolvedPath;
+    const modelJSON = JSON.parse(await fs.readFile(modelJsonPath, 'utf8'));
+
+    this.model = await tf.loadGraphModel(fileSystemModelHandler(modelJSON, path.dirname(modelJsonPath)));
+
+    // Warm up once so a broken model fails here rather than on the first frame
+    const warmup = tf.zeros([1, 64, 64, 3], 'int32');
+    const warmupOutput = await this.model.executeAsync(warmup);
+    tf.dispose([warmup, warmupOutput]);
+
+    this.metadata = {
+      name: this.modelName || modelJSON.userDefinedMetadata?.name || path.basename(path.dirname(modelJsonPath)),
+      version: modelJSON.userDefinedMetadata?.version || modelJSON.convertedBy || 'unknown',
+      source: modelJsonPath
+    };
+
+    console.log(`tfjs detector loaded ${modelJsonPath} (backend: ${tf.getBackend()})`);
+  }
+
+  isReady() {
+    return !!this.model;
+  }
+
+  getInfo() {
+    return {
+      provider: this.provider,
+      name: this.metadata.name || path.basename(this.modelPath),
+      version: this.metadata.version || null,
+      capabilities: ['object-detection', 'image-input'],
+      classes: Object.values(COCO_TRAFFIC_CLASSES),
+      backend: tf.getBackend()
+    };
+  }
+
+  async detect(frame) {
+    if (!this.model) {
+      throw new Error('tfjs detector model is not loaded');
+    }
+    if (!frame) {
+      throw new Error('Frame contains no image data');
+    }
+
+    const image = await Jimp.read(frame);
+    const { width, height, data } = image.bitmap;
+    const input = this.bitmapToTensor(data, width, height);
+
+    try {
+      return await this.runModel(input, width, height);
+    } finally {
+      input.dispose();
+    }
+  }
+
+  bitmapToTensor(rgba, width, height) {
+    const pixels = new Int32Array(width * height * 3);
+
+    for (let src = 0, dst = 0; src < rgba.length; src += 4, dst += 3) {
+      pixels[dst] = rgba[src];
+      pixels[dst + 1] = rgba[src + 1];
+      pixels[dst + 2] = rgba[src + 2];
+    }
+
+    return tf.tensor4d(pixels, [1, height, width, 3], 'int32');
+  }
+
+  async runModel(input, width, height) {
+    const result = await this.model.executeAsync(input);
+    const structured = !Array.isArray(result) && !(result instanceof tf.Tensor);
+    const outputs = structured ? Object.values(result) : [].concat(result);
+    const outputNames = structured ? Object.keys(result) : this.model.outputNodes;
+
+    try {
+      const named = this.mapDetectionOutputs(outputs, outputNames);
+      const candidates = named
+        ? await this.readDetectionApiOutputs(named)
+        : await this.readRawSsdOutputs(outputs);
+
+      const detections = [];
+      const timestamp = Date.now();
+
+      candidates.forEach(({ classId, score, box }, index) => {
+        const className = COCO_TRAFFIC_CLASSES[classId];
+        if (!className || score < this.detectionThreshold) return;
+
+        const [ymin, xmin, ymax, xmax] = box;
+        detections.push({
+          class: className,
+          confidence: score,
+          boundingBox: {
+            x: Math.max(0, xmin * width),
+            y: Math.max(0, ymin * height),
+            width: Math.max(0, (xmax - xmin) * width),
+            height: Math.max(0, (ymax - ymin) * height)
+          },
+          id: `${className.replace(/\s+/g, '_')}_${index}_${timestamp}`
+        });
+      });
+
+      return detections;
+    } finally {
+      tf.dispose(outputs);
+    }
+  }
+
+  // TF Object Detection API exports name their outputs detection_boxes, detection_scores, ...
+  mapDetectionOutputs(outputs, outputNames = []) {
+    const names = outputNames.map(name => name.split(':')[0]);
+    if (names.length !== outputs.length) return null;
+
+    const find = (key) => outputs[names.findIndex(name => name.includes(key))];
+    const boxes = find('detection_boxes');
+    const scores = find('detection_scores');
+    const classes = find('detection_classes');
+
+    if (!boxes || !scores || !classes) return null;
+    return { boxes, scores, classes, count: find('num_detections') };
+  }
+
+  async readDetectionApiOutputs({ boxes, scores, classes, count }) {
+    const [boxData, scoreData, classData] = await Promise.all([boxes.data(), scores.data(), classes.data()]);
+    const total = count ? Math.round((await count.data())[0]) : scoreData.length;
+    const candidates = [];
+
+    for (let i = 0; i < Math.min(total, this.maxDetections); i++) {
+      candidates.push({
+        classId: Math.round(classData[i]),
+        score: scoreData[i],
+        box: Array.from(boxData.slice(i * 4, i * 4 + 4))
+      });
+    }
+
+    return candidates;
+  }
+
+  // coco-ssd style graph: [scores (1, N, classes), boxes (1, N, 1, 4)] that still need NMS
+  async readRawSsdOutputs(outputs) {
+    const scoresTensor = outputs.find(t => t.rank === 3 && t.shape[2] > 4);
+    const boxesTensor = outputs.find(t => t.shape[t.shape.length - 1] === 4 && t !== scoresTensor);
+
+    if (!scoresTensor || !boxesTensor) {
+      throw new Error(`Unsupported detector output shapes: ${outputs.map(t => `[${t.shape}]`).join(', ')}`);
+    }
+
+    const [numBoxes, numClasses] = scoresTensor.shape.slice(1);
+    const scoreData = await scoresTensor.data();
+    const maxScores = new Float32Array(numBoxes);
+    const maxClasses = new Int32Array(numBoxes);
+
+    for (let i = 0; i < numBoxes; i++) {
+      let best = -Infinity;
+      for (let c = 0; c < numClasses; c++) {
+        const score = scoreData[i * numClasses + c];
+        if (score > best) {
+          best = score;
+          maxClasses[i] = c;
+        }
+      }
+      maxScores[i] = best;
+    }
+
+    const boxes2d = boxesTensor.reshape([numBoxes, 4]);
+    const indexTensor = await tf.image.nonMaxSuppressionAsync(
+      boxes2d, maxScores, this.maxDetections, 0.5, this.detectionThreshold
+    );
+    const [indexes, boxData] = await Promise.all([indexTensor.data(), boxes2d.data()]);
+    tf.dispose([boxes2d, indexTensor]);
+
+    // Raw SSD heads reserve index 0 for background when they emit 91 classes
+    const classOffset = numClasses === 91 ? 0 : 1;
+
+    return Array.from(indexes).map(i => ({
+      classId: maxClasses[i] + classOffset,
+      score: maxScores[i],
+      box: Array.from(boxData.slice(i * 4, i * 4 + 4))
+    }));
+  }
+}
+
+export default TfjsDetector;
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import MLService from '../mlService.js';
+import { createDetectorFromEnv } from '../detectors/index.js';
+import { loadDataset, evaluateDataset, compareRuns, validateRun, formatRun, formatComparison } from './index.js';
+
+const USAGE = `Usage: npm run evaluate -- <dataset.json> [options]
+
+  --detector <provider>   detector to run on images (default ML_DETECTOR, else tfjs)
+  --profile <name>        detection profile for every sample
+  --thresholds <json>     threshold overrides for every sample, inline JSON or a .json file
+  --iou <value>           IoU needed to match a detection to a ground-truth box (default 0.5)
+  --output <file>         save this run as JSON
+  --baseline <file>       compare with a run saved earlier with --output
+  --tolerance <value>     ignore metric drops up to this size when comparing (default 0)
+  --fail-on-regression    exit with status 2 when a metric regressed against the baseline`;
+
+async function readJsonOption(value) {
+  return JSON.parse(value.trim().startsWith('{') ? value : await fs.readFile(value, 'utf8'));
+}
+
+async function main() {
+  dotenv.config();
+
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      detector: { type: 'string' },
+      profile: { type: 'string' },
+      thresholds: { type: 'string' },
+      iou: { type: 'string', default: '0.5' },
+      output: { type: 'string' },
+      baseline: { type: 'string' },
+      tolerance: { type: 'string', default: '0' },
+      'fail-on-regression': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const iouThreshold = parseFloat(values.iou);
+  if (!(iouThreshold > 0 && iouThreshold <= 1)) {
+    throw new Error('--iou must be between 0 and 1');
+  }
+
+  const thresholds = values.thresholds ? await readJsonOption(values.thresholds) : undefined;
+  const baseline = values.baseline
+    ? validateRun(JSON.parse(await fs.readFile(values.baseline, 'utf8')), values.baseline)
+    : null;
+  const dataset = await loadDataset(positionals[0], { profile: values.profile, thresholds });
+
+  const detector = createDetectorFromEnv({ ...process.env, ...(values.detector && { ML_DETECTOR: values.detector }) });
+  const mlService = new MLService(detector);
+
+  // Datasets made only of recorded detections never touch the detector, so it is not loaded for them
+  if (dataset.needsDetector) {
+    await mlService.initialize();
+    if (!mlService.isModelLoaded()) {
+      throw new Error(`Detector "${detector.provider}" failed to load: ${mlService.getModelError()}`);
+    }
+  }
+
+  console.log(`Evaluating ${dataset.samples.length} samples from ${dataset.file}...`);
+  const run = await evaluateDataset(mlService, dataset, {
+    iouThreshold,
+    onSample: sample => {
+      const verdict = sample.accidentDetected === sample.accident ? 'ok' : sample.accident ? 'missed' : 'false alarm';
+      console.log(`  ${sample.id}: ${sample.accidentDetected ? 'accident' : 'no accident'} (${verdict})${sample.errors > 0 ? `, ${sample.errors} frames failed` : ''}`);
+    }
+  });
+  run.settings = { profile: values.profile ?? null, thresholds: thresholds ?? null };
+
+  console.log(`\n${formatRun(run)}`);
+
+  if (values.output) {
+    await fs.mkdir(path.dirname(path.resolve(values.output)), { recursive: true });
+    await fs.writeFile(values.output, `${JSON.stringify(run, null, 2)}\n`);
+    console.log(`\nSaved run to ${values.output}`);
+  }
+
+  if (baseline) {
+    const comparison = compareRuns(baseline, run, { tolerance: parseFloat(values.tolerance) || 0 });
+    console.log(`\n${formatComparison(comparison)}`);
+
+    if (comparison.regressions.length > 0 && values['fail-on-regression']) {
+      return 2;
+    }
+  }
+
+  return 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ Evaluation failed: ${error.message}`);
+  process.exitCode = 1;
+});
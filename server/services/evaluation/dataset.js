@@ -0,0 +1,174 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseRecordingLine } from '../detectionReplay.js';
+import { normalizeZones } from '../zones.js';
+import { normalizeCalibration } from '../calibration.js';
+import { resolveThresholds, validateProfile, normalizeThresholds } from '../detectionProfiles.js';
+
+// A labeled dataset is a JSON manifest; paths in it are relative to the manifest's directory.
+//
+//   {
+//     "name": "city-cameras-2026-10",
+//     "profile": "urban-intersection",          // optional, as on a stream
+//     "thresholds": { "maxDistanceBetweenVehicles": 40 },
+//     "samples": [
+//       { "id": "img-001", "image": "images/001.jpg", "accident": false,
+//         "objects": [{ "class": "car", "boundingBox": { "x": 10, "y": 20, "width": 120, "height": 60 } }] },
+//       { "id": "clip-007", "accident": true, "fps": 5,
+//         "frames": [{ "image": "clips/007/000.jpg", "objects": [...] }, { "image": "clips/007/001.jpg" }] },
+//       { "id": "rear-end", "recording": "../replays/rear-end.jsonl", "accident": true }
+//     ]
+//   }
+//
+// Images are run through the detector one frame at a time, as /api/ml/analyze-image does. Clips are run
+// in order as one stream, so tracking and the temporal accident checks apply. A frame may carry recorded
+// `detections` instead of an image, and `recording` replays a detection recording; such frames skip the
+// detector and only exercise the accident logic. Ground-truth `objects` are optional per frame; frames
+// without them are left out of the detection metrics. Samples may set their own zones, calibration,
+// profile and thresholds.
+const DEFAULT_CLIP_FPS = 5;
+
+export class DatasetError extends Error {
+  constructor(message, sampleId) {
+    super(sampleId ? `${message} (sample "${sampleId}")` : message);
+    this.name = 'DatasetError';
+    this.sampleId = sampleId;
+  }
+}
+
+function parseBoxes(list, sampleId, field) {
+  if (list === undefined) return null;
+  if (!Array.isArray(list)) {
+    throw new DatasetError(`${field} must be an array`, sampleId);
+  }
+
+  return list.map(item => {
+    const box = item?.boundingBox;
+    if (typeof item?.class !== 'string' || !box || ['x', 'y', 'width', 'height'].some(key => typeof box[key] !== 'number')) {
+      throw new DatasetError(`Every entry in ${field} needs a class and a numeric boundingBox {x, y, width, height}`, sampleId);
+    }
+    return {
+      class: item.class,
+      confidence: typeof item.confidence === 'number' ? item.confidence : 1,
+      boundingBox: { x: box.x, y: box.y, width: box.width, height: box.height }
+    };
+  });
+}
+
+function parseFrame(frame, root, sampleId) {
+  if (!frame.image && !Array.isArray(frame.detections)) {
+    throw new DatasetError('Every frame needs an image or recorded detections', sampleId);
+  }
+
+  return {
+    image: frame.image ? path.resolve(root, frame.image) : null,
+    detections: parseBoxes(frame.detections, sampleId, 'detections'),
+    objects: parseBoxes(frame.objects, sampleId, 'objects'),
+    timestamp: frame.timestamp ? new Date(frame.timestamp) : null
+  };
+}
+
+async function readRecording(file, sampleId) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new DatasetError(`Cannot read recording ${file}: ${error.message}`, sampleId);
+  }
+
+  try {
+    return text.split('\n')
+      .map((line, index) => (line.trim() ? parseRecordingLine(line, index + 1) : null))
+      .filter(Boolean)
+      .map(record => ({ image: null, detections: record.detections, objects: null, timestamp: record.timestamp }));
+  } catch (error) {
+    throw new DatasetError(`${file}: ${error.message}`, sampleId);
+  }
+}
+
+// Profile and thresholds come from the sample, else the manifest; overrides (from the command line) win over both
+function resolveStreamSettings(sample, manifest, overrides) {
+  try {
+    const base = normalizeThresholds(sample.thresholds ?? manifest.thresholds) || {};
+    const override = normalizeThresholds(overrides.thresholds) || {};
+    const severityCutoffs = { ...base.severityCutoffs, ...override.severityCutoffs };
+
+    return {
+      thresholds: resolveThresholds({
+        detection_profile: validateProfile(overrides.profile ?? sample.profile ?? manifest.profile),
+        thresholds: { ...base, ...override, severityCutoffs }
+      }),
+      zones: sample.zones ? normalizeZones(sample.zones) : null,
+      calibration: sample.calibration ? normalizeCalibration(sample.calibration) : null
+    };
+  } catch (error) {
+    throw new DatasetError(error.message, sample.id);
+  }
+}
+
+// Clip frames without timestamps are spaced 1/fps apart
+function assignTimestamps(frames, fps) {
+  const start = frames.find(frame => frame.timestamp)?.timestamp.getTime() ?? 0;
+  return frames.map((frame, index) => ({ ...frame, timestamp: frame.timestamp || new Date(start + (index * 1000) / fps) }));
+}
+
+// options.profile / options.thresholds override those of the manifest and its samples
+export async function loadDataset(manifestPath, options = {}) {
+  const file = path.resolve(manifestPath);
+  const root = path.dirname(file);
+  let manifest;
+
+  try {
+    manifest = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new DatasetError(`Cannot read dataset manifest ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(manifest.samples) || manifest.samples.length === 0) {
+    throw new DatasetError('Dataset manifest needs a non-empty samples array');
+  }
+
+  const ids = new Set();
+  const samples = [];
+
+  for (const [index, sample] of manifest.samples.entries()) {
+    const id = String(sample.id ?? index);
+    if (ids.has(id)) {
+      throw new DatasetError('Sample ids must be unique', id);
+    }
+    ids.add(id);
+
+    if (typeof sample.accident !== 'boolean') {
+      throw new DatasetError('accident must be true or false', id);
+    }
+
+    let kind;
+    let frames;
+    if (sample.recording) {
+      kind = 'clip';
+      frames = await readRecording(path.resolve(root, sample.recording), id);
+    } else if (Array.isArray(sample.frames)) {
+      kind = 'clip';
+      frames = assignTimestamps(sample.frames.map(frame => parseFrame(frame, root, id)), sample.fps || DEFAULT_CLIP_FPS);
+    } else {
+      kind = 'image';
+      frames = [parseFrame(sample, root, id)];
+    }
+    if (frames.length === 0) {
+      throw new DatasetError('Clip has no frames', id);
+    }
+    for (const frame of frames.filter(frame => frame.image)) {
+      await fs.access(frame.image).catch(() => {
+        throw new DatasetError(`Image ${frame.image} does not exist`, id);
+      });
+    }
+
+    samples.push({ id, kind, accident: sample.accident, frames, ...resolveStreamSettings({ ...sample, id }, manifest, options) });
+  }
+
+  return {
+    name: manifest.name || path.basename(root),
+    file,
+    needsDetector: samples.some(sample => sample.frames.some(frame => frame.image)),
+    samples
+  };
+}
@@ -0,0 +1,151 @@
+import fs from 'fs/promises';
+import { detectionMetrics, confusionMatrix, accidentMetrics, latencyStats } from './metrics.js';
+
+export { loadDataset, DatasetError } from './dataset.js';
+export { formatRun, formatComparison } from './report.js';
+
+export const RUN_FORMAT = 'traffic-evaluation';
+export const RUN_VERSION = 1;
+
+// Metrics compared between runs; higher is better unless noted
+const COMPARED_METRICS = [
+  { key: 'detection.mAP', get: run => run.detection.mAP },
+  { key: 'accidents.precision', get: run => run.accidents.precision },
+  { key: 'accidents.recall', get: run => run.accidents.recall },
+  { key: 'accidents.f1', get: run => run.accidents.f1 },
+  { key: 'latency.averageMs', get: run => run.latency.averageMs, lowerIsBetter: true, informational: true },
+  { key: 'latency.p95Ms', get: run => run.latency.p95Ms, lowerIsBetter: true, informational: true }
+];
+
+async function loadFrame(frame, frameNumber) {
+  return frame.image
+    ? { buffer: await fs.readFile(frame.image), timestamp: frame.timestamp, frameNumber }
+    : { detections: frame.detections.map(detection => ({ ...detection })), timestamp: frame.timestamp, frameNumber };
+}
+
+// Runs every sample of a loaded dataset through mlService.processFrame. Images are judged on their own;
+// each clip runs as its own stream and counts as an accident when any of its frames raised one.
+export async function evaluateDataset(mlService, dataset, options = {}) {
+  const iouThreshold = options.iouThreshold ?? 0.5;
+  const onSample = options.onSample || (() => {});
+  const startedAt = new Date();
+  const latencies = [];
+  const labeledFrames = [];
+  const samples = [];
+
+  for (const sample of dataset.samples) {
+    const streamId = sample.kind === 'clip' ? `evaluation:${sample.id}` : undefined;
+    const clipStart = sample.frames[0].timestamp?.getTime() ?? 0;
+    const record = {
+      id: sample.id,
+      kind: sample.kind,
+      frames: sample.frames.length,
+      accident: sample.accident,
+      accidentDetected: false,
+      confidence: 0,
+      severity: null,
+      firstDetectionSeconds: null,
+      errors: 0
+    };
+
+    try {
+      for (const [frameNumber, frame] of sample.frames.entries()) {
+        const frameData = await loadFrame(frame, frameNumber);
+        const frameStartedAt = performance.now();
+        const result = await mlService.processFrame(frameData, {
+          streamId,
+          thresholds: sample.thresholds,
+          zones: sample.zones,
+          calibration: sample.calibration
+        });
+        latencies.push(performance.now() - frameStartedAt);
+
+        if (result.error) {
+          record.errors++;
+          record.lastError = result.error;
+          continue;
+        }
+        if (frame.objects) {
+          labeledFrames.push({ objects: frame.objects, detections: result.detections });
+        }
+        if (result.accidentDetected) {
+          if (!record.accidentDetected && streamId) {
+            record.firstDetectionSeconds = (frame.timestamp.getTime() - clipStart) / 1000;
+          }
+          record.accidentDetected = true;
+          if (result.confidence > record.confidence) {
+            record.confidence = result.confidence;
+            record.severity = result.severity;
+          }
+        }
+      }
+    } finally {
+      if (streamId) mlService.releaseStream(streamId);
+    }
+
+    samples.push(record);
+    onSample(record);
+  }
+
+  return {
+    format: RUN_FORMAT,
+    version: RUN_VERSION,
+    startedAt,
+    durationSeconds: (Date.now() - startedAt.getTime()) / 1000,
+    dataset: { name: dataset.name, file: dataset.file, samples: dataset.samples.length },
+    detector: dataset.needsDetector ? mlService.getDetectorInfo() : { provider: 'recorded' },
+    detection: detectionMetrics(labeledFrames, iouThreshold),
+    confusionMatrix: confusionMatrix(labeledFrames, iouThreshold),
+    accidents: accidentMetrics(samples),
+    latency: latencyStats(latencies),
+    errors: samples.reduce((sum, sample) => sum + sample.errors, 0),
+    samples
+  };
+}
+
+export function validateRun(run, source = 'run') {
+  if (run?.format !== RUN_FORMAT || !(run.version <= RUN_VERSION)) {
+    throw new Error(`${source} is not a saved evaluation run (format ${RUN_FORMAT} v${RUN_VERSION})`);
+  }
+  return run;
+}
+
+// Differences between a previous run and this one. A change counts as a regression when a quality metric
+// (not latency) drops by more than `tolerance`; verdicts that flipped are listed per sample.
+export function compareRuns(baseline, current, options = {}) {
+  const tolerance = options.tolerance ?? 0;
+
+  const metrics = [
+    ...COMPARED_METRICS,
+    ...current.detection.classes.map(entry => ({
+      key: `AP ${entry.class}`,
+      get: run => run.detection.classes.find(other => other.class === entry.class)?.averagePrecision ?? null
+    }))
+  ].map(({ key, get, lowerIsBetter = false, informational = false }) => {
+    const before = get(baseline);
+    const after = get(current);
+    const delta = before !== null && after !== null ? Math.round((after - before) * 10000) / 10000 : null;
+    const worse = delta !== null && (lowerIsBetter ? delta > 0 : delta < 0);
+
+    return { metric: key, baseline: before, current: after, delta, regression: !informational && worse && Math.abs(delta) > tolerance };
+  });
+
+  const baselineSamples = new Map(baseline.samples.map(sample => [sample.id, sample]));
+  const changedSamples = current.samples
+    .filter(sample => baselineSamples.has(sample.id) && baselineSamples.get(sample.id).accidentDetected !== sample.accidentDetected)
+    .map(sample => ({
+      id: sample.id,
+      accident: sample.accident,
+      baseline: baselineSamples.get(sample.id).accidentDetected,
+      current: sample.accidentDetected,
+      fixed: sample.accidentDetected === sample.accident
+    }));
+
+  return {
+    baseline: { startedAt: baseline.startedAt, detector: baseline.detector, dataset: baseline.dataset },
+    sameDataset: baseline.dataset.name === current.dataset.name && baseline.dataset.samples === current.dataset.samples,
+    metrics,
+    changedSamples,
+    regressions: metrics.filter(entry => entry.regression).map(entry => entry.metric)
+  };
+}
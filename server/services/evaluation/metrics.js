@@ -0,0 +1,180 @@
+import { intersectionOverUnion } from '../geometry.js';
+
+export const BACKGROUND = 'background';
+
+function round(value, digits = 4) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+// All-point interpolated average precision (PASCAL VOC 2010+): the area under the precision-recall
+// curve after making precision monotonically decreasing.
+export function averagePrecision(hits, groundTruthCount) {
+  if (groundTruthCount === 0) return null;
+
+  const recall = [0];
+  const precision = [0];
+  let truePositives = 0;
+
+  hits.forEach((hit, index) => {
+    if (hit) truePositives++;
+    recall.push(truePositives / groundTruthCount);
+    precision.push(truePositives / (index + 1));
+  });
+  recall.push(1);
+  precision.push(0);
+
+  for (let i = precision.length - 2; i >= 0; i--) {
+    precision[i] = Math.max(precision[i], precision[i + 1]);
+  }
+
+  let area = 0;
+  for (let i = 1; i < recall.length; i++) {
+    area += (recall[i] - recall[i - 1]) * precision[i];
+  }
+  return area;
+}
+
+// frames: [{ objects: ground truth [{class, boundingBox}], detections: predictions [{class, confidence, boundingBox}] }].
+// Per class, predictions are ranked by confidence over the whole dataset and each one matches the unmatched
+// ground-truth box of that class with the highest IoU in its frame, if it reaches iouThreshold.
+export function detectionMetrics(frames, iouThreshold = 0.5) {
+  const classes = Array.from(new Set(frames.flatMap(frame => frame.objects.map(object => object.class)))).sort();
+
+  const perClass = classes.map(className => {
+    const groundTruth = frames.map(frame => frame.objects.filter(object => object.class === className));
+    const matched = groundTruth.map(objects => objects.map(() => false));
+    const predictions = frames
+      .flatMap((frame, frameIndex) => frame.detections
+        .filter(detection => detection.class === className)
+        .map(detection => ({ frameIndex, detection })))
+      .sort((a, b) => b.detection.confidence - a.detection.confidence);
+
+    const hits = predictions.map(({ frameIndex, detection }) => {
+      let best = -1;
+      let bestIou = iouThreshold;
+
+      groundTruth[frameIndex].forEach((object, index) => {
+        const iou = intersectionOverUnion(object.boundingBox, detection.boundingBox);
+        if (!matched[frameIndex][index] && iou >= bestIou) {
+          best = index;
+          bestIou = iou;
+        }
+      });
+
+      if (best < 0) return false;
+      matched[frameIndex][best] = true;
+      return true;
+    });
+
+    const groundTruthCount = groundTruth.reduce((sum, objects) => sum + objects.length, 0);
+    const truePositives = hits.filter(Boolean).length;
+
+    return {
+      class: className,
+      averagePrecision: round(averagePrecision(hits, groundTruthCount)),
+      groundTruth: groundTruthCount,
+      predictions: predictions.length,
+      truePositives,
+      falsePositives: predictions.length - truePositives,
+      precision: round(ratio(truePositives, predictions.length)),
+      recall: round(ratio(truePositives, groundTruthCount))
+    };
+  });
+
+  return {
+    iouThreshold,
+    frames: frames.length,
+    mAP: round(ratio(perClass.reduce((sum, entry) => sum + entry.averagePrecision, 0), perClass.length)),
+    classes: perClass
+  };
+}
+
+// Rows are ground-truth classes, columns predicted classes. Within each frame, predictions (highest
+// confidence first) take the best unmatched ground-truth box of any class at iouThreshold or above.
+// Unmatched predictions count in the background row, missed ground truth in the background column.
+export function confusionMatrix(frames, iouThreshold = 0.5) {
+  const counts = new Map();
+  const labels = new Set();
+  const add = (actual, predicted) => {
+    labels.add(actual);
+    labels.add(predicted);
+    const key = `${actual}\u0000${predicted}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  };
+
+  for (const frame of frames) {
+    const matched = frame.objects.map(() => false);
+    const detections = [...frame.detections].sort((a, b) => b.confidence - a.confidence);
+
+    for (const detection of detections) {
+      let best = -1;
+      let bestIou = iouThreshold;
+
+      frame.objects.forEach((object, index) => {
+        const iou = intersectionOverUnion(object.boundingBox, detection.boundingBox);
+        if (!matched[index] && iou >= bestIou) {
+          best = index;
+          bestIou = iou;
+        }
+      });
+
+      if (best < 0) {
+        add(BACKGROUND, detection.class);
+      } else {
+        matched[best] = true;
+        add(frame.objects[best].class, detection.class);
+      }
+    }
+
+    frame.objects.forEach((object, index) => {
+      if (!matched[index]) add(object.class, BACKGROUND);
+    });
+  }
+
+  const ordered = [...Array.from(labels).filter(label => label !== BACKGROUND).sort(), BACKGROUND];
+  return {
+    labels: ordered,
+    matrix: ordered.map(actual => ordered.map(predicted => counts.get(`${actual}\u0000${predicted}`) || 0))
+  };
+}
+
+// samples: [{ accident: ground-truth label, accidentDetected: prediction }]; one verdict per image or clip
+export function accidentMetrics(samples) {
+  const count = (label, predicted) => samples.filter(sample => sample.accident === label && sample.accidentDetected === predicted).length;
+  const truePositives = count(true, true);
+  const falsePositives = count(false, true);
+  const falseNegatives = count(true, false);
+  const trueNegatives = count(false, false);
+  const precision = ratio(truePositives, truePositives + falsePositives);
+  const recall = ratio(truePositives, truePositives + falseNegatives);
+
+  return {
+    samples: samples.length,
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    trueNegatives,
+    precision: round(precision),
+    recall: round(recall),
+    f1: precision !== null && recall !== null && precision + recall > 0 ? round((2 * precision * recall) / (precision + recall)) : null
+  };
+}
+
+export function latencyStats(latencies) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const at = p => (sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+
+  return {
+    frames: sorted.length,
+    averageMs: round(ratio(sorted.reduce((sum, value) => sum + value, 0), sorted.length), 2),
+    p50Ms: round(at(0.5), 2),
+    p95Ms: round(at(0.95), 2),
+    maxMs: round(sorted.length > 0 ? sorted[sorted.length - 1] : null, 2)
+  };
+}
@@ -0,0 +1,88 @@
+// Plain-text reports for the evaluation command
+
+const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+const number = (value, digits = 2) => (value === null ? '-' : value.toFixed(digits));
+
+function table(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  return rows
+    .map(row => row.map((cell, column) => (column === 0 ? String(cell).padEnd(widths[column]) : String(cell).padStart(widths[column]))).join('  ').trimEnd())
+    .join('\n');
+}
+
+export function formatRun(run) {
+  const { detection, accidents, latency, confusionMatrix } = run;
+  const lines = [
+    `Dataset: ${run.dataset.name} (${run.dataset.samples} samples)`,
+    `Detector: ${run.detector.provider}${run.detector.name ? ` - ${run.detector.name} ${run.detector.version || ''}`.trimEnd() : ''}`,
+    ''
+  ];
+
+  if (detection.frames === 0) {
+    lines.push('Detection: no frames with ground-truth objects');
+  } else {
+    lines.push(`Detection (${detection.frames} labeled frames, IoU >= ${detection.iouThreshold}): mAP ${percent(detection.mAP)}`);
+    lines.push(table([
+      ['class', 'AP', 'precision', 'recall', 'ground truth', 'predicted'],
+      ...detection.classes.map(entry => [
+        entry.class, percent(entry.averagePrecision), percent(entry.precision), percent(entry.recall), entry.groundTruth, entry.predictions
+      ])
+    ]));
+    lines.push('', 'Confusion matrix (rows: ground truth, columns: predicted)');
+    lines.push(table([
+      ['', ...confusionMatrix.labels],
+      ...confusionMatrix.labels.map((label, row) => [label, ...confusionMatrix.matrix[row]])
+    ]));
+  }
+
+  lines.push(
+    '',
+    `Accidents (${accidents.samples} samples): precision ${percent(accidents.precision)}, recall ${percent(accidents.recall)}, F1 ${percent(accidents.f1)}`,
+    `  ${accidents.truePositives} TP, ${accidents.falsePositives} FP, ${accidents.falseNegatives} FN, ${accidents.trueNegatives} TN`
+  );
+
+  const wrong = run.samples.filter(sample => sample.accidentDetected !== sample.accident);
+  if (wrong.length > 0) {
+    lines.push(`  Misclassified: ${wrong.map(sample => `${sample.id} (${sample.accident ? 'missed' : 'false alarm'})`).join(', ')}`);
+  }
+
+  lines.push(
+    '',
+    `Latency (${latency.frames} frames): average ${number(latency.averageMs)} ms, p50 ${number(latency.p50Ms)} ms, p95 ${number(latency.p95Ms)} ms, max ${number(latency.maxMs)} ms`
+  );
+  if (run.errors > 0) {
+    lines.push(`Errors: ${run.errors} frames failed (${run.samples.filter(sample => sample.errors > 0).map(sample => sample.id).join(', ')})`);
+  }
+
+  return lines.join('\n');
+}
+
+export function formatComparison(comparison) {
+  const signed = (value, format) => (value === null ? '-' : `${value > 0 ? '+' : ''}${format(value)}`);
+  const lines = [`Compared with run from ${new Date(comparison.baseline.startedAt).toISOString()} (${comparison.baseline.detector.provider})`];
+
+  if (!comparison.sameDataset) {
+    lines.push(`Warning: baseline used dataset ${comparison.baseline.dataset.name} (${comparison.baseline.dataset.samples} samples)`);
+  }
+
+  lines.push(table([
+    ['metric', 'baseline', 'current', 'change', ''],
+    ...comparison.metrics.map(entry => {
+      const isLatency = entry.metric.startsWith('latency.');
+      const format = isLatency ? value => `${number(value)} ms` : percent;
+      return [
+        entry.metric,
+        format(entry.baseline),
+        format(entry.current),
+        signed(entry.delta, isLatency ? value => `${number(value)} ms` : value => `${(value * 100).toFixed(1)} pt`),
+        entry.regression ? 'REGRESSION' : ''
+      ];
+    })
+  ]));
+
+  for (const sample of comparison.changedSamples) {
+    lines.push(`  ${sample.id}: ${sample.current ? 'now detected' : 'no longer detected'} (${sample.fixed ? 'fixed' : 'broken'})`);
+  }
+
+  return lines.join('\n');
+}
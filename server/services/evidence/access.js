@@ -0,0 +1,44 @@
+import jwt from 'jsonwebtoken';
+
+// Who may see unredacted evidence, and the audit trail of every attempt to.
+// Users are identified by the bearer tokens /api/auth issues (signed with JWT_SECRET, carrying the role).
+
+export function getOriginalsRoles(env = process.env) {
+  return (env.EVIDENCE_ORIGINALS_ROLES || 'admin').split(',').map(role => role.trim()).filter(Boolean);
+}
+
+// { id, email, role } from a valid bearer token, null otherwise
+export function authenticate(req) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token || !process.env.JWT_SECRET) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return { id: decoded.userId ? String(decoded.userId) : null, email: decoded.email || null, role: decoded.role || null };
+  } catch {
+    return null;
+  }
+}
+
+export function canViewOriginals(user) {
+  return !!user && getOriginalsRoles().includes(user.role);
+}
+
+// outcome: granted, denied (signed in without permission) or unauthenticated. Throws when the entry
+// cannot be written, so callers can refuse access they could not record.
+export async function logEvidenceAccess(req, { evidenceId, resource, user, outcome }) {
+  const { error } = await req.supabase
+    .from('evidence_access_log')
+    .insert([{
+      evidence_id: evidenceId,
+      resource,
+      outcome,
+      user_id: user?.id ?? null,
+      user_email: user?.email ?? null,
+      user_role: user?.role ?? null,
+      ip_address: req.ip || null,
+      user_agent: req.get('user-agent') || null
+    }]);
+
+  if (error) throw error;
+}
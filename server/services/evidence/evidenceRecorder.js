@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+
+const DEFAULT_OPTIONS = {
+  // Clip window around the frame that raised the alert
+  preSeconds: 10,
+  postSeconds: 10,
+  // Bounds the frames held per stream and saved per clip, whatever the stream's frame rate
+  maxFrames: 100,
+  // Evidence of alerts that were never approved is deleted after retentionDays,
+  // evidence of approved alerts after alertRetentionDays (counted from the approval)
+  retentionDays: 14,
+  alertRetentionDays: 90
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EVIDENCE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Store layout of one evidence set: <id>/manifest.json, the originals <id>/key.jpg and <id>/frames/0000.jpg...,
+// and their redacted copies under <id>/redacted/
+const manifestKey = id => `${id}/manifest.json`;
+const keyFrameKey = (id, redacted) => `${id}/${redacted ? 'redacted/' : ''}key.jpg`;
+const frameKey = (id, index, redacted) => `${id}/${redacted ? 'redacted/' : ''}frames/${String(index).padStart(4, '0')}.jpg`;
+
+// Keeps the last `preSeconds` of frames of every running stream. When an alert fires, it saves the key
+// frame right away and a clip from `preSeconds` before to `postSeconds` after it as later frames arrive.
+// Frames without an image (simulated and replayed streams) are not kept, so their alerts have no evidence.
+// Every image is saved twice: as captured, and with people, faces, vehicles or plates blurred by `redactor`.
+class EvidenceRecorder {
+  constructor(store, redactor, options = {}) {
+    this.store = store;
+    this.redactor = redactor;
+    this.options = { ...DEFAULT_OPTIONS };
+    this.configure(options);
+    // streamId -> [{ buffer, detections, frameNumber, timestamp }], oldest first
+    this.history = new Map();
+    // streamId -> capture still waiting for its post-event frames
+    this.captures = new Map();
+    // id -> capture with writes outstanding, including finished ones whose last writes are queued
+    this.saving = new Map();
+  }
+
+  configure(options = {}) {
+    const defined = Object.entries(options).filter(([, value]) => value !== undefined);
+    this.options = { ...this.options, ...Object.fromEntries(defined) };
+  }
+
+  // Called for every processed frame with its processFrame result, before the alerts it raised are handled
+  addFrame(streamId, frame, result) {
+    if (!frame.buffer) return;
+
+    const entry = {
+      buffer: frame.buffer,
+      // Redaction providers may blur the frame's people and vehicles, including those its zones ignore.
+      // null when detection failed, so that nothing is taken for an empty frame.
+      detections: result && !result.error ? [...result.detections, ...(result.ignoredDetections || [])] : null,
+      frameNumber: frame.frameNumber,
+      timestamp: new Date(frame.timestamp)
+    };
+    const history = this.history.get(streamId) || [];
+    const cutoff = entry.timestamp.getTime() - this.options.preSeconds * 1000;
+    history.push(entry);
+    while (history.length > this.options.maxFrames || history[0].timestamp.getTime() < cutoff) {
+      history.shift();
+    }
+    this.history.set(streamId, history);
+
+    const capture = this.captures.get(streamId);
+    if (!capture) return;
+
+    if (entry.timestamp.getTime() - capture.keyTime > this.options.postSeconds * 1000 ||
+        capture.manifest.frames.length >= this.options.maxFrames) {
+      this.finish(streamId);
+    } else {
+      this.saveFrame(capture, entry);
+    }
+  }
+
+  // Starts the evidence set for an alert raised by `frame` and returns the link stored with the alert:
+  // { id, provider, capturedAt }. Alerts raised while a clip is still recording share it. Returns null
+  // when the frame has no image or the key frame cannot be saved; the alert is raised either way.
+  async capture(streamId, frame, details = {}) {
+    const open = this.captures.get(streamId);
+    if (open) return open.link;
+
+    const key = (this.history.get(streamId) || []).find(entry => entry.frameNumber === frame.frameNumber);
+    if (!key) return null;
+
+    const id = crypto.randomUUID();
+    const capturedAt = new Date();
+    const link = { id, provider: this.store.provider, capturedAt: capturedAt.toISOString() };
+    const capture = {
+      id,
+      link,
+      keyTime: key.timestamp.getTime(),
+      writes: Promise.resolve(),
+      manifest: {
+        id,
+        streamId,
+        location: details.location ?? null,
+        status: 'recording',
+        capturedAt: link.capturedAt,
+        keyFrameTimestamp: key.timestamp.toISOString(),
+        preSeconds: this.options.preSeconds,
+        postSeconds: this.options.postSeconds,
+        expiresAt: new Date(capturedAt.getTime() + this.options.retentionDays * DAY_MS).toISOString(),
+        retained: false,
+        redactionProvider: this.redactor.provider.provider,
+        keyFrameRedaction: null,
+        frames: []
+      }
+    };
+
+    try {
+      await this.writeManifest(capture.manifest);
+      await this.store.put(keyFrameKey(id, false), key.buffer, 'image/jpeg');
+      // Reviewers see the redacted key frame first, so it is saved before the clip
+      capture.manifest.keyFrameRedaction = await this.saveRedacted(keyFrameKey(id, true), key);
+    } catch (error) {
+      console.error(`❌ Failed to save evidence for stream ${streamId}:`, error.message);
+      return null;
+    }
+
+    this.captures.set(streamId, capture);
+    this.saving.set(id, capture);
+    for (const entry of this.history.get(streamId)) {
+      this.saveFrame(capture, entry);
+    }
+    return link;
+  }
+
+  saveFrame(capture, entry) {
+    const index = capture.manifest.frames.length;
+    const time = entry.timestamp.getTime();
+    capture.manifest.frames.push({
+      index,
+      frameNumber: entry.frameNumber,
+      timestamp: entry.timestamp.toISOString(),
+      offsetSeconds: Math.round((time - capture.keyTime) / 10) / 100,
+      keyFrame: time === capture.keyTime,
+      redaction: null
+    });
+    this.queue(capture, () => this.store.put(frameKey(capture.id, index, false), entry.buffer, 'image/jpeg'));
+    this.queue(capture, async () => {
+      capture.manifest.frames[index].redaction = await this.saveRedacted(frameKey(capture.id, index, true), entry);
+    });
+  }
+
+  // Saves the redacted copy of an image and returns how it was redacted. Without a copy (the image could
+  // not be decoded) the frame is only available as an original, to those allowed to see originals.
+  async saveRedacted(key, entry) {
+    try {
+      const redacted = await this.redactor.redact(entry.buffer, entry.detections);
+      if (redacted.error) {
+        console.error(`❌ Redaction failed, blurred the whole frame (${key}):`, redacted.error);
+      }
+      await this.store.put(key, redacted.buffer, 'image/jpeg');
+      return { method: redacted.method, ...redacted.regions };
+    } catch (error) {
+      console.error(`❌ Failed to save redacted ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  // Writes go one at a time per capture so the final manifest lands after every frame
+  queue(capture, write) {
+    capture.writes = capture.writes.then(write).catch(error => {
+      console.error(`❌ Failed to save evidence ${capture.id}:`, error.message);
+    });
+  }
+
+  writeManifest(manifest) {
+    return this.store.put(manifestKey(manifest.id), Buffer.from(JSON.stringify(manifest, null, 2)), 'application/json');
+  }
+
+  // Closes the stream's open clip; `truncated` marks a clip cut short by the stream stopping
+  finish(streamId, { truncated = false } = {}) {
+    const capture = this.captures.get(streamId);
+    if (!capture) return Promise.resolve();
+
+    this.captures.delete(streamId);
+    capture.manifest.status = 'complete';
+    capture.manifest.truncated = truncated;
+    this.queue(capture, () => this.writeManifest(capture.manifest));
+    capture.writes = capture.writes.then(() => this.saving.delete(capture.id));
+    return capture.writes;
+  }
+
+  // Called when a stream stops: its open clip is saved with the frames it has
+  releaseStream(streamId) {
+    this.history.delete(streamId);
+    return this.finish(streamId, { truncated: true });
+  }
+
+  openCapture(id) {
+    return this.saving.get(id) || null;
+  }
+
+  async getManifest(id) {
+    const open = this.openCapture(id);
+    if (open) return open.manifest;
+
+    const data = await this.store.get(manifestKey(id));
+    return data ? JSON.parse(data.toString('utf8')) : null;
+  }
+
+  // Redacted copies unless `original` is set; callers serving originals check access first
+  getKeyFrame(id, { original = false } = {}) {
+    return this.store.get(keyFrameKey(id, !original));
+  }
+
+  getFrame(id, index, { original = false } = {}) {
+    return this.store.get(frameKey(id, index, !original));
+  }
+
+  // Keeps the evidence of an approved alert for alertRetentionDays from now
+  async retain(id, now = Date.now()) {
+    const manifest = await this.getManifest(id);
+    if (!manifest) return null;
+
+    const expiresAt = new Date(now + this.options.alertRetentionDays * DAY_MS);
+    if (expiresAt > new Date(manifest.expiresAt)) {
+      manifest.expiresAt = expiresAt.toISOString();
+    }
+    manifest.retained = true;
+
+    // A clip still being saved writes its manifest when it finishes
+    if (!this.openCapture(id)) {
+      await this.writeManifest(manifest);
+    }
+    return manifest;
+  }
+
+  // Deletes expired evidence, and sets left without a manifest by a crash mid-capture
+  async prune(now = Date.now()) {
+    let removed = 0;
+
+    for (const id of await this.store.list()) {
+      if (!EVIDENCE_ID_PATTERN.test(id) || this.openCapture(id)) continue;
+
+      const manifest = await this.getManifest(id).catch(() => null);
+      if (!manifest || new Date(manifest.expiresAt).getTime() <= now) {
+        await this.store.remove(id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+export default EvidenceRecorder;
@@ -0,0 +1,40 @@
+import LocalEvidenceStore from './localStore.js';
+import SupabaseEvidenceStore from './supabaseStore.js';
+import EvidenceRecorder, { EVIDENCE_ID_PATTERN } from './evidenceRecorder.js';
+import { createRedactorFromEnv } from '../redaction/index.js';
+
+const EVIDENCE_STORES = {
+  local: LocalEvidenceStore,
+  supabase: SupabaseEvidenceStore
+};
+
+// Every store implements: put(key, buffer, contentType), get(key) -> Buffer or null,
+// list(prefix) -> names directly under prefix, remove(prefix)
+export function createEvidenceStore(provider, options = {}) {
+  const Store = EVIDENCE_STORES[provider];
+
+  if (!Store) {
+    throw new Error(`Unknown evidence store "${provider}" (expected one of: ${Object.keys(EVIDENCE_STORES).join(', ')})`);
+  }
+
+  return new Store(options);
+}
+
+// `client` is the server's Supabase client, used by the supabase store
+export function createEvidenceRecorderFromEnv(env = process.env, client = null) {
+  const store = createEvidenceStore(env.EVIDENCE_STORE || 'local', {
+    dir: env.EVIDENCE_DIR,
+    bucket: env.EVIDENCE_BUCKET,
+    client
+  });
+
+  return new EvidenceRecorder(store, createRedactorFromEnv(env), {
+    preSeconds: parseFloat(env.EVIDENCE_PRE_SECONDS) || undefined,
+    postSeconds: parseFloat(env.EVIDENCE_POST_SECONDS) || undefined,
+    maxFrames: parseInt(env.EVIDENCE_MAX_FRAMES) || undefined,
+    retentionDays: parseFloat(env.EVIDENCE_RETENTION_DAYS) || undefined,
+    alertRetentionDays: parseFloat(env.EVIDENCE_ALERT_RETENTION_DAYS) || undefined
+  });
+}
+
+export { EvidenceRecorder, EVIDENCE_ID_PATTERN };
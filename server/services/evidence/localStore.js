@@ -0,0 +1,45 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Evidence kept on the server's disk under EVIDENCE_DIR
+class LocalEvidenceStore {
+  constructor(options = {}) {
+    this.provider = 'local';
+    this.dir = path.resolve(options.dir || './evidence');
+  }
+
+  resolve(key) {
+    return path.join(this.dir, ...key.split('/'));
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Names directly under `prefix` ('' for the top level)
+  async list(prefix = '') {
+    try {
+      return await fs.readdir(prefix ? this.resolve(prefix) : this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async remove(prefix) {
+    await fs.rm(this.resolve(prefix), { recursive: true, force: true });
+  }
+}
+
+export default LocalEvidenceStore;
@@ -0,0 +1,64 @@
+// Evidence kept in a Supabase Storage bucket (EVIDENCE_BUCKET); the bucket must exist and should be private
+const PAGE_SIZE = 1000;
+
+class SupabaseEvidenceStore {
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('The supabase evidence store needs a Supabase client');
+    }
+
+    this.provider = 'supabase';
+    this.bucket = options.bucket || 'evidence';
+    this.storage = options.client.storage;
+  }
+
+  async put(key, buffer, contentType) {
+    const { error } = await this.storage.from(this.bucket).upload(key, buffer, { contentType, upsert: true });
+    if (error) throw error;
+  }
+
+  async get(key) {
+    const { data, error } = await this.storage.from(this.bucket).download(key);
+    if (error) {
+      if (String(error.statusCode) === '404' || /not found/i.test(error.message)) return null;
+      throw error;
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async entries(prefix) {
+    const entries = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await this.storage.from(this.bucket).list(prefix, { limit: PAGE_SIZE, offset });
+      if (error) throw error;
+      entries.push(...data);
+      if (data.length < PAGE_SIZE) return entries;
+    }
+  }
+
+  async list(prefix = '') {
+    return (await this.entries(prefix)).map(entry => entry.name);
+  }
+
+  // Every object under `prefix`; listed folders come back without an id
+  async objectKeys(prefix) {
+    const keys = [];
+    for (const entry of await this.entries(prefix)) {
+      const key = `${prefix}/${entry.name}`;
+      keys.push(...(entry.id === null ? await this.objectKeys(key) : [key]));
+    }
+    return keys;
+  }
+
+  // Storage has no folders to delete, only objects
+  async remove(prefix) {
+    const keys = await this.objectKeys(prefix);
+
+    if (keys.length > 0) {
+      const { error } = await this.storage.from(this.bucket).remove(keys);
+      if (error) throw error;
+    }
+  }
+}
+
+export default SupabaseEvidenceStore;
@@ -0,0 +1,179 @@
+// Traffic flow time series per stream, stored in `flow_stats`: one row per stream, bucket size and bucket.
+//
+//   { stream_id, bucket_seconds: 300, bucket_start: '2026-10-19T08:05:00.000Z',
+//     vehicle_counts: { car: 41, truck: 3 }, vehicle_total: 44,
+//     average_speed: 38.2, speed_unit: 'km/h', speed_samples: 1320, occupancy: 0.42, frames: 1500 }
+//
+// Vehicles are counted once per bucket by track id. Speeds are km/h on calibrated streams and px/s
+// otherwise. Occupancy is the share of frames in which a lane held a vehicle, averaged over the
+// stream's lanes (the whole view for streams without lanes), like a loop detector's occupancy.
+export const FLOW_BUCKET_SECONDS = [60, 300, 900];
+
+const MAX_BUCKETS_PER_QUERY = 1500;
+const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+
+export class FlowQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FlowQueryError';
+  }
+}
+
+function createBucket(size, start) {
+  return {
+    size,
+    start,
+    tracks: new Map(),
+    speeds: { 'km/h': { sum: 0, samples: 0 }, 'px/s': { sum: 0, samples: 0 } },
+    occupiedFrames: new Map(),
+    frames: 0
+  };
+}
+
+// Accumulates a stream's frame results into 1-, 5- and 15-minute buckets
+export class FlowAggregator {
+  constructor(streamId, options = {}) {
+    this.streamId = streamId;
+    this.vehicleClasses = options.vehicleClasses || ['car', 'truck', 'bus', 'motorcycle', 'bicycle'];
+    this.bucketSizes = options.bucketSizes || FLOW_BUCKET_SECONDS;
+    this.buckets = new Map();
+  }
+
+  // Adds one frame result and returns the rows of any buckets it closed
+  add(result, lanes = []) {
+    const timestamp = new Date(result.timestamp).getTime();
+    const vehicles = result.detections.filter(d => d.trackId && this.vehicleClasses.includes(d.class));
+    const laneKeys = lanes.length > 0 ? lanes.map(lane => lane.id) : ['view'];
+    const rows = [];
+
+    for (const size of this.bucketSizes) {
+      const start = Math.floor(timestamp / (size * 1000)) * size * 1000;
+      let bucket = this.buckets.get(size);
+
+      if (bucket && bucket.start !== start) {
+        rows.push(this.toRow(bucket));
+        bucket = null;
+      }
+      if (!bucket) {
+        bucket = createBucket(size, start);
+        this.buckets.set(size, bucket);
+      }
+
+      bucket.frames++;
+      for (const vehicle of vehicles) {
+        if (!bucket.tracks.has(vehicle.class)) bucket.tracks.set(vehicle.class, new Set());
+        bucket.tracks.get(vehicle.class).add(vehicle.trackId);
+
+        const [unit, speed] = Number.isFinite(vehicle.speedKmh) ? ['km/h', vehicle.speedKmh] : ['px/s', vehicle.speed];
+        if (Number.isFinite(speed)) {
+          bucket.speeds[unit].sum += speed;
+          bucket.speeds[unit].samples++;
+        }
+      }
+      for (const key of laneKeys) {
+        const occupied = vehicles.some(vehicle => key === 'view' || vehicle.laneId === key);
+        bucket.occupiedFrames.set(key, (bucket.occupiedFrames.get(key) || 0) + (occupied ? 1 : 0));
+      }
+    }
+
+    return rows;
+  }
+
+  // Rows for the buckets still open, e.g. when the stream stops
+  flush() {
+    const rows = Array.from(this.buckets.values()).filter(bucket => bucket.frames > 0).map(bucket => this.toRow(bucket));
+    this.buckets.clear();
+    return rows;
+  }
+
+  toRow(bucket) {
+    const vehicleCounts = Object.fromEntries(Array.from(bucket.tracks, ([vehicleClass, ids]) => [vehicleClass, ids.size]));
+    // A stream calibrated mid-bucket reports in whichever unit most of its samples used
+    const [speedUnit, speed] = Object.entries(bucket.speeds).sort((a, b) => b[1].samples - a[1].samples)[0];
+    const occupancy = Array.from(bucket.occupiedFrames.values()).map(frames => frames / bucket.frames);
+
+    return {
+      stream_id: this.streamId,
+      bucket_seconds: bucket.size,
+      bucket_start: new Date(bucket.start).toISOString(),
+      vehicle_counts: vehicleCounts,
+      vehicle_total: Object.values(vehicleCounts).reduce((sum, count) => sum + count, 0),
+      average_speed: speed.samples > 0 ? speed.sum / speed.samples : null,
+      speed_unit: speed.samples > 0 ? speedUnit : null,
+      speed_samples: speed.samples,
+      occupancy: occupancy.length > 0 ? occupancy.reduce((sum, value) => sum + value, 0) / occupancy.length : 0,
+      frames: bucket.frames
+    };
+  }
+}
+
+// Validates ?bucket=&from=&to= for the flow endpoint. bucket is in seconds (60, 300, 900) or
+// minutes with an m suffix (1m, 5m, 15m); the range defaults to the last hour.
+export function parseFlowQuery(query = {}, now = Date.now()) {
+  const bucketParam = String(query.bucket ?? '300');
+  const bucketSeconds = /^\d+m$/.test(bucketParam) ? parseInt(bucketParam) * 60 : Number(bucketParam);
+
+  if (!FLOW_BUCKET_SECONDS.includes(bucketSeconds)) {
+    throw new FlowQueryError(`bucket must be one of ${FLOW_BUCKET_SECONDS.join(', ')} seconds (or 1m, 5m, 15m)`);
+  }
+
+  const to = query.to ? new Date(query.to) : new Date(now);
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new FlowQueryError('from and to must be ISO dates');
+  }
+  if (from >= to) {
+    throw new FlowQueryError('from must be before to');
+  }
+  if ((to - from) / (bucketSeconds * 1000) > MAX_BUCKETS_PER_QUERY) {
+    throw new FlowQueryError(`Range covers more than ${MAX_BUCKETS_PER_QUERY} buckets; use a larger bucket or a shorter range`);
+  }
+
+  // Include the bucket that was already running at `from`
+  const alignedFrom = new Date(Math.floor(from.getTime() / (bucketSeconds * 1000)) * bucketSeconds * 1000);
+  return { bucketSeconds, from: alignedFrom, to };
+}
+
+// Rows -> API buckets, merging rows written for the same bucket by separate runs of the stream
+export function mergeFlowRows(rows) {
+  const merged = new Map();
+
+  for (const row of rows) {
+    const start = new Date(row.bucket_start).toISOString();
+    const bucket = merged.get(start);
+    const averageSpeed = row.average_speed === null ? null : Number(row.average_speed);
+    const occupancy = Number(row.occupancy);
+
+    if (!bucket) {
+      merged.set(start, {
+        start,
+        vehicles: { ...row.vehicle_counts },
+        total: row.vehicle_total,
+        averageSpeed,
+        speedUnit: row.speed_unit,
+        speedSamples: row.speed_samples,
+        occupancy,
+        frames: row.frames
+      });
+      continue;
+    }
+
+    for (const [vehicleClass, count] of Object.entries(row.vehicle_counts || {})) {
+      bucket.vehicles[vehicleClass] = (bucket.vehicles[vehicleClass] || 0) + count;
+    }
+    bucket.total += row.vehicle_total;
+
+    if (averageSpeed !== null && (bucket.averageSpeed === null || bucket.speedUnit === row.speed_unit)) {
+      const samples = (bucket.averageSpeed === null ? 0 : bucket.speedSamples) + row.speed_samples;
+      bucket.averageSpeed = ((bucket.averageSpeed ?? 0) * (samples - row.speed_samples) + averageSpeed * row.speed_samples) / samples;
+      bucket.speedUnit = row.speed_unit;
+      bucket.speedSamples = samples;
+    }
+
+    bucket.occupancy = (bucket.occupancy * bucket.frames + occupancy * row.frames) / (bucket.frames + row.frames);
+    bucket.frames += row.frames;
+  }
+
+  return Array.from(merged.values()).sort((a, b) => (a.start < b.start ? -1 : 1));
+}
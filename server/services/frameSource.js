@@ -0,0 +1,325 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import axios from 'axios';
+import { simulateFrames } from './simulation/index.js';
+import { replayFrames } from './detectionReplay.js';
+import { sleep } from './sleep.js';
+
+const JPEG_START = Buffer.from([0xff, 0xd8]);
+const JPEG_END = Buffer.from([0xff, 0xd9]);
+const VIDEO_FILE_PATTERN = /\.(mp4|webm|avi|mov|mkv|m4v)(\?.*)?$/i;
+// Below this rate vehicles move too far between frames for the tracker to follow them, and the
+// track-based detectors (temporal accidents, wrong way, stalls, pedestrians) see only new tracks
+const MIN_TRACKING_FPS = 2;
+
+export class FrameSourceError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FrameSourceError';
+    this.code = code;
+  }
+}
+
+export function detectSourceType(url) {
+  if (!url) return 'unknown';
+  if (/^sim:\/\//i.test(url)) return 'simulation';
+  if (/^replay:\/\//i.test(url) || /\.(jsonl|ndjson)(\?.*)?$/i.test(url)) return 'replay';
+  if (/^rtsps?:\/\//i.test(url)) return 'rtsp';
+  if (url.includes('youtube.com') || url.includes('youtu.be')) return 'youtube';
+  if (/\.m3u8(\?.*)?$/i.test(url) || url.includes('hls')) return 'hls';
+  if (VIDEO_FILE_PATTERN.test(url)) return 'file';
+  if (/mjpe?g|\.cgi(\?.*)?$/i.test(url)) return 'mjpeg';
+  if (/^https?:\/\//i.test(url)) return 'http';
+  return 'unknown';
+}
+
+// Splits a byte stream into complete JPEG images (ffmpeg image2pipe output and multipart MJPEG bodies)
+class JpegStreamParser {
+  constructor(onImage) {
+    this.onImage = onImage;
+    this.pending = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+
+    for (;;) {
+      const start = this.pending.indexOf(JPEG_START);
+      if (start === -1) {
+        this.pending = Buffer.alloc(0);
+        return;
+      }
+
+      const end = this.pending.indexOf(JPEG_END, start + 2);
+      if (end === -1) {
+        this.pending = this.pending.subarray(start);
+        return;
+      }
+
+      this.onImage(Buffer.from(this.pending.subarray(start, end + 2)));
+      this.pending = this.pending.subarray(end + 2);
+    }
+  }
+}
+
+// Holds at most one undelivered frame so a slow consumer always gets the freshest image
+function createFrameQueue() {
+  let latest = null;
+  let failure = null;
+  let ended = false;
+  let waiter = null;
+
+  const wake = () => {
+    if (!waiter || (!latest && !failure && !ended)) return;
+    const { resolve, reject } = waiter;
+    waiter = null;
+
+    if (latest) {
+      const frame = latest;
+      latest = null;
+      resolve(frame);
+    } else if (failure) {
+      reject(failure);
+    } else {
+      resolve(null);
+    }
+  };
+
+  return {
+    push(frame) {
+      latest = frame;
+      wake();
+    },
+    fail(error) {
+      failure = failure || error;
+      wake();
+    },
+    end() {
+      ended = true;
+      wake();
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiter = { resolve, reject };
+        wake();
+      });
+    }
+  };
+}
+
+function startFfmpegSource(url, sourceType, options, queue, emit) {
+  const ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+  const args = ['-hide_banner', '-loglevel', 'error', '-nostdin'];
+
+  if (sourceType === 'rtsp') {
+    args.push('-rtsp_transport', options.rtspTransport || 'tcp');
+  }
+  if (sourceType === 'file' && options.realtime !== false) {
+    args.push('-re');
+  }
+  if (sourceType === 'file' && options.loop) {
+    args.push('-stream_loop', '-1');
+  }
+
+  args.push(
+    '-i', url,
+    '-an',
+    '-vf', `fps=${options.fps}`,
+    '-f', 'image2pipe',
+    '-vcodec', 'mjpeg',
+    '-q:v', String(options.jpegQuality || 5),
+    'pipe:1'
+  );
+
+  const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  const parser = new JpegStreamParser(emit);
+  let stderr = '';
+  let stopped = false;
+
+  child.stdout.on('data', chunk => parser.push(chunk));
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk.toString()).slice(-2000);
+  });
+
+  child.on('error', (error) => {
+    if (error.code === 'ENOENT') {
+      queue.fail(new FrameSourceError(`ffmpeg not found at "${ffmpegPath}" (set FFMPEG_PATH)`, 'DECODER_UNAVAILABLE'));
+    } else {
+      queue.fail(new FrameSourceError(`Failed to start ffmpeg: ${error.message}`, 'DECODER_UNAVAILABLE'));
+    }
+  });
+
+  child.on('close', (code) => {
+    if (!stopped && code !== 0) {
+      const detail = stderr.trim().split('\n').pop() || `exit code ${code}`;
+      queue.fail(new FrameSourceError(`Could not read ${sourceType} source ${url}: ${detail}`, 'SOURCE_UNREACHABLE'));
+    }
+    queue.end();
+  });
+
+  return () => {
+    stopped = true;
+    child.kill('SIGTERM');
+  };
+}
+
+// Plain HTTP URLs are classified by content type: multipart MJPEG, snapshot stills or video handed to ffmpeg
+function startHttpSource(url, options, queue, emit) {
+  const controller = new AbortController();
+  let stopDelegate = null;
+  const minInterval = 1000 / options.fps;
+  let lastEmitted = 0;
+
+  const parser = new JpegStreamParser((image) => {
+    const now = Date.now();
+    if (now - lastEmitted < minInterval) return;
+    lastEmitted = now;
+    emit(image);
+  });
+
+  axios.get(url, {
+    responseType: 'stream',
+    timeout: options.timeout,
+    signal: controller.signal
+  }).then((response) => {
+    const contentType = response.headers['content-type'] || '';
+
+    if (contentType.startsWith('image/')) {
+      // Snapshot camera: every request returns a single still, so poll at the configured rate
+      response.data.destroy();
+      return pollSnapshots(url, options, queue, emit, controller.signal);
+    }
+    if (contentType.startsWith('video/') || contentType.includes('mpegurl')) {
+      response.data.destroy();
+      const sourceType = contentType.includes('mpegurl') ? 'hls' : 'file';
+      stopDelegate = startFfmpegSource(url, sourceType, options, queue, emit);
+      return;
+    }
+    if (!contentType.includes('multipart') && !contentType.includes('jpeg')) {
+      response.data.destroy();
+      throw new FrameSourceError(`Unsupported content type "${contentType}" from ${url}`, 'UNSUPPORTED_SOURCE');
+    }
+
+    response.data.on('data', chunk => parser.push(chunk));
+    response.data.on('end', () => queue.end());
+    response.data.on('error', (error) => {
+      if (!controller.signal.aborted) {
+        queue.fail(new FrameSourceError(`MJPEG stream ${url} failed: ${error.message}`, 'SOURCE_UNREACHABLE'));
+      }
+    });
+  }).catch((error) => {
+    if (controller.signal.aborted) return queue.end();
+    queue.fail(error instanceof FrameSourceError
+      ? error
+      : new FrameSourceError(`Could not connect to ${url}: ${error.message}`, 'SOURCE_UNREACHABLE'));
+  });
+
+  return () => {
+    controller.abort();
+    stopDelegate?.();
+  };
+}
+
+async function pollSnapshots(url, options, queue, emit, signal) {
+  const interval = 1000 / options.fps;
+
+  while (!signal.aborted) {
+    const startedAt = Date.now();
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: options.timeout,
+      signal
+    });
+
+    emit(Buffer.from(response.data));
+    await sleep(Math.max(0, interval - (Date.now() - startedAt)), signal);
+  }
+
+  queue.end();
+}
+
+// Yields decoded frames ({ buffer, frameNumber, timestamp, source, url }) from a camera or video URL.
+// Options: fps, timeout (ms to wait for each frame), signal (AbortSignal), loop/realtime for files.
+export async function* readFrames(url, options = {}) {
+  const settings = {
+    ...options,
+    fps: options.fps || parseFloat(process.env.STREAM_FRAME_RATE) || MIN_TRACKING_FPS,
+    timeout: options.timeout || parseInt(process.env.STREAM_CONNECT_TIMEOUT) || 15000
+  };
+
+  let sourceType = detectSourceType(url);
+
+  if (sourceType === 'simulation' || sourceType === 'replay') {
+    // Scripted and recorded sources yield frames that already carry their detections
+    try {
+      yield* (sourceType === 'simulation' ? simulateFrames(url, options) : replayFrames(url, options));
+    } catch (error) {
+      if (error instanceof FrameSourceError) throw error;
+      if (error.code === 'ENOENT' || error.code === 'EACCES') {
+        throw new FrameSourceError(`Recording not readable: ${error.path || url}`, 'SOURCE_UNREACHABLE');
+      }
+      throw new FrameSourceError(error.message, error.code || 'UNSUPPORTED_SOURCE');
+    }
+    return;
+  }
+  if (sourceType === 'youtube') {
+    throw new FrameSourceError('YouTube pages are not a video source; use the underlying HLS or MP4 URL', 'UNSUPPORTED_SOURCE');
+  }
+  if (sourceType === 'unknown') {
+    if (url && fs.existsSync(url)) {
+      sourceType = 'file';
+    } else {
+      throw new FrameSourceError(`Unsupported stream source: ${url}`, 'UNSUPPORTED_SOURCE');
+    }
+  }
+
+  if (settings.fps < MIN_TRACKING_FPS) {
+    console.warn(`Sampling ${url} at ${settings.fps} fps: tracking needs ${MIN_TRACKING_FPS} fps or more, so only single-frame checks will work`);
+  }
+
+  const queue = createFrameQueue();
+  let frameNumber = 0;
+  const emit = (buffer) => queue.push({
+    buffer,
+    frameNumber: frameNumber++,
+    timestamp: new Date(),
+    source: sourceType,
+    url
+  });
+
+  const stop = sourceType === 'mjpeg' || sourceType === 'http'
+    ? startHttpSource(url, settings, queue, emit)
+    : startFfmpegSource(url, sourceType, settings, queue, emit);
+
+  const abort = () => queue.end();
+  settings.signal?.addEventListener('abort', abort, { once: true });
+
+  // Frames arrive every 1/fps seconds, so allow that on top of the connect timeout
+  const frameTimeout = settings.timeout + 1000 / settings.fps;
+
+  try {
+    for (;;) {
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new FrameSourceError(
+          `No frame received from ${url} within ${Math.round(frameTimeout / 1000)}s`, 'SOURCE_UNREACHABLE'
+        )), frameTimeout);
+      });
+
+      const frame = await Promise.race([queue.next(), timeout]).finally(() => clearTimeout(timer));
+      if (!frame || settings.signal?.aborted) return;
+      yield frame;
+    }
+  } finally {
+    settings.signal?.removeEventListener('abort', abort);
+    stop();
+  }
+}
+
+// Grab a single frame and release the source
+export async function grabFrame(url, options = {}) {
+  for await (const frame of readFrames(url, { ...options, realtime: false })) {
+    return frame;
+  }
+  throw new FrameSourceError(`Source ended before a frame was decoded: ${url}`, 'SOURCE_UNREACHABLE');
+}
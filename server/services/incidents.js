@@ -0,0 +1,175 @@
+import { boundingBoxOf, distanceKm, overlapRatio } from './geometry.js';
+
+// Incident correlation: every positive frame of a stream reports its detections again, so a single
+// crash would otherwise open a pending alert per frame. A detection is matched against the stream's recent
+// pending alerts of the same type (newest first) whose footprint it shares, i.e. a track or an overlapping
+// region of the view:
+//
+//   - a pending alert last detected within `incidentMergeSeconds` absorbs it (merge)
+//   - an alert approved or rejected within `incidentCooldownSeconds` drops it (suppress), unless the
+//     detection is urgent and the reviewed alert was not
+//   - otherwise the scene has changed and the detection opens a new incident (open)
+//
+// Both windows are per-stream thresholds.
+const MIN_OVERLAP = 0.3;
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+const PRIORITY_ORDER = ['normal', 'urgent'];
+
+function escalates(candidate, incident) {
+  return PRIORITY_ORDER.indexOf(candidate.priority) > PRIORITY_ORDER.indexOf(incident.priority || 'normal');
+}
+
+// Where in the view an incident is: the tracks involved and the box around them
+export function incidentFootprint(detectionData = {}) {
+  const trackIds = new Set();
+  const boxes = [];
+
+  for (const accident of detectionData.accidents || []) {
+    (accident.trackIds || []).forEach(id => trackIds.add(id));
+    boxes.push(...(accident.boundingBoxes || []));
+  }
+  for (const event of detectionData.events || []) {
+    if (event.trackId) trackIds.add(event.trackId);
+    if (event.boundingBox) boxes.push(event.boundingBox);
+  }
+  // Multi-frame accidents name their tracks but carry no boxes of their own
+  for (const box of detectionData.boundingBoxes || []) {
+    if (box.trackId && trackIds.has(box.trackId)) boxes.push(box);
+  }
+
+  return { trackIds: [...trackIds], box: boundingBoxOf(boxes) };
+}
+
+// Incidents without a known footprint (older rows, detections without boxes) cannot be told apart
+function sameScene(a, b) {
+  if (!a.box || !b.box) return true;
+  if (a.trackIds.some(id => b.trackIds.includes(id))) return true;
+  return overlapRatio(a.box, b.box) >= MIN_OVERLAP;
+}
+
+function rank(priority, severity, confidence) {
+  return [PRIORITY_ORDER.indexOf(priority || 'normal'), SEVERITY_ORDER.indexOf(severity), confidence || 0];
+}
+
+// Whether a detection should replace an incident's key detection: higher priority, then severity, then confidence
+export function outranks(candidate, incident) {
+  const a = rank(candidate.priority, candidate.detectionData.severity, candidate.confidence);
+  const b = rank(incident.priority, incident.detection_data?.severity, incident.confidence);
+  const difference = a.map((value, i) => value - b[i]).find(value => value !== 0);
+
+  return difference > 0;
+}
+
+// `candidate` is { type, priority, confidence, detectionData }; `incidents` are the recent pending_alerts
+// rows of the stream and type, newest first. Returns the action and, for merge and suppress, the matched row.
+export function correlateIncident(candidate, incidents, { mergeSeconds, cooldownSeconds, now = Date.now() }) {
+  const footprint = incidentFootprint(candidate.detectionData);
+
+  for (const incident of incidents) {
+    if (!sameScene(footprint, incidentFootprint(incident.detection_data))) continue;
+
+    if (incident.status === 'pending') {
+      const lastDetected = Date.parse(incident.last_detected_at || incident.created_at);
+      if (now - lastDetected <= mergeSeconds * 1000) {
+        return { action: 'merge', incident };
+      }
+    } else if (incident.approved_at) {
+      if (now - Date.parse(incident.approved_at) <= cooldownSeconds * 1000 && !escalates(candidate, incident)) {
+        return { action: 'suppress', incident };
+      }
+    }
+  }
+
+  return { action: 'open', incident: null };
+}
+
+// Cross-camera correlation: adjacent cameras often see the same crash. A detection that would open a new
+// incident is first matched against the other streams' incidents of the same type whose camera is within
+// INCIDENT_CORRELATION_RADIUS_METERS (300, 0 turns this off) of its own and that were active within
+// INCIDENT_CORRELATION_WINDOW_SECONDS (120). The nearest one decides:
+//
+//   - pending: the detection joins it, as a pending alert of its own stream in the same incident (join)
+//   - approved or rejected: the detection is dropped (suppress), unless it is urgent and that one was not
+//
+// Cameras are placed by the latitude and longitude of their streams, stored with every detection.
+const DEFAULT_CORRELATION = {
+  radiusMeters: 300,
+  windowSeconds: 120
+};
+
+export function getCorrelationOptions(env = process.env) {
+  const radiusMeters = parseFloat(env.INCIDENT_CORRELATION_RADIUS_METERS);
+  const windowSeconds = parseFloat(env.INCIDENT_CORRELATION_WINDOW_SECONDS);
+
+  return {
+    radiusMeters: Number.isFinite(radiusMeters) ? radiusMeters : DEFAULT_CORRELATION.radiusMeters,
+    windowSeconds: Number.isFinite(windowSeconds) ? windowSeconds : DEFAULT_CORRELATION.windowSeconds
+  };
+}
+
+function cameraOf(detectionData = {}) {
+  if (detectionData.latitude == null || detectionData.longitude == null) return null;
+
+  const camera = { lat: Number(detectionData.latitude), lon: Number(detectionData.longitude) };
+  return Number.isFinite(camera.lat) && Number.isFinite(camera.lon) ? camera : null;
+}
+
+// `incidents` are recent pending_alerts rows of the type on other streams. Returns the action and,
+// for join and suppress, the matched row.
+export function correlateAcrossStreams(candidate, incidents, { radiusMeters, windowSeconds, now = Date.now() }) {
+  const camera = cameraOf(candidate.detectionData);
+  if (!camera || radiusMeters <= 0) return { action: 'open', incident: null };
+
+  const nearest = incidents
+    .map(incident => {
+      const other = cameraOf(incident.detection_data);
+      const lastActive = Math.max(Date.parse(incident.last_detected_at || incident.created_at), Date.parse(incident.approved_at) || 0);
+      return { incident, lastActive, distance: other ? distanceKm(camera, other) * 1000 : Infinity };
+    })
+    .filter(({ distance, lastActive }) => distance <= radiusMeters && now - lastActive <= windowSeconds * 1000)
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  if (!nearest) return { action: 'open', incident: null };
+
+  const { incident } = nearest;
+  if (incident.status === 'pending') return { action: 'join', incident };
+  return escalates(candidate, incident) ? { action: 'open', incident: null } : { action: 'suppress', incident };
+}
+
+// One stream's part in an incident, as listed in `contributing_streams`
+export function describeContribution(pendingAlert) {
+  return {
+    pending_alert_id: pendingAlert.id,
+    stream_id: pendingAlert.stream_id,
+    location: pendingAlert.detection_data?.location || null,
+    latitude: pendingAlert.detection_data?.latitude ?? null,
+    longitude: pendingAlert.detection_data?.longitude ?? null,
+    confidence: pendingAlert.confidence,
+    detection_count: pendingAlert.detection_count || 1,
+    last_detected_at: pendingAlert.last_detected_at || pendingAlert.created_at,
+    evidence: pendingAlert.evidence || null
+  };
+}
+
+// The first pending alert of an incident, with `contributing_streams` listing it and the alerts of the
+// other cameras that joined it
+export async function loadIncident(supabase, incidentId) {
+  const { data: primary, error } = await supabase
+    .from('pending_alerts')
+    .select('*')
+    .eq('id', incidentId)
+    .single();
+
+  if (error) throw error;
+  if (!primary) return null;
+
+  const { data: joined, error: joinedError } = await supabase
+    .from('pending_alerts')
+    .select('*')
+    .eq('incident_id', incidentId)
+    .order('created_at', { ascending: true });
+
+  if (joinedError) throw joinedError;
+  return { ...primary, contributing_streams: [primary, ...(joined || [])].map(describeContribution) };
+}
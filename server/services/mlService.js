@@ -1,34 +1,75 @@
 import axios from 'axios';
+import { createDetectorFromEnv } from './detectors/index.js';
+import { grabFrame } from './frameSource.js';
+import TemporalAccidentDetector from './temporalAccidentDetector.js';
+import VehicleTracker from './vehicleTracker.js';
+import WrongWayDetector from './wrongWayDetector.js';
+import StationaryObjectDetector from './stationaryObjectDetector.js';
+import PedestrianHazardDetector from './pedestrianHazardDetector.js';
+import CongestionDetector from './congestionDetector.js';
+import { createRandom, randomDetections } from './simulation/index.js';
+import { createWeatherProviderFromEnv } from './conditions/index.js';
+import TtlCache from './conditions/cache.js';
+import ProcessingStats from './processingStats.js';
+import { applyZones, groundPoint } from './zones.js';
+import { overlapRatio } from './geometry.js';
+import { createGroundProjector } from './calibration.js';
+import { resolveThresholds } from './detectionProfiles.js';
+import { scoreAccidentSeverity } from './severityScorer.js';
 
 class MLService {
-  constructor() {
-    this.model = null;
+  constructor(detector = createDetectorFromEnv(), options = {}) {
+    this.detector = detector;
     this.isLoaded = false;
+    this.loadError = null;
     this.detectionClasses = {
       vehicle: ['car', 'truck', 'bus', 'motorcycle', 'bicycle'],
       person: ['person'],
       obstacle: ['stop sign', 'traffic light', 'parking meter']
     };
+    // Anything else seen on the roadway (bags, boxes, tyres...) is tracked as possible debris; see supportsDebris()
 
-    this.accidentThresholds = {
-      minVehicles: 2,
-      maxDistanceBetweenVehicles: 100,
-      collisionConfidenceThreshold: 0.7,
-      timeWindowForCollision: 5
+    // Defaults; streams pass their own (profile + overrides) with each frame
+    this.accidentThresholds = resolveThresholds();
+
+    this.trackerOptions = {
+      matching: process.env.TRACKER_MATCHING || 'hungarian',
+      iouThreshold: parseFloat(process.env.TRACKER_IOU_THRESHOLD) || 0.2,
+      maxAge: parseInt(process.env.TRACKER_MAX_AGE) || 5000,
+      minHits: parseInt(process.env.TRACKER_MIN_HITS) || 1
     };
 
-    this.vehicleTracker = new Map();
-    this.accidentCandidates = [];
+    // Seeded when ML_SIMULATION_SEED is set so single-frame confidence scoring is reproducible
+    this.random = createRandom(options.seed ?? process.env.ML_SIMULATION_SEED);
+
+    // Tracker session and temporal accident state for each stream being processed
+    this.streamStates = new Map();
+    // Frame counts and latency of stream processing, for /api/ml/metrics
+    this.processingStats = new ProcessingStats();
+
+    // Conditions at stream locations. The traffic provider needs the database and is passed in by the server.
+    this.weatherProvider = options.weatherProvider || createWeatherProviderFromEnv();
+    this.trafficProvider = options.trafficProvider || null;
+    this.weatherCache = new TtlCache(
+      (parseInt(process.env.WEATHER_CACHE_TTL) || 600) * 1000,
+      (parseInt(process.env.WEATHER_FAILURE_TTL) || 60) * 1000
+    );
+    // Where GET /api/ml/weather looks when it is given no stream or place
+    this.defaultWeatherLocation = process.env.WEATHER_DEFAULT_LOCATION || 'New York';
+    this.trafficCache = new TtlCache((parseInt(process.env.TRAFFIC_CACHE_TTL) || 60) * 1000);
   }
 
   async initialize() {
     try {
-      console.log('Initializing ML service...');
-      this.isLoaded = true;
+      console.log(`Initializing ML service with ${this.detector.provider} detector...`);
+      await this.detector.load();
+      this.isLoaded = this.detector.isReady();
+      this.loadError = null;
       console.log('ML service ready for video analysis');
     } catch (error) {
       console.error('Failed to initialize ML service:', error);
       this.isLoaded = false;
+      this.loadError = error.message;
     }
   }
 
@@ -36,68 +77,228 @@ class MLService {
     return this.isLoaded;
   }
 
-  async processFrame(frameData) {
+  getModelError() {
+    return this.loadError;
+  }
+
+  getDetectorInfo() {
+    return this.detector.getInfo();
+  }
+
+  // With a streamId, accidents are judged from tracks across frames; without one, from this frame alone.
+  // options.zones (the stream's ROI/exclusion/lane polygons) drops or down-weights objects by zone;
+  // options.calibration (image-to-road homography) puts detections on the ground in metres, which
+  // switches speeds to km/h and distances to metres; options.thresholds replaces accidentThresholds for this frame.
+  // options.place (the stream's location and coordinates) and options.roadClass (its detection profile) feed
+  // the severity scorer, with the weather at the place.
+  async processFrame(frameData, options = {}) {
+    const startedAt = performance.now();
+
     try {
-      const detections = this.performObjectDetection(frameData);
-      const accidents = this.detectAccidents(detections);
+      const thresholds = options.thresholds || this.accidentThresholds;
+      const zoned = applyZones(await this.performObjectDetection(frameData), options.zones);
+      const toGround = createGroundProjector(options.calibration);
+      const detections = toGround
+        ? zoned.detections.map(detection => ({ ...detection, ground: toGround(groundPoint(detection.boundingBox)) }))
+        : zoned.detections;
+      const timestamp = frameData?.timestamp ? new Date(frameData.timestamp) : new Date();
+      const frame = { timestamp: timestamp.getTime(), frameNumber: frameData?.frameNumber };
+      let accidents;
+      let events = [];
+      let congestion = null;
+      let state = null;
+
+      if (options.streamId) {
+        state = this.getStreamState(options.streamId, thresholds, !!toGround);
+        const tracks = this.trackVehicles(detections, state.tracker, frame.timestamp);
+        const objects = this.trackDebris(detections, state.objectTracker, frame.timestamp);
+        const people = this.trackPeople(detections, state.personTracker, frame.timestamp);
+        const lanes = options.zones?.lanes || [];
+
+        accidents = state.temporalDetector.update(tracks, frame);
+        // Vehicles left standing after a reported collision belong to its accident alert, not a stalled vehicle one
+        const collided = state.temporalDetector.getCollidedTrackIds();
+
+        // Non-collision hazards; each event carries its own alert type and review priority
+        if (lanes.length > 0) {
+          events = state.wrongWayDetector.update(tracks, lanes, frame)
+            .map(event => ({ ...event, severity: 'critical', priority: 'urgent' }));
+        }
+        events = events.concat(
+          state.stationaryDetector.update(tracks, lanes, frame, 'stalled_vehicle')
+            .filter(event => !collided.has(event.trackId)),
+          state.debrisDetector.update(objects, lanes, frame, 'debris'),
+          state.pedestrianDetector.update(people, tracks, lanes, frame)
+        ).map(event => ({ priority: event.severity === 'critical' ? 'urgent' : 'normal', ...event }));
+
+        // Jams open and clear alerts of their own rather than going through review
+        const jam = state.congestionDetector.update(tracks, frame);
+        if (jam) events.push(jam);
+        congestion = state.congestionDetector.getStats();
+      } else {
+        accidents = this.detectAccidents(detections, thresholds);
+      }
+
+      // Each accident is rated on its own; the frame's severity weighs all of them together
+      let severityBreakdown = null;
+      if (accidents.length > 0) {
+        const context = {
+          personCount: detections.filter(d => d.class === 'person').length,
+          roadClass: options.roadClass,
+          hasLanes: (options.zones?.lanes || []).length > 0,
+          weather: options.place ? await this.getWeatherData(options.place).catch(() => null) : null,
+          timestamp: frame.timestamp,
+          longitude: options.place?.longitude
+        };
+        accidents = accidents.map(accident => ({
+          ...accident,
+          severity: scoreAccidentSeverity([accident], context, thresholds.severityCutoffs).level
+        }));
+        severityBreakdown = scoreAccidentSeverity(accidents, context, thresholds.severityCutoffs);
+      }
+      if (state) state.lastResult = { timestamp, accidents, events };
+
+      const confidence = accidents.length > 0 ? this.calculateAccidentConfidence(accidents) : 0;
+
+      if (options.streamId) {
+        this.processingStats.record(options.streamId, performance.now() - startedAt);
+      }
 
       return {
         detections,
+        // Objects the stream's zones ignore still show in the image, so redaction blurs them too
+        ignoredDetections: zoned.dropped,
         accidentDetected: accidents.length > 0,
         accidents,
-        confidence: accidents.length > 0 ? this.calculateAccidentConfidence(accidents) : 0,
-        timestamp: new Date(),
-        frameAnalysis: this.analyzeFrameContext(detections)
+        events,
+        confidence,
+        severity: severityBreakdown?.level || null,
+        severityBreakdown,
+        congestion,
+        timestamp,
+        frameAnalysis: { ...this.analyzeFrameContext(detections), ignoredObjects: zoned.ignored }
       };
     } catch (error) {
       console.error('Frame processing error:', error);
-      return this.getDefaultDetectionResult();
+      if (options.streamId) {
+        this.processingStats.record(options.streamId, performance.now() - startedAt, false);
+      }
+      return { ...this.getDefaultDetectionResult(), error: error.message };
     }
   }
 
-  performObjectDetection(frameData) {
-    const detections = [];
-    const vehicleCount = Math.floor(Math.random() * 5) + 2;
-
-    for (let i = 0; i < vehicleCount; i++) {
-      const vehicleClasses = this.detectionClasses.vehicle;
-      const vehicleClass = vehicleClasses[Math.floor(Math.random() * vehicleClasses.length)];
-
-      detections.push({
-        class: vehicleClass,
-        confidence: 0.85 + Math.random() * 0.15,
-        boundingBox: {
-          x: Math.random() * 800,
-          y: Math.random() * 400,
-          width: 80 + Math.random() * 120,
-          height: 60 + Math.random() * 100
-        },
-        id: `vehicle_${i}_${Date.now()}`
-      });
+  getStreamState(streamId, thresholds = this.accidentThresholds, calibrated = false) {
+    let state = this.streamStates.get(streamId);
+
+    if (!state) {
+      state = {
+        tracker: new VehicleTracker(this.trackerOptions),
+        temporalDetector: new TemporalAccidentDetector(),
+        wrongWayDetector: new WrongWayDetector(),
+        objectTracker: new VehicleTracker({ ...this.trackerOptions, idPrefix: 'object' }),
+        stationaryDetector: new StationaryObjectDetector(),
+        debrisDetector: new StationaryObjectDetector(),
+        personTracker: new VehicleTracker({ ...this.trackerOptions, idPrefix: 'person' }),
+        pedestrianDetector: new PedestrianHazardDetector(),
+        congestionDetector: new CongestionDetector()
+      };
+      this.streamStates.set(streamId, state);
     }
 
-    if (Math.random() > 0.7) {
-      detections.push({
-        class: 'person',
-        confidence: 0.75 + Math.random() * 0.25,
-        boundingBox: {
-          x: Math.random() * 800,
-          y: Math.random() * 400,
-          width: 30,
-          height: 70
-        },
-        id: `person_${Date.now()}`
-      });
+    // Re-applied every frame so threshold edits take effect without restarting the stream
+    state.tracker.configure({ historyWindow: thresholds.timeWindowForCollision * 2000 });
+    state.temporalDetector.configure({
+      windowSeconds: thresholds.timeWindowForCollision,
+      confidenceThreshold: thresholds.collisionConfidenceThreshold,
+      minVehicles: thresholds.minVehicles
+    });
+    state.stationaryDetector.configure({
+      dwellSeconds: thresholds.stationaryDwellSeconds,
+      signalCycleSeconds: thresholds.signalCycleSeconds
+    });
+    state.debrisDetector.configure({ dwellSeconds: thresholds.stationaryDwellSeconds });
+    state.congestionDetector.configure({
+      minVehicles: thresholds.jamMinVehicles,
+      maxSpeed: calibrated ? thresholds.jamMaxSpeedKmh : thresholds.jamMaxSpeed,
+      speedUnit: calibrated ? 'km/h' : 'px/s',
+      windowSeconds: thresholds.jamWindowSeconds
+    });
+
+    return state;
+  }
+
+  releaseStream(streamId) {
+    this.streamStates.delete(streamId);
+  }
+
+  getStreamTracks(streamId) {
+    const state = this.streamStates.get(streamId);
+    return state ? state.tracker.snapshot() : null;
+  }
+
+  // Current congestion window of a running stream, null when it is not being processed
+  getStreamCongestion(streamId) {
+    const state = this.streamStates.get(streamId);
+    return state ? state.congestionDetector.getStats() : null;
+  }
+
+  // Accidents and hazard events from the last frame a running stream processed
+  getStreamLastResult(streamId) {
+    return this.streamStates.get(streamId)?.lastResult || null;
+  }
+
+  // place: { location, latitude, longitude }, e.g. a stream row. Cached per coordinates (about 1 km) or name.
+  async getWeatherData(place = {}) {
+    const key = Number.isFinite(place.latitude) && Number.isFinite(place.longitude)
+      ? `${place.latitude.toFixed(2)},${place.longitude.toFixed(2)}`
+      : (place.location || '').trim().toLowerCase();
+
+    return this.weatherCache.getOrLoad(key, () => this.weatherProvider.getWeather(place));
+  }
+
+  async getTrafficConditions(stream) {
+    if (!this.trafficProvider) {
+      throw new Error('No traffic conditions provider configured');
+    }
+
+    return this.trafficCache.getOrLoad(stream.id, () =>
+      this.trafficProvider.getConditions(stream, this.getStreamCongestion(stream.id)));
+  }
+
+  // Single-frame analysis of a simulated scene, to check the detection pipeline end to end
+  async simulateDetection() {
+    const result = await this.processFrame({ detections: randomDetections(this.random), timestamp: new Date() });
+    return { ...result, simulated: true };
+  }
+
+  async performObjectDetection(frameData) {
+    // Simulated (sim://) and replayed (replay://) frames carry their detections and have no image to run
+    if (Array.isArray(frameData?.detections)) {
+      return frameData.detections.map(detection => ({ ...detection }));
     }
 
-    return detections;
+    if (!this.isLoaded) {
+      throw new Error(`Detector not ready${this.loadError ? `: ${this.loadError}` : ''}`);
+    }
+
+    return this.detector.detect(this.getFrameBuffer(frameData));
   }
 
-  detectAccidents(detections) {
+  getFrameBuffer(frameData) {
+    if (!frameData) return null;
+    if (Buffer.isBuffer(frameData)) return frameData;
+    if (frameData instanceof ArrayBuffer) return Buffer.from(frameData);
+    if (frameData.buffer) {
+      return Buffer.isBuffer(frameData.buffer) ? frameData.buffer : Buffer.from(frameData.buffer);
+    }
+    return null;
+  }
+
+  detectAccidents(detections, thresholds = this.accidentThresholds) {
     const accidents = [];
     const vehicles = detections.filter(d => this.detectionClasses.vehicle.includes(d.class));
 
-    if (vehicles.length < this.accidentThresholds.minVehicles) {
+    if (vehicles.length < thresholds.minVehicles) {
       return accidents;
     }
 
@@ -105,22 +306,28 @@ class MLService {
       for (let j = i + 1; j < vehicles.length; j++) {
         const vehicle1 = vehicles[i];
         const vehicle2 = vehicles[j];
-        const distance = this.calculateDistance(vehicle1.boundingBox, vehicle2.boundingBox);
+        // Calibrated detections are compared on the road in metres, others by box centres in pixels
+        const calibrated = !!(vehicle1.ground && vehicle2.ground);
+        const distance = calibrated
+          ? Math.hypot(vehicle1.ground.x - vehicle2.ground.x, vehicle1.ground.y - vehicle2.ground.y)
+          : this.calculateDistance(vehicle1.boundingBox, vehicle2.boundingBox);
+        const maxDistance = calibrated ? thresholds.maxDistanceMeters : thresholds.maxDistanceBetweenVehicles;
 
-        if (distance < this.accidentThresholds.maxDistanceBetweenVehicles) {
-          const collisionConfidence = this.calculateCollisionConfidence(vehicle1, vehicle2, distance);
+        if (distance < maxDistance) {
+          const collisionConfidence = this.calculateCollisionConfidence(vehicle1, vehicle2, calibrated ? distance / maxDistance * 100 : distance);
 
-          if (collisionConfidence > this.accidentThresholds.collisionConfidenceThreshold) {
+          if (collisionConfidence > thresholds.collisionConfidenceThreshold) {
             accidents.push({
               vehicle1: vehicle1.class,
               vehicle2: vehicle2.class,
               confidence: collisionConfidence,
               distance,
+              distanceUnit: calibrated ? 'm' : 'px',
+              boundingBoxes: [vehicle1.boundingBox, vehicle2.boundingBox],
               location: {
                 x: (vehicle1.boundingBox.x + vehicle2.boundingBox.x) / 2,
                 y: (vehicle1.boundingBox.y + vehicle2.boundingBox.y) / 2
               },
-              severity: this.calculateSeverity(collisionConfidence, distance),
               timestamp: new Date()
             });
           }
@@ -150,16 +357,10 @@ class MLService {
   calculateCollisionConfidence(vehicle1, vehicle2, distance) {
     const confidenceProduct = vehicle1.confidence * vehicle2.confidence;
     const distanceFactor = Math.max(0, 1 - distance / 200);
-    const baseCollision = Math.random() * 0.3;
-
-    return Math.min(1, confidenceProduct * distanceFactor * 1.2 + baseCollision);
-  }
+    // Boxes that already overlap in the one frame add up to 0.3
+    const contact = overlapRatio(vehicle1.boundingBox, vehicle2.boundingBox) * 0.3;
 
-  calculateSeverity(confidence, distance) {
-    if (confidence > 0.85) return 'critical';
-    if (confidence > 0.75) return 'high';
-    if (confidence > 0.65) return 'medium';
-    return 'low';
+    return Math.min(1, confidenceProduct * distanceFactor * 1.2 + contact);
   }
 
   calculateAccidentConfidence(accidents) {
@@ -188,9 +389,14 @@ class MLService {
   getDefaultDetectionResult() {
     return {
       detections: [],
+      ignoredDetections: [],
       accidentDetected: false,
       accidents: [],
+      events: [],
       confidence: 0,
+      severity: null,
+      severityBreakdown: null,
+      congestion: null,
       timestamp: new Date(),
       frameAnalysis: {
         vehicleCount: 0,
@@ -203,128 +409,65 @@ class MLService {
   }
 
   async processVideoStream(streamUrl) {
+    console.log(`Processing video stream: ${streamUrl}`);
+
+    const frameData = await this.extractFrameFromStream(streamUrl);
+    return this.processFrame(frameData);
+  }
+
+  async extractFrameFromStream(streamUrl, options = {}) {
     try {
-      console.log(`Processing video stream: ${streamUrl}`);
-
-      const processingDelay = 2000 + Math.random() * 3000;
-
-      return new Promise((resolve) => {
-        setTimeout(async () => {
-          try {
-            const frameData = await this.extractFrameFromStream(streamUrl);
-            const result = await this.processFrame(frameData);
-            resolve(result);
-          } catch (error) {
-            console.error('Error in video processing:', error);
-            resolve(this.getDefaultDetectionResult());
-          }
-        }, processingDelay);
-      });
+      return await grabFrame(streamUrl, options);
     } catch (error) {
-      console.error('Stream processing error:', error);
+      console.error('Frame extraction error:', error.message);
       throw error;
     }
   }
 
-  async extractFrameFromStream(streamUrl) {
-    try {
-      if (streamUrl.includes('youtube.com') || streamUrl.includes('youtu.be')) {
-        return {
-          source: 'youtube',
-          url: streamUrl,
-          frameNumber: Math.floor(Date.now() / 1000) % 3600
-        };
-      }
+  async fetchImage(imageUrl) {
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 10000
+    });
 
-      if (streamUrl.includes('m3u8') || streamUrl.includes('hls')) {
-        return {
-          source: 'hls',
-          url: streamUrl,
-          frameNumber: Math.floor(Date.now() / 1000) % 3600
-        };
-      }
-
-      if (streamUrl.match(/\.(mp4|webm|avi|mov)$/i)) {
-        return {
-          source: 'file',
-          url: streamUrl,
-          frameNumber: Math.floor(Date.now() / 1000) % 3600
-        };
-      }
-
-      return {
-        source: 'unknown',
-        url: streamUrl,
-        frameNumber: Math.floor(Date.now() / 1000) % 3600
-      };
-    } catch (error) {
-      console.error('Frame extraction error:', error);
-      throw error;
-    }
+    return {
+      buffer: Buffer.from(response.data),
+      url: imageUrl,
+      size: response.data.length
+    };
   }
 
   async analyzeImage(imageUrl) {
     try {
-      const response = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 10000
-      });
-
-      const frameData = {
-        buffer: response.data,
-        url: imageUrl,
-        size: response.data.length
-      };
-
-      return await this.processFrame(frameData);
+      return await this.processFrame(await this.fetchImage(imageUrl));
     } catch (error) {
       console.error('Image analysis error:', error);
       return this.getDefaultDetectionResult();
     }
   }
 
-  trackVehicles(detections) {
-    const currentVehicles = detections
-      .filter(d => this.detectionClasses.vehicle.includes(d.class))
-      .map(d => ({
-        ...d,
-        timestamp: Date.now()
-      }));
-
-    const matchedPairs = [];
-
-    for (const current of currentVehicles) {
-      let bestMatch = null;
-      let bestDistance = 50;
-
-      for (const [trackId, tracked] of this.vehicleTracker.entries()) {
-        const distance = this.calculateDistance(current.boundingBox, tracked.boundingBox);
+  trackVehicles(detections, tracker, timestamp = Date.now()) {
+    const vehicles = detections.filter(d => this.detectionClasses.vehicle.includes(d.class));
+    return tracker.update(vehicles, timestamp);
+  }
 
-        if (distance < bestDistance) {
-          bestDistance = distance;
-          bestMatch = trackId;
-        }
-      }
+  trackPeople(detections, tracker, timestamp = Date.now()) {
+    const people = detections.filter(d => this.detectionClasses.person.includes(d.class));
+    return tracker.update(people, timestamp);
+  }
 
-      if (bestMatch) {
-        this.vehicleTracker.set(bestMatch, current);
-        matchedPairs.push(bestMatch);
-      } else {
-        const newTrackId = `track_${Date.now()}_${Math.random()}`;
-        this.vehicleTracker.set(newTrackId, current);
-      }
-    }
+  trackDebris(detections, tracker, timestamp = Date.now()) {
+    const objects = detections.filter(d => this.isDebrisClass(d.class));
+    return tracker.update(objects, timestamp);
+  }
 
-    for (const [trackId] of this.vehicleTracker.entries()) {
-      if (!matchedPairs.includes(trackId)) {
-        const tracked = this.vehicleTracker.get(trackId);
-        if (Date.now() - tracked.timestamp > 5000) {
-          this.vehicleTracker.delete(trackId);
-        }
-      }
-    }
+  isDebrisClass(className) {
+    return !Object.values(this.detectionClasses).some(classes => classes.includes(className));
+  }
 
-    return matchedPairs;
+  // Debris alerts need a detector that reports something besides vehicles, people and street furniture
+  supportsDebris() {
+    return (this.getDetectorInfo().classes || []).some(className => this.isDebrisClass(className));
   }
 
   getSampleImages() {
@@ -0,0 +1,17 @@
+// Supabase returns at most 1000 rows per request (the project's max rows setting), silently dropping
+// the rest. Reads that can be longer go through here a page at a time.
+export const PAGE_SIZE = 1000;
+
+// Every row of a query. `buildQuery` makes a fresh, ordered query each call so `.range()` can be applied
+// to it; a page shorter than PAGE_SIZE is the last one.
+export async function selectAllRows(buildQuery) {
+  const rows = [];
+
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(start, start + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
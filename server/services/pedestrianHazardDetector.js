@@ -0,0 +1,159 @@
+const DEFAULT_OPTIONS = {
+  minConsecutiveFrames: 3,
+  nearDistance: 150,
+  pathMargin: 30,
+  minClosingSpeed: 20,
+  // Normal braking in px/s²: a vehicle that can still stop short of a person braking this hard, or as hard
+  // as it already is, is yielding to them
+  yieldDeceleration: 100,
+  lingerSeconds: 15,
+  speedWindowSeconds: 1
+};
+
+const SEVERITY_ORDER = ['medium', 'high', 'critical'];
+
+function distanceToBox(point, box) {
+  const dx = Math.max(box.x - point.x, 0, point.x - (box.x + box.width));
+  const dy = Math.max(box.y - point.y, 0, point.y - (box.y + box.height));
+  return Math.hypot(dx, dy);
+}
+
+function velocityBetween(from, to) {
+  const seconds = (to.timestamp - from.timestamp) / 1000;
+  if (seconds <= 0) return null;
+  return { x: (to.center.x - from.center.x) / seconds, y: (to.center.y - from.center.y) / seconds };
+}
+
+// Flags people standing or walking inside the roadway zone. A person is a hazard once a moving vehicle
+// within nearDistance px is heading at them (they stand in the band it sweeps, widened by pathMargin px)
+// and could no longer stop short of them, or once they have stayed in the roadway for lingerSeconds.
+// Someone crossing in front of stopped or yielding traffic is neither, so ordinary crosswalk use is not
+// reported.
+class PedestrianHazardDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.inRoadway = new Map();
+    this.reported = new Map();
+  }
+
+  update(people, vehicles, lanes, frame) {
+    const timestamp = frame.timestamp;
+    const lanesById = new Map((lanes || []).map(lane => [lane.id, lane]));
+    const liveIds = new Set(people.map(person => person.id));
+    const moving = vehicles
+      .filter(vehicle => vehicle.lastSeen === timestamp)
+      .map(vehicle => ({ vehicle, velocity: this.velocityOf(vehicle, timestamp) }))
+      .filter(entry => entry.velocity);
+    const events = [];
+
+    for (const person of people) {
+      if (person.lastSeen !== timestamp) continue;
+
+      if (person.zone !== 'roadway') {
+        this.inRoadway.delete(person.id);
+        continue;
+      }
+
+      const entry = this.inRoadway.get(person.id) || { since: timestamp, frames: 0 };
+      entry.frames++;
+      this.inRoadway.set(person.id, entry);
+      if (entry.frames < this.options.minConsecutiveFrames) continue;
+
+      const box = person.boundingBox;
+      const feet = { x: box.x + box.width / 2, y: box.y + box.height };
+      const nearbyVehicles = moving
+        .map(({ vehicle, velocity }) => this.approachOf(vehicle, velocity, feet))
+        .filter(Boolean)
+        .sort((a, b) => a.timeToReach - b.timeToReach);
+
+      const lane = lanesById.get(person.laneId);
+      const dwell = (timestamp - entry.since) / 1000;
+      const severity = this.severityFor(lane, nearbyVehicles.length > 0, dwell);
+      if (!severity) continue;
+
+      const previous = this.reported.get(person.id);
+      if (previous && SEVERITY_ORDER.indexOf(severity) <= SEVERITY_ORDER.indexOf(previous)) continue;
+      this.reported.set(person.id, severity);
+
+      events.push({
+        type: 'pedestrian_hazard',
+        trackId: person.id,
+        laneId: lane ? lane.id : null,
+        laneName: lane ? lane.name : null,
+        dwellSeconds: dwell,
+        nearbyVehicles,
+        confidence: person.confidence,
+        severity,
+        escalated: !!previous,
+        boundingBox: box,
+        location: feet,
+        timestamp: new Date(timestamp)
+      });
+    }
+
+    for (const id of this.inRoadway.keys()) {
+      if (!liveIds.has(id)) this.inRoadway.delete(id);
+    }
+    for (const id of this.reported.keys()) {
+      if (!liveIds.has(id)) this.reported.delete(id);
+    }
+
+    return events;
+  }
+
+  // Approaching traffic is what makes a person in the road dangerous; a lane is worse than the shoulder
+  severityFor(lane, approached, dwell) {
+    if (approached) return lane ? 'critical' : 'high';
+    if (dwell >= this.options.lingerSeconds) return lane ? 'high' : 'medium';
+    return null;
+  }
+
+  // Vehicle velocity in px/s over the second half of the last speedWindowSeconds, with how fast it is
+  // braking in px/s² (0 when it is not), or null when it is standing still
+  velocityOf(vehicle, timestamp) {
+    const windowStart = timestamp - this.options.speedWindowSeconds * 1000;
+    const history = vehicle.history.filter(h => h.timestamp >= windowStart);
+    if (history.length < 3) return null;
+
+    const middle = history[Math.floor(history.length / 2)];
+    const earlier = velocityBetween(history[0], middle);
+    const recent = velocityBetween(middle, history[history.length - 1]);
+    if (!earlier || !recent) return null;
+
+    const speed = Math.hypot(recent.x, recent.y);
+    if (speed < this.options.minClosingSpeed) return null;
+
+    const seconds = (history[history.length - 1].timestamp - history[0].timestamp) / 2000;
+    return { ...recent, deceleration: Math.max(0, (Math.hypot(earlier.x, earlier.y) - speed) / seconds) };
+  }
+
+  approachOf(vehicle, velocity, point) {
+    const distance = distanceToBox(point, vehicle.boundingBox);
+    if (distance > this.options.nearDistance) return null;
+
+    const box = vehicle.boundingBox;
+    const speed = Math.hypot(velocity.x, velocity.y);
+    const heading = { x: velocity.x / speed, y: velocity.y / speed };
+    const toPerson = { x: point.x - (box.x + box.width / 2), y: point.y - (box.y + box.height / 2) };
+    const ahead = heading.x * toPerson.x + heading.y * toPerson.y;
+    const lateral = Math.abs(heading.x * toPerson.y - heading.y * toPerson.x);
+    const halfWidth = (Math.abs(heading.y) * box.width + Math.abs(heading.x) * box.height) / 2;
+    if (ahead <= 0 || lateral > halfWidth + this.options.pathMargin) return null;
+
+    const closingSpeed = speed * ahead / Math.hypot(toPerson.x, toPerson.y);
+    if (closingSpeed < this.options.minClosingSpeed) return null;
+
+    const stoppingDistance = speed * speed / (2 * Math.max(velocity.deceleration, this.options.yieldDeceleration));
+    if (stoppingDistance < distance) return null;
+
+    return {
+      trackId: vehicle.id,
+      vehicle: vehicle.class,
+      distance,
+      closingSpeed,
+      timeToReach: distance / closingSpeed
+    };
+  }
+}
+
+export default PedestrianHazardDetector;
@@ -0,0 +1,71 @@
+const DEFAULT_OPTIONS = {
+  latencySamples: 1000,
+  rateWindowSeconds: 60
+};
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Frame counts and processing latency since the server started, overall and per stream.
+// Latency percentiles are taken over the most recent latencySamples frames.
+class ProcessingStats {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.startedAt = Date.now();
+    this.frames = 0;
+    this.errors = 0;
+    this.latencies = [];
+    this.recentFrames = [];
+    this.streams = new Map();
+  }
+
+  record(streamId, latencyMs, ok = true, now = Date.now()) {
+    this.frames++;
+    if (!ok) this.errors++;
+
+    this.latencies.push(latencyMs);
+    if (this.latencies.length > this.options.latencySamples) this.latencies.shift();
+
+    this.recentFrames.push(now);
+    const rateStart = now - this.options.rateWindowSeconds * 1000;
+    while (this.recentFrames.length > 0 && this.recentFrames[0] < rateStart) this.recentFrames.shift();
+
+    if (!streamId) return;
+    const stream = this.streams.get(streamId) || { frames: 0, errors: 0, totalLatencyMs: 0, lastFrameAt: null };
+    stream.frames++;
+    if (!ok) stream.errors++;
+    stream.totalLatencyMs += latencyMs;
+    stream.lastFrameAt = now;
+    this.streams.set(streamId, stream);
+  }
+
+  snapshot(now = Date.now()) {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const rateStart = now - this.options.rateWindowSeconds * 1000;
+
+    return {
+      since: new Date(this.startedAt),
+      frames: this.frames,
+      errors: this.errors,
+      framesPerSecond: this.recentFrames.filter(t => t >= rateStart).length / this.options.rateWindowSeconds,
+      latencyMs: {
+        average: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null,
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+        samples: sorted.length
+      },
+      streams: Array.from(this.streams, ([streamId, stream]) => ({
+        streamId,
+        frames: stream.frames,
+        errors: stream.errors,
+        averageLatencyMs: stream.totalLatencyMs / stream.frames,
+        lastFrameAt: new Date(stream.lastFrameAt)
+      }))
+    };
+  }
+}
+
+export default ProcessingStats;
@@ -0,0 +1,40 @@
+import axios from 'axios';
+
+// Remote face and licence plate detector:
+//   POST {url}/regions -> raw image bytes in,
+//   { regions: [{ kind: 'face' | 'plate', confidence, boundingBox: { x, y, width, height } }] } out
+class HttpRedactionProvider {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('REDACTION_URL is required for the http redaction provider');
+    }
+
+    this.provider = 'http';
+    this.url = options.url.replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+    this.apiKey = options.apiKey || null;
+  }
+
+  async findRegions(image) {
+    const response = await axios.post(`${this.url}/regions`, image, {
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      }
+    });
+
+    const regions = response.data?.regions;
+    if (!Array.isArray(regions)) {
+      throw new Error('Redaction server response has no regions array');
+    }
+
+    return regions.map(region => ({
+      kind: region.kind,
+      confidence: region.confidence,
+      ...region.boundingBox
+    }));
+  }
+}
+
+export default HttpRedactionProvider;
@@ -0,0 +1,36 @@
+import DetectionBoxRedactionProvider from './detectionBoxProvider.js';
+import HttpRedactionProvider from './httpProvider.js';
+import Redactor from './redactor.js';
+
+const REDACTION_PROVIDERS = {
+  'detection-boxes': DetectionBoxRedactionProvider,
+  // Earlier name of detection-boxes, kept so existing REDACTION_PROVIDER settings still work
+  heuristic: DetectionBoxRedactionProvider,
+  http: HttpRedactionProvider
+};
+
+// Every provider implements:
+//   findRegions(imageBuffer, detections) -> [{ kind: 'face' | 'plate' | 'person' | 'vehicle', x, y, width, height }]
+export function createRedactionProvider(provider, options = {}) {
+  const Provider = REDACTION_PROVIDERS[provider];
+
+  if (!Provider) {
+    throw new Error(`Unknown redaction provider "${provider}" (expected one of: ${Object.keys(REDACTION_PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(options);
+}
+
+export function createRedactorFromEnv(env = process.env) {
+  const provider = createRedactionProvider(env.REDACTION_PROVIDER || 'detection-boxes', {
+    url: env.REDACTION_URL,
+    apiKey: env.REDACTION_API_KEY,
+    timeout: parseInt(env.REDACTION_TIMEOUT) || undefined
+  });
+
+  return new Redactor(provider, {
+    ...(parseFloat(env.REDACTION_PADDING) >= 0 && { padding: parseFloat(env.REDACTION_PADDING) })
+  });
+}
+
+export { Redactor };
@@ -0,0 +1,74 @@
+import { Jimp } from 'jimp';
+
+const REGION_KINDS = ['face', 'plate', 'person', 'vehicle'];
+
+const DEFAULT_OPTIONS = {
+  // Extra margin around every region, as a share of its size
+  padding: 0.2,
+  // Full-frame fallback: the image is shrunk by this factor and scaled back up
+  fallbackScale: 32
+};
+
+// Blurs the regions its provider finds: faces and licence plates, or whole people and vehicles. When the
+// provider fails the whole frame is blurred instead, so an unredacted image can never come out of redact().
+class Redactor {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  // detections: the object detector's boxes for this image, used by providers that derive regions from them.
+  // Returns { buffer (JPEG), method: 'regions' | 'full-frame', regions: { face, plate, person, vehicle }, error? }
+  async redact(buffer, detections = []) {
+    const image = await Jimp.read(buffer);
+
+    let regions;
+    let error;
+    try {
+      regions = await this.provider.findRegions(buffer, detections);
+    } catch (providerError) {
+      error = providerError.message;
+    }
+
+    if (!regions) {
+      const { width, height } = image.bitmap;
+      image
+        .resize({ w: Math.max(1, Math.round(width / this.options.fallbackScale)) })
+        .resize({ w: width, h: height });
+    } else {
+      for (const region of regions) {
+        this.blurRegion(image, region);
+      }
+    }
+
+    return {
+      buffer: await image.getBuffer('image/jpeg', { quality: 85 }),
+      method: regions ? 'regions' : 'full-frame',
+      regions: Object.fromEntries(REGION_KINDS.map(kind => [kind, (regions || []).filter(region => region.kind === kind).length])),
+      ...(error && { error })
+    };
+  }
+
+  blurRegion(image, region) {
+    const { width: imageWidth, height: imageHeight } = image.bitmap;
+    const padX = region.width * this.options.padding;
+    const padY = region.height * this.options.padding;
+    const x = Math.max(0, Math.floor(region.x - padX));
+    const y = Math.max(0, Math.floor(region.y - padY));
+    const w = Math.min(imageWidth, Math.ceil(region.x + region.width + padX)) - x;
+    const h = Math.min(imageHeight, Math.ceil(region.y + region.height + padY)) - y;
+    if (w < 1 || h < 1) return;
+
+    // Pixelating first leaves nothing for the blur to give back
+    const patch = image.clone().crop({ x, y, w, h });
+    patch.pixelate({ size: Math.max(4, Math.round(Math.min(w, h) / 6)) });
+    patch.blur(Math.max(4, Math.round(Math.min(w, h) / 4)));
+    image.composite(patch, x, y);
+  }
+}
+
+export default Redactor;
@@ -0,0 +1,212 @@
+// Accident severity from what was seen and where, rather than from detection confidence. Scoring starts
+// from a two-car collision (BASE_SCORE); each factor adds or removes weight, and the total is mapped to a
+// level by the stream's `severityCutoffs`. The breakdown is kept with the alert so reviewers can see why:
+//
+//   { level: 'high', score: 0.9, source: 'scorer',
+//     factors: [{ factor: 'vehicleClass', label: 'Motorcycle involved', weight: 0.12 }, ...] }
+//
+// Factors without data (impact speed on uncalibrated streams, weather that could not be fetched) are listed
+// with weight 0, so the breakdown also says what was not considered.
+export const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const BASE_SCORE = 0.78;
+
+// Riders are unprotected, buses carry many people, trucks bring the mass
+const VEHICLE_CLASS_WEIGHTS = {
+  motorcycle: 0.12,
+  bicycle: 0.12,
+  bus: 0.1,
+  truck: 0.06,
+  car: 0
+};
+
+// Road classes are the detection profiles streams are set up with
+const ROAD_CLASS_WEIGHTS = {
+  tunnel: { weight: 0.08, label: 'Tunnel: no escape route' },
+  highway: { weight: 0.05, label: 'Highway traffic' },
+  'urban-intersection': { weight: 0, label: 'Urban intersection' }
+};
+
+const PER_EXTRA_VEHICLE = 0.05;
+const MAX_EXTRA_VEHICLES = 0.15;
+const PEDESTRIANS_WEIGHT = 0.1;
+const OFF_LANE_WEIGHT = -0.05;
+const PRECIPITATION = ['Rain', 'Drizzle', 'Snow', 'Thunderstorm'];
+const POOR_VISIBILITY = ['Fog', 'Mist', 'Haze', 'Smoke'];
+const NIGHT_HOURS = { from: 21, to: 5 };
+
+export class SeverityValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SeverityValidationError';
+  }
+}
+
+export function levelFromScore(score, cutoffs) {
+  if (score > cutoffs.critical) return 'critical';
+  if (score > cutoffs.high) return 'high';
+  if (score > cutoffs.medium) return 'medium';
+  return 'low';
+}
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+function vehicleClassFactor(accidents) {
+  const classes = [...new Set(accidents.flatMap(accident => [accident.vehicle1, accident.vehicle2]).filter(Boolean))];
+  const heaviest = classes.reduce((top, vehicle) =>
+    (VEHICLE_CLASS_WEIGHTS[vehicle] ?? 0) > (VEHICLE_CLASS_WEIGHTS[top] ?? 0) ? vehicle : top, classes[0]);
+  const weight = VEHICLE_CLASS_WEIGHTS[heaviest] ?? 0;
+
+  return {
+    factor: 'vehicleClass',
+    label: weight > 0 ? `${capitalize(heaviest)} involved` : `Vehicles involved: ${classes.join(', ') || 'unknown'}`,
+    weight
+  };
+}
+
+// Distinct tracks where accidents name them, distinct boxes for single-frame ones
+function vehicleCountFactor(accidents) {
+  const trackIds = new Set(accidents.flatMap(accident => accident.trackIds || []));
+  const boxes = new Set(accidents.flatMap(accident => (accident.boundingBoxes || [])
+    .map(box => `${box.x},${box.y},${box.width},${box.height}`)));
+  const count = Math.max(trackIds.size || boxes.size, 2);
+
+  return {
+    factor: 'vehicleCount',
+    label: `${count} vehicles involved`,
+    weight: Math.min(MAX_EXTRA_VEHICLES, Math.max(0, count - 2) * PER_EXTRA_VEHICLE)
+  };
+}
+
+function pedestriansFactor(personCount) {
+  return {
+    factor: 'pedestrians',
+    label: personCount > 0 ? `${personCount} ${personCount === 1 ? 'person' : 'people'} in view` : 'No people in view',
+    weight: personCount > 0 ? PEDESTRIANS_WEIGHT : 0
+  };
+}
+
+function impactSpeedFactor(accidents) {
+  const speeds = accidents.map(accident => accident.impactSpeedKmh).filter(Number.isFinite);
+  if (speeds.length === 0) {
+    return { factor: 'impactSpeed', label: 'Impact speed unknown (stream not calibrated)', weight: 0 };
+  }
+
+  const speed = Math.max(...speeds);
+  const [label, weight] = speed >= 60 ? ['High-speed impact', 0.15]
+    : speed >= 30 ? ['Impact at speed', 0.08]
+      : speed >= 15 ? ['Moderate-speed impact', 0]
+        : ['Low-speed impact', -0.1];
+
+  return { factor: 'impactSpeed', label: `${label} (${Math.round(speed)} km/h)`, weight };
+}
+
+function roadClassFactor(roadClass) {
+  const road = ROAD_CLASS_WEIGHTS[roadClass];
+  return road
+    ? { factor: 'roadClass', label: road.label, weight: road.weight }
+    : { factor: 'roadClass', label: 'Road class not set (default profile)', weight: 0 };
+}
+
+// Only meaningful on streams with lanes drawn
+function laneFactor(accidents, hasLanes) {
+  if (!hasLanes) return null;
+
+  const inLane = accidents.some(accident => (accident.laneIds || []).some(Boolean));
+  return {
+    factor: 'lane',
+    label: inLane ? 'In a travel lane' : 'Off the travel lanes',
+    weight: inLane ? 0 : OFF_LANE_WEIGHT
+  };
+}
+
+function weatherFactor(weather) {
+  if (!weather) return { factor: 'weather', label: 'Weather unknown', weight: 0 };
+
+  if (POOR_VISIBILITY.includes(weather.conditions) || weather.visibility < 1000) {
+    return { factor: 'weather', label: `Poor visibility (${weather.conditions}, ${weather.visibility} m)`, weight: 0.08 };
+  }
+  if (PRECIPITATION.includes(weather.conditions)) {
+    return { factor: 'weather', label: `${weather.conditions}: wet or slippery road`, weight: 0.05 };
+  }
+  return { factor: 'weather', label: `${weather.conditions}`, weight: 0 };
+}
+
+// Local solar time from the camera's longitude; the server's clock when it is unknown
+function timeOfDayFactor(timestamp, longitude) {
+  const time = new Date(timestamp);
+  const hours = Number.isFinite(longitude)
+    ? (time.getUTCHours() + time.getUTCMinutes() / 60 + longitude / 15 + 24) % 24
+    : time.getHours() + time.getMinutes() / 60;
+  const night = hours >= NIGHT_HOURS.from || hours < NIGHT_HOURS.to;
+  const clock = `${String(Math.floor(hours)).padStart(2, '0')}:${String(Math.floor((hours % 1) * 60)).padStart(2, '0')}`;
+
+  return {
+    factor: 'timeOfDay',
+    label: `${night ? 'Night' : 'Daytime'} (${clock} ${Number.isFinite(longitude) ? 'local solar time' : 'server time'})`,
+    weight: night ? 0.05 : 0
+  };
+}
+
+// `accidents` are the collisions found in one frame; context: { personCount, roadClass, hasLanes, weather,
+// timestamp, longitude }
+export function scoreAccidentSeverity(accidents, context, cutoffs) {
+  const factors = [
+    vehicleClassFactor(accidents),
+    vehicleCountFactor(accidents),
+    pedestriansFactor(context.personCount || 0),
+    impactSpeedFactor(accidents),
+    roadClassFactor(context.roadClass),
+    laneFactor(accidents, context.hasLanes),
+    weatherFactor(context.weather),
+    timeOfDayFactor(context.timestamp, context.longitude)
+  ].filter(Boolean);
+
+  const score = Math.min(1, Math.max(0, BASE_SCORE + factors.reduce((sum, factor) => sum + factor.weight, 0)));
+  return { level: levelFromScore(score, cutoffs), score: Number(score.toFixed(3)), source: 'scorer', factors };
+}
+
+// Hazards and jams are rated by their detectors' rules; the breakdown spells out the rule that applied
+export function describeEventSeverity(event) {
+  const factors = [];
+
+  if (event.type === 'wrong_way') {
+    factors.push({ factor: 'hazard', label: `Driving against the direction of ${event.laneName || 'the lane'}` });
+  }
+  if (event.type === 'stalled_vehicle' || event.type === 'debris') {
+    factors.push({ factor: 'lane', label: event.laneId ? `Stopped in ${event.laneName || 'a lane'}` : 'Stopped off the travel lanes' });
+    factors.push({ factor: 'dwell', label: `Stationary for ${Math.round(event.dwellSeconds)} s${event.escalated ? ', severity raised for the long stop' : ''}` });
+  }
+  if (event.type === 'pedestrian_hazard') {
+    factors.push({ factor: 'lane', label: event.laneId ? `In ${event.laneName || 'a lane'}` : 'On the roadway' });
+    const approaching = event.nearbyVehicles?.length || 0;
+    if (approaching > 0) {
+      factors.push({ factor: 'vehicles', label: `${approaching} vehicle${approaching === 1 ? '' : 's'} approaching` });
+    }
+  }
+  if (event.type === 'traffic_jam') {
+    const speed = event.averageSpeed === null ? 'unknown speed' : `${event.averageSpeed.toFixed(0)} ${event.speedUnit}`;
+    factors.push({ factor: 'congestion', label: `${event.averageVehicles.toFixed(1)} vehicles at ${speed} on average` });
+  }
+
+  return { level: event.severity, score: null, source: 'detector', factors: factors.map(factor => ({ ...factor, weight: null })) };
+}
+
+// Reviewer's severity for an alert: { severity, reason } when it differs from the scored one, null otherwise.
+// Changing the severity needs a reason, which is kept with the alert.
+export function normalizeSeverityOverride(input = {}, scored) {
+  const { severity, reason } = input;
+  if (severity === undefined || severity === null || severity === scored) return null;
+
+  if (!SEVERITY_LEVELS.includes(severity)) {
+    throw new SeverityValidationError(`Severity must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+  }
+  if (typeof reason !== 'string' || reason.trim().length === 0) {
+    throw new SeverityValidationError('A reason is required to change the severity');
+  }
+  if (reason.length > 500) {
+    throw new SeverityValidationError('The severity reason must be at most 500 characters');
+  }
+
+  return { severity, reason: reason.trim() };
+}
@@ -0,0 +1,72 @@
+import { createRandom } from './random.js';
+import { SCENARIOS, randomDetections, actorsToDetections, FRAME_WIDTH, FRAME_HEIGHT } from './scenarios.js';
+import { sleep } from '../sleep.js';
+
+export { createRandom } from './random.js';
+export { randomDetections } from './scenarios.js';
+
+const DEFAULT_SEED = 'traffic';
+
+export function listScenarios() {
+  return Object.entries(SCENARIOS).map(([name, scenario]) => ({
+    name,
+    description: scenario.description,
+    url: `sim://${name}?seed=42`
+  }));
+}
+
+// sim://<scenario>?seed=<seed>&fps=<fps>&duration=<seconds>
+export function parseSimulationUrl(url) {
+  const match = /^sim:\/\/([^/?#]+)\/?(?:\?([^#]*))?/i.exec(url || '');
+  if (!match) return null;
+
+  const params = new URLSearchParams(match[2] || '');
+
+  return {
+    scenario: decodeURIComponent(match[1]).toLowerCase(),
+    seed: params.get('seed') || DEFAULT_SEED,
+    fps: parseFloat(params.get('fps')) || undefined,
+    duration: parseFloat(params.get('duration')) || undefined
+  };
+}
+
+// Yields scripted frames shaped like frameSource frames. They carry their detections (no image),
+// and frame N always has the same detections for the same scenario and seed.
+export async function* simulateFrames(url, options = {}) {
+  const config = parseSimulationUrl(url);
+  const scenario = config && SCENARIOS[config.scenario];
+
+  if (!scenario) {
+    const error = new Error(`Unknown simulation scenario "${config?.scenario}" (expected one of: ${Object.keys(SCENARIOS).join(', ')})`);
+    error.code = 'UNSUPPORTED_SOURCE';
+    throw error;
+  }
+
+  const fps = config.fps || options.fps || parseFloat(process.env.SIMULATION_FRAME_RATE) || 5;
+  const world = scenario.create ? scenario.create(createRandom(`${config.seed}:world`)) : null;
+  const startedAt = Date.now();
+
+  for (let frameNumber = 0; !options.signal?.aborted; frameNumber++) {
+    const elapsed = frameNumber / fps;
+    if (config.duration && elapsed > config.duration) return;
+
+    const random = createRandom(`${config.seed}:${frameNumber}`);
+
+    yield {
+      buffer: null,
+      frameNumber,
+      timestamp: new Date(startedAt + elapsed * 1000),
+      source: 'simulation',
+      url,
+      width: FRAME_WIDTH,
+      height: FRAME_HEIGHT,
+      simulation: { scenario: config.scenario, seed: config.seed, elapsed },
+      zones: scenario.zones || null,
+      detections: world ? actorsToDetections(world(elapsed), random) : randomDetections(random)
+    };
+
+    if (options.realtime !== false) {
+      await sleep(Math.max(0, startedAt + (elapsed + 1 / fps) * 1000 - Date.now()), options.signal);
+    }
+  }
+}
@@ -0,0 +1,37 @@
+// FNV-1a, so string seeds like "42" or "stream-7:120" map to a stable 32-bit state
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seedable PRNG (mulberry32) with the same call shape as Math.random.
+// Without a seed it falls back to Math.random so unseeded behaviour is unchanged.
+export function createRandom(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.random;
+  }
+
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomBetween(random, min, max) {
+  return min + random() * (max - min);
+}
+
+export function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
@@ -0,0 +1,351 @@
+import { randomBetween, pick } from './random.js';
+
+export const FRAME_WIDTH = 1280;
+export const FRAME_HEIGHT = 720;
+
+const STEP_SECONDS = 0.1;
+const MIN_GAP = 12;
+const BRAKING = 120;
+
+const VEHICLE_SHAPES = {
+  car: { width: 120, height: 60 },
+  truck: { width: 210, height: 85 },
+  bus: { width: 240, height: 90 },
+  motorcycle: { width: 60, height: 45 }
+};
+const TRAFFIC_MIX = ['car', 'car', 'car', 'car', 'truck', 'bus', 'motorcycle'];
+
+// Lane layout shared by the scripted scenes (lanes centred on y=300 and y=460, traffic flowing right).
+// Frames carry it so sim:// streams without their own zones still have lanes.
+const TWO_LANE_ZONES = {
+  roi: null,
+  exclusions: [],
+  lanes: [
+    { id: 'lane_a', name: 'Lane A', points: [{ x: 0, y: 250 }, { x: 1280, y: 250 }, { x: 1280, y: 350 }, { x: 0, y: 350 }], direction: { x: 1, y: 0 } },
+    { id: 'lane_b', name: 'Lane B', points: [{ x: 0, y: 410 }, { x: 1280, y: 410 }, { x: 1280, y: 510 }, { x: 0, y: 510 }], direction: { x: 1, y: 0 } }
+  ],
+  signals: [],
+  outsideWeight: 0
+};
+
+// Single-lane car following: vehicles enter on the left, keep a gap to their leader and
+// optionally hold before a stop line while it is active, braking at about BRAKING px/s^2.
+// A negative minGap lets boxes overlap, as queued cars do seen from a low camera.
+class Lane {
+  constructor(random, { y, headway, speedLimit, stopLine = null, minGap = MIN_GAP, idPrefix }) {
+    this.random = random;
+    this.y = y;
+    this.headway = headway;
+    this.speedLimit = speedLimit;
+    this.stopLine = stopLine;
+    this.minGap = minGap;
+    this.idPrefix = idPrefix;
+    this.vehicles = [];
+    this.spawned = 0;
+    this.nextSpawn = randomBetween(random, 0, headway(0));
+  }
+
+  step(t, dt) {
+    const limit = this.speedLimit(t);
+    const holding = this.stopLine && this.stopLine.active(t);
+
+    this.vehicles.forEach((vehicle, index) => {
+      let speed = limit * vehicle.speedFactor;
+      const front = vehicle.x + vehicle.width;
+
+      if (index > 0) {
+        const leader = this.vehicles[index - 1];
+        const gap = Math.max(0, leader.x - this.minGap - front);
+        speed = Math.min(speed, Math.sqrt(2 * BRAKING * gap) + leader.lastSpeed, gap / dt);
+      }
+      if (holding && front <= this.stopLine.x) {
+        const gap = this.stopLine.x - front;
+        speed = Math.min(speed, Math.sqrt(2 * BRAKING * gap), gap / dt);
+      }
+
+      vehicle.x += speed * dt;
+      vehicle.lastSpeed = speed;
+    });
+
+    this.vehicles = this.vehicles.filter(vehicle => vehicle.x < FRAME_WIDTH + 50);
+
+    const last = this.vehicles[this.vehicles.length - 1];
+    if (t >= this.nextSpawn && (!last || last.x > Math.max(this.minGap, MIN_GAP))) {
+      const vehicleClass = pick(this.random, TRAFFIC_MIX);
+      const shape = VEHICLE_SHAPES[vehicleClass];
+
+      this.vehicles.push({
+        id: `${this.idPrefix}${++this.spawned}`,
+        class: vehicleClass,
+        x: -shape.width,
+        y: this.y - shape.height / 2,
+        ...shape,
+        speedFactor: randomBetween(this.random, 0.85, 1.1),
+        lastSpeed: 0
+      });
+      this.nextSpawn = t + this.headway(t) * randomBetween(this.random, 0.7, 1.3);
+    }
+  }
+
+  actors() {
+    return this.vehicles;
+  }
+}
+
+// Linear ramp from `from` at t0 to `to` at t1
+function ramp(t, t0, t1, from, to) {
+  if (t <= t0) return from;
+  if (t >= t1) return to;
+  return from + (to - from) * (t - t0) / (t1 - t0);
+}
+
+// Advances the lanes in fixed steps up to t (so output only depends on the seed) and adds scripted actors at t
+function createWorld(lanes, scripted = () => []) {
+  let time = 0;
+
+  return (t) => {
+    while (time + STEP_SECONDS <= t) {
+      time += STEP_SECONDS;
+      lanes.forEach(lane => lane.step(time, STEP_SECONDS));
+    }
+    return [...lanes.flatMap(lane => lane.actors()), ...scripted(t)];
+  };
+}
+
+function rearEndActors(t, { impactAt, impactX, laneY }) {
+  const car = VEHICLE_SHAPES.car;
+  const y = laneY - car.height / 2;
+  const before = Math.max(0, impactAt - t);
+
+  // Lead car cruising at 120 px/s, follower closing at 200 px/s; both stop dead at impact
+  return [
+    { id: 'lead', class: 'car', x: impactX - 120 * before, y, ...car },
+    { id: 'follower', class: 'car', x: impactX - 80 - 200 * before, y, ...car }
+  ];
+}
+
+function wrongWayActor(t, { start, speed, laneY }) {
+  const car = VEHICLE_SHAPES.car;
+  const x = FRAME_WIDTH - speed * (t - start);
+
+  return t >= start ? [{ id: 'wrongway', class: 'car', x, y: laneY - car.height / 2, ...car }] : [];
+}
+
+// Cruises in from the left and stops dead at stopX, then stays there
+function stalledActor(t, { start, speed, stopX, laneY }) {
+  const car = VEHICLE_SHAPES.car;
+  const x = Math.min(stopX, -car.width + speed * (t - start));
+
+  return t >= start ? [{ id: 'stalled', class: 'car', x, y: laneY - car.height / 2, ...car }] : [];
+}
+
+function debrisActor(t, { start, x, laneY }) {
+  return t >= start ? [{ id: 'debris', class: 'suitcase', x, y: laneY - 15, width: 45, height: 30 }] : [];
+}
+
+// Walks from the near kerb across both lanes without waiting for traffic
+function jaywalkerActor(t, { start, duration, x, fromY, toY }) {
+  if (t < start || t > start + duration) return [];
+  return [{ id: 'jaywalker', class: 'person', x, y: fromY + (toY - fromY) * (t - start) / duration, width: 30, height: 70 }];
+}
+
+function pedestrianActor(t, { start, period, duration, x, fromY, toY }) {
+  if (t < start) return [];
+
+  const elapsed = (t - start) % period;
+  if (elapsed > duration) return [];
+
+  return [{
+    id: `pedestrian${Math.floor((t - start) / period) + 1}`,
+    class: 'person',
+    x,
+    y: fromY + (toY - fromY) * elapsed / duration,
+    width: 30,
+    height: 70
+  }];
+}
+
+export const SCENARIOS = {
+  random: {
+    description: 'Unscripted random vehicles and pedestrians on every frame (legacy simulator)',
+    create: null
+  },
+
+  'clear-road': {
+    description: 'Light free-flowing traffic in two lanes, no incidents',
+    zones: TWO_LANE_ZONES,
+    create: random => createWorld([
+      new Lane(random, { y: 300, headway: () => 7, speedLimit: () => 160, idPrefix: 'a' }),
+      new Lane(random, { y: 460, headway: () => 9, speedLimit: () => 180, idPrefix: 'b' })
+    ])
+  },
+
+  'rear-end': {
+    description: 'Clear road for 30 s, then a two-car rear-end collision in the near lane at t=31 s; both cars stay stopped',
+    zones: TWO_LANE_ZONES,
+    create: random => createWorld(
+      [new Lane(random, { y: 300, headway: () => 8, speedLimit: () => 160, idPrefix: 'a' })],
+      t => (t >= 25 ? rearEndActors(t, { impactAt: 31, impactX: 560, laneY: 470 }) : [])
+    )
+  },
+
+  congestion: {
+    description: 'Traffic builds over 60 s until both lanes queue, stays jammed until t=180 s, then clears by t=220 s',
+    zones: TWO_LANE_ZONES,
+    create: random => createWorld([
+      new Lane(random, {
+        y: 300,
+        headway: t => (t < 180 ? ramp(t, 0, 60, 6, 1.2) : ramp(t, 180, 200, 1.2, 6)),
+        speedLimit: t => (t < 180 ? ramp(t, 10, 60, 180, 12) : ramp(t, 180, 200, 12, 180)),
+        idPrefix: 'a'
+      }),
+      new Lane(random, {
+        y: 460,
+        headway: t => (t < 180 ? ramp(t, 0, 60, 7, 1.4) : ramp(t, 180, 200, 1.4, 7)),
+        speedLimit: t => (t < 180 ? ramp(t, 15, 65, 170, 8) : ramp(t, 180, 200, 8, 170)),
+        idPrefix: 'b'
+      })
+    ])
+  },
+
+  'wrong-way': {
+    description: 'Arrivals in the far lane stop at t=10 s; at t=20 s a car enters it against the flow and drives through the scene',
+    zones: TWO_LANE_ZONES,
+    create: random => createWorld(
+      [
+        new Lane(random, { y: 300, headway: t => (t < 10 ? 6 : Infinity), speedLimit: () => 160, idPrefix: 'a' }),
+        new Lane(random, { y: 460, headway: () => 6, speedLimit: () => 170, idPrefix: 'b' })
+      ],
+      t => wrongWayActor(t, { start: 20, speed: 180, laneY: 300 })
+    )
+  },
+
+  jaywalker: {
+    description: 'A pedestrian walks across both lanes at t=20 s through moving traffic, away from any crossing',
+    zones: TWO_LANE_ZONES,
+    create: random => createWorld(
+      [
+        new Lane(random, { y: 300, headway: () => 4, speedLimit: () => 150, idPrefix: 'a' }),
+        new Lane(random, { y: 460, headway: () => 4, speedLimit: () => 160, idPrefix: 'b' })
+      ],
+      t => jaywalkerActor(t, { start: 20, duration: 16, x: 500, fromY: 580, toY: 160 })
+    )
+  },
+
+  'stalled-vehicle': {
+    description: 'Arrivals in the near lane stop at t=5 s; a car breaks down in it at t=15.5 s and stays (reported after the dwell time)',
+    zones: TWO_LANE_ZONES,
+    create: random => createWorld(
+      [
+        new Lane(random, { y: 300, headway: () => 6, speedLimit: () => 160, idPrefix: 'a' }),
+        new Lane(random, { y: 460, headway: t => (t < 5 ? 7 : Infinity), speedLimit: () => 170, idPrefix: 'b' })
+      ],
+      t => stalledActor(t, { start: 10, speed: 150, stopX: 700, laneY: 460 })
+    )
+  },
+
+  debris: {
+    description: 'An object (suitcase) falls into the near lane at t=15 s and stays while traffic keeps passing',
+    zones: TWO_LANE_ZONES,
+    create: random => createWorld(
+      [
+        new Lane(random, { y: 300, headway: () => 6, speedLimit: () => 160, idPrefix: 'a' }),
+        new Lane(random, { y: 460, headway: () => 8, speedLimit: () => 170, idPrefix: 'b' })
+      ],
+      t => debrisActor(t, { start: 15, x: 820, laneY: 460 })
+    )
+  },
+
+  'queued-traffic': {
+    description: 'Traffic brakes normally for a red light at t=10 s and queues nose to tail, boxes overlapping by 20 px, until it turns green at t=40 s; no incidents',
+    zones: TWO_LANE_ZONES,
+    create: (random) => {
+      const stopLine = { x: 1100, active: t => t >= 10 && t < 40 };
+
+      return createWorld([
+        new Lane(random, { y: 300, headway: () => 3, speedLimit: () => 150, stopLine, minGap: -20, idPrefix: 'a' }),
+        new Lane(random, { y: 460, headway: () => 3.5, speedLimit: () => 160, stopLine, minGap: -20, idPrefix: 'b' })
+      ]);
+    }
+  },
+
+  'pedestrian-crossing': {
+    description: 'A pedestrian crosses both lanes at t=20 s (and every 45 s after); traffic holds at the crosswalk',
+    zones: TWO_LANE_ZONES,
+    create: (random) => {
+      // The signal turns 3 s before the pedestrian steps off the kerb so the crossing is clear
+      const crossing = { start: 20, period: 45, duration: 12, x: 700, fromY: 180, toY: 580 };
+      const stopLine = {
+        x: 660,
+        active: t => t >= crossing.start - 3 && (t - crossing.start + 3) % crossing.period <= crossing.duration + 3
+      };
+
+      return createWorld(
+        [
+          new Lane(random, { y: 300, headway: () => 5, speedLimit: () => 150, stopLine, idPrefix: 'a' }),
+          new Lane(random, { y: 460, headway: () => 6, speedLimit: () => 160, stopLine, idPrefix: 'b' })
+        ],
+        t => pedestrianActor(t, crossing)
+      );
+    }
+  }
+};
+
+// The legacy simulator output: 2-6 random vehicles and sometimes a pedestrian
+export function randomDetections(random) {
+  const detections = [];
+  const vehicleCount = Math.floor(random() * 5) + 2;
+  const vehicleClasses = ['car', 'truck', 'bus', 'motorcycle', 'bicycle'];
+
+  for (let i = 0; i < vehicleCount; i++) {
+    detections.push({
+      class: pick(random, vehicleClasses),
+      confidence: 0.85 + random() * 0.15,
+      boundingBox: {
+        x: random() * 800,
+        y: random() * 400,
+        width: 80 + random() * 120,
+        height: 60 + random() * 100
+      },
+      id: `vehicle_${i}`
+    });
+  }
+
+  if (random() > 0.7) {
+    detections.push({
+      class: 'person',
+      confidence: 0.75 + random() * 0.25,
+      boundingBox: {
+        x: random() * 800,
+        y: random() * 400,
+        width: 30,
+        height: 70
+      },
+      id: 'person_0'
+    });
+  }
+
+  return detections;
+}
+
+// Turns scripted actors into detector-shaped output with a little box jitter and confidence noise
+export function actorsToDetections(actors, random) {
+  return actors
+    .filter(actor => actor.x + actor.width > 0 && actor.x < FRAME_WIDTH)
+    .map(actor => {
+      const x = Math.max(0, actor.x + randomBetween(random, -1, 1));
+      const right = Math.min(FRAME_WIDTH, actor.x + actor.width);
+
+      return {
+        class: actor.class,
+        confidence: randomBetween(random, 0.86, 0.97),
+        boundingBox: {
+          x,
+          y: actor.y + randomBetween(random, -1, 1),
+          width: right - x,
+          height: actor.height
+        },
+        id: `${actor.class}_${actor.id}`
+      };
+    });
+}
@@ -0,0 +1,125 @@
+import { intersectionOverUnion } from './geometry.js';
+
+const DEFAULT_OPTIONS = {
+  dwellSeconds: 20,
+  // A vehicle that may be waiting at a light is reported only once it has stood through a whole cycle
+  signalCycleSeconds: 120,
+  minOverlap: 0.6,
+  minVisibility: 0.5,
+  escalateAfter: 3
+};
+
+const SEVERITY_ORDER = ['medium', 'high', 'critical'];
+
+// Flags objects that stay put on the roadway: vehicles broken down in a lane and debris on the carriageway.
+// A track is stationary while its box keeps overlapping (IoU >= minOverlap) the box where it stopped, and it
+// must have been seen on at least minVisibility of the frames since, which rules out a track that keeps
+// re-matching the clipped boxes of different vehicles leaving the frame. It is reported once it has been
+// stationary for dwellSeconds, and again if its severity escalates. Vehicles queued behind another stopped
+// vehicle are never reported, and the head of a queue only after signalCycleSeconds when it may be waiting
+// at a light: it stands in a signal zone, or other vehicles in its lane are stopped behind it.
+class StationaryObjectDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.anchors = new Map();
+    this.reported = new Map();
+  }
+
+  configure(options) {
+    Object.assign(this.options, options);
+  }
+
+  // type is the event type for these tracks ('stalled_vehicle' or 'debris')
+  update(tracks, lanes, frame, type) {
+    const timestamp = frame.timestamp;
+    const lanesById = new Map((lanes || []).map(lane => [lane.id, lane]));
+    const liveIds = new Set(tracks.map(track => track.id));
+    const stationary = [];
+
+    for (const track of tracks) {
+      const anchor = this.anchors.get(track.id);
+      if (anchor) anchor.frames++;
+      if (track.lastSeen !== timestamp) continue;
+
+      const position = track.history[track.history.length - 1].center;
+
+      if (!anchor || intersectionOverUnion(track.boundingBox, anchor.boundingBox) < this.options.minOverlap) {
+        this.anchors.set(track.id, { ...position, boundingBox: track.boundingBox, since: timestamp, frames: 1, seen: 1 });
+        this.reported.delete(track.id);
+        continue;
+      }
+
+      anchor.seen++;
+      if (anchor.seen / anchor.frames < this.options.minVisibility) continue;
+      stationary.push({ track, anchor, position, dwell: (timestamp - anchor.since) / 1000 });
+    }
+
+    const events = [];
+
+    for (const candidate of stationary) {
+      const { track, anchor, dwell } = candidate;
+      if (dwell < this.options.dwellSeconds || track.zone !== 'roadway') continue;
+
+      const lane = lanesById.get(track.laneId);
+      let dwellSeconds = this.options.dwellSeconds;
+      if (type === 'stalled_vehicle') {
+        // A vehicle stopped behind another stopped vehicle is queueing; only the head of the queue is reported
+        if (lane && this.stoppedInLane(candidate, stationary, lane, 1)) continue;
+        if (track.signalId || (lane && this.stoppedInLane(candidate, stationary, lane, -1))) {
+          dwellSeconds = Math.max(dwellSeconds, this.options.signalCycleSeconds);
+          if (dwell < dwellSeconds) continue;
+        }
+      }
+
+      const severity = this.severityFor(lane, dwell, dwellSeconds);
+      const previous = this.reported.get(track.id);
+      if (previous && SEVERITY_ORDER.indexOf(severity) <= SEVERITY_ORDER.indexOf(previous)) continue;
+      this.reported.set(track.id, severity);
+
+      events.push({
+        type,
+        trackId: track.id,
+        object: track.class,
+        laneId: lane ? lane.id : null,
+        laneName: lane ? lane.name : null,
+        dwellSeconds: dwell,
+        stationarySince: new Date(anchor.since),
+        confidence: track.confidence,
+        severity,
+        escalated: !!previous,
+        boundingBox: track.boundingBox,
+        location: { x: anchor.x, y: anchor.y },
+        timestamp: new Date(timestamp)
+      });
+    }
+
+    for (const id of this.anchors.keys()) {
+      if (!liveIds.has(id)) this.anchors.delete(id);
+    }
+    for (const id of this.reported.keys()) {
+      if (!liveIds.has(id)) this.reported.delete(id);
+    }
+
+    return events;
+  }
+
+  // Live lanes are rated higher than the rest of the roadway. Both escalate one level (escalateAfter - 1) x
+  // dwellSeconds after the object was first reported, which was after reportedAfter seconds.
+  severityFor(lane, dwell, reportedAfter) {
+    const base = lane ? 1 : 0;
+    const escalateAt = reportedAfter + this.options.dwellSeconds * (this.options.escalateAfter - 1);
+    return SEVERITY_ORDER[base + (dwell >= escalateAt ? 1 : 0)];
+  }
+
+  // Whether another vehicle in the candidate's lane is stopped ahead of it (side 1) or behind it (side -1)
+  stoppedInLane(candidate, stationary, lane, side) {
+    const along = point => point.x * lane.direction.x + point.y * lane.direction.y;
+
+    return stationary.some(other => other !== candidate &&
+      other.dwell >= 1 &&
+      other.track.laneId === candidate.track.laneId &&
+      side * (along(other.position) - along(candidate.position)) > 0);
+  }
+}
+
+export default StationaryObjectDetector;
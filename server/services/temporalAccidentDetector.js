@@ -0,0 +1,225 @@
+import { center, intersectionOverUnion, segmentsIntersect } from './geometry.js';
+
+const DEFAULT_OPTIONS = {
+  windowSeconds: 5,
+  contactIoU: 0.1,
+  minOverlapFrames: 3,
+  // Speed must fall to decelerationRatio of itself within decelerationSeconds; braking for a light
+  // or a queue takes longer than an impact
+  decelerationRatio: 0.3,
+  decelerationSeconds: 1,
+  minMovingSpeed: 40,
+  stoppedSpeed: 8,
+  // One of the pair must still be moving this fast when the boxes first touch: queued cars ease
+  // into an overlap almost at rest, colliding ones are thrown into it
+  minContactSpeed: 80,
+  // Used instead of the px/s limits above when the stream is calibrated
+  minMovingSpeedKmh: 15,
+  stoppedSpeedKmh: 3,
+  minContactSpeedKmh: 10,
+  // Paths meeting at a shallower angle are vehicles following each other, not crossing
+  minCrossingAngle: 20,
+  minStoppedFrames: 3,
+  confidenceThreshold: 0.7,
+  minVehicles: 2
+};
+
+// How much each cue contributes to the collision score
+const CUE_WEIGHTS = {
+  persistentOverlap: 0.4,
+  suddenDeceleration: 0.3,
+  intersectingTrajectories: 0.2,
+  stoppedAfterContact: 0.4
+};
+
+// Speed between consecutive history points: px/s from box centres, or km/h from ground positions
+// (metres) when the history comes from a calibrated stream
+function speedsOf(history, calibrated = false) {
+  const speeds = [];
+
+  for (let i = 1; i < history.length; i++) {
+    const dt = (history[i].timestamp - history[i - 1].timestamp) / 1000;
+    if (dt <= 0) continue;
+    const [from, to] = calibrated ? [history[i - 1].ground, history[i].ground] : [history[i - 1].center, history[i].center];
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    speeds.push({ timestamp: history[i].timestamp, speed: calibrated ? distance / dt * 3.6 : distance / dt });
+  }
+
+  return speeds;
+}
+
+// Angle in degrees between two paths, 0 to 90 whichever way each one runs
+function angleBetween([a1, a2], [b1, b2]) {
+  const angle = Math.abs(Math.atan2(a2.y - a1.y, a2.x - a1.x) - Math.atan2(b2.y - b1.y, b2.x - b1.x)) * 180 / Math.PI % 180;
+  return Math.min(angle, 180 - angle);
+}
+
+// Flags collisions from how pairs of vehicle tracks evolve over a sliding window of frames
+class TemporalAccidentDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.frames = [];
+    this.pairs = new Map();
+    this.reported = new Set();
+  }
+
+  configure(options) {
+    Object.assign(this.options, options);
+  }
+
+  // Tracks of the collisions reported so far, for as long as both vehicles of the pair are tracked
+  getCollidedTrackIds() {
+    return new Set([...this.reported].flatMap(key => key.split('|')));
+  }
+
+  update(tracks, frame) {
+    const { windowSeconds } = this.options;
+    const timestamp = frame.timestamp;
+    const windowStart = timestamp - windowSeconds * 1000;
+
+    this.frames.push({ timestamp, frameNumber: frame.frameNumber });
+    this.frames = this.frames.filter(f => f.timestamp >= windowStart);
+
+    const visible = tracks.filter(t => t.lastSeen === timestamp);
+    const evaluated = visible.length >= this.options.minVehicles ? visible : [];
+    const liveKeys = new Set();
+    const accidents = [];
+
+    for (let i = 0; i < evaluated.length; i++) {
+      for (let j = i + 1; j < evaluated.length; j++) {
+        const [track1, track2] = [evaluated[i], evaluated[j]].sort((a, b) => (a.id < b.id ? -1 : 1));
+        const key = `${track1.id}|${track2.id}`;
+        liveKeys.add(key);
+
+        const accident = this.evaluatePair(key, track1, track2, timestamp, windowStart);
+        if (accident) accidents.push(accident);
+      }
+    }
+
+    for (const key of this.pairs.keys()) {
+      if (!liveKeys.has(key)) this.pairs.delete(key);
+    }
+    const liveIds = new Set(tracks.map(t => t.id));
+    for (const key of this.reported) {
+      if (!key.split('|').every(id => liveIds.has(id))) this.reported.delete(key);
+    }
+
+    return accidents;
+  }
+
+  evaluatePair(key, track1, track2, timestamp, windowStart) {
+    const options = this.options;
+    const state = this.pairs.get(key) || { overlapFrames: 0, lastContact: null, firstContact: null, contactSpeed: 0, stoppedFrames: 0 };
+    this.pairs.set(key, state);
+
+    const motion1 = this.describeMotion(track1, windowStart);
+    const motion2 = this.describeMotion(track2, windowStart);
+
+    const iou = intersectionOverUnion(track1.boundingBox, track2.boundingBox);
+    if (iou >= options.contactIoU) {
+      state.overlapFrames++;
+      state.lastContact = timestamp;
+      if (state.firstContact === null) {
+        state.firstContact = timestamp;
+        state.contactSpeed = Math.max(motion1.currentSpeed, motion2.currentSpeed);
+      }
+    } else {
+      state.overlapFrames = 0;
+    }
+
+    if (!state.lastContact || state.lastContact < windowStart) {
+      state.firstContact = null;
+      state.contactSpeed = 0;
+      state.stoppedFrames = 0;
+      return null;
+    }
+
+    const bothStopped = motion1.stopped && motion2.stopped;
+    state.stoppedFrames = bothStopped ? state.stoppedFrames + 1 : 0;
+
+    const cues = {
+      persistentOverlap: state.overlapFrames >= options.minOverlapFrames,
+      suddenDeceleration: motion1.decelerated || motion2.decelerated,
+      intersectingTrajectories: !!(motion1.path && motion2.path &&
+        segmentsIntersect(motion1.path[0], motion1.path[1], motion2.path[0], motion2.path[1]) &&
+        angleBetween(motion1.path, motion2.path) >= options.minCrossingAngle),
+      stoppedAfterContact: state.stoppedFrames >= options.minStoppedFrames
+    };
+
+    const calibrated = motion1.speedUnit === 'km/h' && motion2.speedUnit === 'km/h';
+    const minContactSpeed = calibrated ? options.minContactSpeedKmh : options.minContactSpeed;
+    const activeCues = Object.keys(cues).filter(cue => cues[cue]);
+    if (activeCues.length < 2 || state.contactSpeed < minContactSpeed || this.reported.has(key)) return null;
+
+    const score = Math.min(1, activeCues.reduce((sum, cue) => sum + CUE_WEIGHTS[cue], 0));
+    const detectionConfidence = Math.sqrt(track1.confidence * track2.confidence);
+    // Vehicles outside the stream's roadway ROI carry a zone weight below 1
+    const zoneWeight = Math.min(track1.zoneWeight ?? 1, track2.zoneWeight ?? 1);
+    const confidence = score * Math.sqrt(detectionConfidence) * zoneWeight;
+
+    if (confidence < options.confidenceThreshold) return null;
+
+    this.reported.add(key);
+
+    const center1 = center(track1.boundingBox);
+    const center2 = center(track2.boundingBox);
+    const windowFrames = this.frames.filter(f => f.timestamp >= Math.min(state.firstContact, timestamp) - options.windowSeconds * 1000);
+
+    return {
+      vehicle1: track1.class,
+      vehicle2: track2.class,
+      trackIds: [track1.id, track2.id],
+      laneIds: [track1.laneId ?? null, track2.laneId ?? null],
+      confidence,
+      distance: Math.hypot(center1.x - center2.x, center1.y - center2.y),
+      distanceMeters: calibrated && track1.position && track2.position
+        ? Math.hypot(track1.position.x - track2.position.x, track1.position.y - track2.position.y)
+        : null,
+      overlap: iou,
+      location: {
+        x: (center1.x + center2.x) / 2,
+        y: (center1.y + center2.y) / 2
+      },
+      cues,
+      motion: {
+        [track1.id]: { peakSpeed: motion1.peakSpeed, currentSpeed: motion1.currentSpeed, speedUnit: motion1.speedUnit },
+        [track2.id]: { peakSpeed: motion2.peakSpeed, currentSpeed: motion2.currentSpeed, speedUnit: motion2.speedUnit }
+      },
+      impactSpeedKmh: calibrated ? Math.max(motion1.peakSpeed, motion2.peakSpeed) : null,
+      frameWindow: {
+        start: new Date(windowFrames[0]?.timestamp ?? timestamp),
+        end: new Date(timestamp),
+        firstContact: new Date(state.firstContact),
+        frameNumbers: windowFrames.map(f => f.frameNumber).filter(n => n !== undefined)
+      },
+      method: 'temporal',
+      timestamp: new Date(timestamp)
+    };
+  }
+
+  describeMotion(track, windowStart) {
+    const history = track.history.filter(h => h.timestamp >= windowStart);
+    const calibrated = history.length > 0 && history.every(h => h.ground);
+    const speeds = speedsOf(history, calibrated);
+    const currentSpeed = speeds.length > 0 ? speeds[speeds.length - 1].speed : 0;
+    const peakSpeed = speeds.reduce((max, s) => Math.max(max, s.speed), 0);
+    const minMovingSpeed = calibrated ? this.options.minMovingSpeedKmh : this.options.minMovingSpeed;
+    const stoppedSpeed = calibrated ? this.options.stoppedSpeedKmh : this.options.stoppedSpeed;
+
+    // Falls from moving to decelerationRatio of that speed within decelerationSeconds
+    const abruptStop = speeds.some((from, i) => from.speed >= minMovingSpeed && speeds.slice(i + 1).some(to =>
+      to.timestamp - from.timestamp <= this.options.decelerationSeconds * 1000 &&
+      to.speed <= from.speed * this.options.decelerationRatio));
+
+    return {
+      currentSpeed,
+      peakSpeed,
+      speedUnit: calibrated ? 'km/h' : 'px/s',
+      stopped: currentSpeed <= stoppedSpeed,
+      decelerated: abruptStop && currentSpeed <= peakSpeed * this.options.decelerationRatio,
+      path: history.length >= 2 ? [history[0].center, history[history.length - 1].center] : null
+    };
+  }
+}
+
+export default TemporalAccidentDetector;
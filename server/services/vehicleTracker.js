@@ -0,0 +1,256 @@
+import { center, intersectionOverUnion } from './geometry.js';
+
+const DEFAULT_OPTIONS = {
+  matching: 'hungarian',
+  iouThreshold: 0.2,
+  maxAge: 5000,
+  minHits: 1,
+  historyWindow: 10000,
+  speedWindowSeconds: 1,
+  idPrefix: 'track'
+};
+
+// Minimum-cost assignment (Kuhn-Munkres with potentials) for a rows x cols matrix, rows <= cols.
+// Returns assignment[row] = col.
+function solveAssignment(cost) {
+  const rows = cost.length;
+  const cols = cost[0].length;
+  const u = new Array(rows + 1).fill(0);
+  const v = new Array(cols + 1).fill(0);
+  const p = new Array(cols + 1).fill(0);
+  const way = new Array(cols + 1).fill(0);
+
+  for (let i = 1; i <= rows; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(cols + 1).fill(Infinity);
+    const used = new Array(cols + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= cols; j++) {
+        if (used[j]) continue;
+        const current = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (current < minv[j]) {
+          minv[j] = current;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= cols; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= cols; j++) {
+    if (p[j] > 0) assignment[p[j] - 1] = j - 1;
+  }
+  return assignment;
+}
+
+// Per-stream multi-object tracker: associates detections to tracks frame by frame
+class VehicleTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.tracks = new Map();
+    this.nextId = 1;
+    this.framesProcessed = 0;
+    this.lastUpdate = null;
+  }
+
+  configure(options) {
+    Object.assign(this.options, options);
+  }
+
+  update(detections, timestamp = Date.now()) {
+    const tracks = Array.from(this.tracks.values());
+    const pairs = this.options.matching === 'iou'
+      ? this.matchGreedy(tracks, detections)
+      : this.matchHungarian(tracks, detections);
+
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+
+    for (const [trackIndex, detectionIndex] of pairs) {
+      this.applyDetection(tracks[trackIndex], detections[detectionIndex], timestamp);
+      matchedTracks.add(trackIndex);
+      matchedDetections.add(detectionIndex);
+    }
+
+    detections.forEach((detection, index) => {
+      if (matchedDetections.has(index)) return;
+
+      const track = {
+        id: `${this.options.idPrefix}_${this.nextId++}`,
+        firstSeen: timestamp,
+        hits: 0,
+        history: []
+      };
+      this.applyDetection(track, detection, timestamp);
+      this.tracks.set(track.id, track);
+    });
+
+    tracks.forEach((track, index) => {
+      if (matchedTracks.has(index)) return;
+
+      track.missed++;
+      if (timestamp - track.lastSeen > this.options.maxAge) {
+        this.tracks.delete(track.id);
+      }
+    });
+
+    this.framesProcessed++;
+    this.lastUpdate = timestamp;
+
+    // Tentative tracks stay internal until they have been seen minHits times
+    return this.getTracks().filter(track => track.hits >= this.options.minHits);
+  }
+
+  applyDetection(track, detection, timestamp) {
+    track.class = detection.class;
+    track.confidence = detection.confidence;
+    track.boundingBox = detection.boundingBox;
+    track.zone = detection.zone ?? null;
+    track.laneId = detection.laneId ?? null;
+    track.signalId = detection.signalId ?? null;
+    track.zoneWeight = detection.zoneWeight ?? 1;
+    track.lastSeen = timestamp;
+    track.hits++;
+    track.missed = 0;
+    track.history.push({
+      timestamp,
+      center: center(detection.boundingBox),
+      boundingBox: detection.boundingBox,
+      ground: detection.ground ?? null
+    });
+    track.history = track.history.filter(h => timestamp - h.timestamp <= this.options.historyWindow);
+    // Calibrated streams locate detections on the road in metres
+    track.position = detection.ground ?? null;
+    track.speed = this.speedOf(track, timestamp, 'center');
+    track.speedKmh = this.speedOf(track, timestamp, 'ground');
+
+    detection.trackId = track.id;
+    detection.speed = track.speed;
+    if (track.position) detection.speedKmh = track.speedKmh;
+  }
+
+  // Speed over the last speedWindowSeconds from box centres (px/s) or ground positions (km/h),
+  // or null without enough history to measure it
+  speedOf(track, timestamp, key) {
+    const history = track.history.filter(h => h[key] && h.timestamp >= timestamp - this.options.speedWindowSeconds * 1000);
+    if (history.length < 2) return null;
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const seconds = (last.timestamp - first.timestamp) / 1000;
+    if (seconds <= 0) return null;
+
+    const distance = Math.hypot(last[key].x - first[key].x, last[key].y - first[key].y);
+    return key === 'ground' ? distance / seconds * 3.6 : distance / seconds;
+  }
+
+  // Highest-IoU pairs first, each track and detection used at most once
+  matchGreedy(tracks, detections) {
+    const candidates = [];
+
+    tracks.forEach((track, t) => {
+      detections.forEach((detection, d) => {
+        const iou = intersectionOverUnion(track.boundingBox, detection.boundingBox);
+        if (iou >= this.options.iouThreshold) candidates.push({ t, d, iou });
+      });
+    });
+
+    candidates.sort((a, b) => b.iou - a.iou);
+
+    const usedTracks = new Set();
+    const usedDetections = new Set();
+    const pairs = [];
+
+    for (const { t, d } of candidates) {
+      if (usedTracks.has(t) || usedDetections.has(d)) continue;
+      usedTracks.add(t);
+      usedDetections.add(d);
+      pairs.push([t, d]);
+    }
+
+    return pairs;
+  }
+
+  // Globally optimal assignment on 1 - IoU, then gated by the IoU threshold
+  matchHungarian(tracks, detections) {
+    if (tracks.length === 0 || detections.length === 0) return [];
+
+    const iou = tracks.map(track => detections.map(detection =>
+      intersectionOverUnion(track.boundingBox, detection.boundingBox)
+    ));
+    const transpose = tracks.length > detections.length;
+    const cost = transpose
+      ? detections.map((_, d) => tracks.map((__, t) => 1 - iou[t][d]))
+      : iou.map(row => row.map(value => 1 - value));
+
+    const pairs = [];
+
+    solveAssignment(cost).forEach((col, row) => {
+      if (col < 0) return;
+      const [t, d] = transpose ? [col, row] : [row, col];
+      if (iou[t][d] >= this.options.iouThreshold) pairs.push([t, d]);
+    });
+
+    return pairs;
+  }
+
+  getTracks() {
+    return Array.from(this.tracks.values());
+  }
+
+  snapshot() {
+    return {
+      matching: this.options.matching,
+      iouThreshold: this.options.iouThreshold,
+      maxAge: this.options.maxAge,
+      framesProcessed: this.framesProcessed,
+      lastUpdate: this.lastUpdate ? new Date(this.lastUpdate) : null,
+      tracks: this.getTracks().map(track => ({
+        id: track.id,
+        class: track.class,
+        confidence: track.confidence,
+        boundingBox: track.boundingBox,
+        laneId: track.laneId,
+        position: track.position,
+        speed: track.speed,
+        speedKmh: track.speedKmh,
+        status: track.missed > 0 ? 'lost' : track.hits >= this.options.minHits ? 'confirmed' : 'tentative',
+        hits: track.hits,
+        missed: track.missed,
+        age: track.lastSeen - track.firstSeen,
+        firstSeen: new Date(track.firstSeen),
+        lastSeen: new Date(track.lastSeen),
+        history: track.history.map(h => ({ timestamp: new Date(h.timestamp), x: h.center.x, y: h.center.y }))
+      }))
+    };
+  }
+}
+
+export default VehicleTracker;
@@ -0,0 +1,97 @@
+// Detection accuracy from reviewer verdicts in `pending_alerts`. An approved alert counts as a true
+// positive and a rejected one as a false positive, so precision = approved / (approved + rejected).
+// Recall needs incidents the detector missed, which verdicts cannot show.
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+export class MetricsQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MetricsQueryError';
+  }
+}
+
+// ?from=&to= (ISO dates, default the last 30 days), ?streamId=, ?severity=
+export function parseMetricsQuery(query = {}, now = Date.now()) {
+  const to = query.to ? new Date(query.to) : new Date(now);
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 86400000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new MetricsQueryError('from and to must be ISO dates');
+  }
+  if (from >= to) {
+    throw new MetricsQueryError('from must be before to');
+  }
+  if (to - from > MAX_RANGE_DAYS * 86400000) {
+    throw new MetricsQueryError(`Range may span at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { from, to, streamId: query.streamId || null, severity: query.severity || null };
+}
+
+function tally(rows) {
+  const approved = rows.filter(row => row.status === 'approved').length;
+  const rejected = rows.filter(row => row.status === 'rejected').length;
+
+  return {
+    total: rows.length,
+    pending: rows.length - approved - rejected,
+    approved,
+    rejected,
+    precision: approved + rejected > 0 ? approved / (approved + rejected) : null
+  };
+}
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+function latencyStats(seconds) {
+  const sorted = [...seconds].sort((a, b) => a - b);
+  const at = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+  return {
+    count: sorted.length,
+    averageSeconds: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null,
+    medianSeconds: sorted.length > 0 ? at(0.5) : null,
+    p90Seconds: sorted.length > 0 ? at(0.9) : null
+  };
+}
+
+// rows: pending_alerts rows with id, stream_id, type, status, confidence, created_at, approved_at,
+// rejection_reason and severity; streams: id -> location, for labels
+export function computeVerdictMetrics(rows, streams = new Map()) {
+  const reviewed = rows.filter(row => row.status !== 'pending' && row.approved_at);
+  const reviewSeconds = row => (new Date(row.approved_at) - new Date(row.created_at)) / 1000;
+  const rejected = rows.filter(row => row.status === 'rejected');
+
+  return {
+    ...tally(rows),
+    averageConfidence: rows.length > 0 ? rows.reduce((sum, row) => sum + Number(row.confidence), 0) / rows.length : null,
+    byStream: Array.from(groupBy(rows, row => row.stream_id), ([streamId, group]) => ({
+      streamId,
+      location: streams.get(streamId) || null,
+      ...tally(group)
+    })),
+    bySeverity: Array.from(groupBy(rows, row => row.severity || 'unknown'), ([severity, group]) => ({ severity, ...tally(group) })),
+    byType: Array.from(groupBy(rows, row => row.type || 'accident'), ([type, group]) => ({ type, ...tally(group) })),
+    byDay: Array.from(groupBy(rows, row => new Date(row.created_at).toISOString().slice(0, 10)), ([day, group]) => ({ day, ...tally(group) }))
+      .sort((a, b) => (a.day < b.day ? -1 : 1)),
+    reviewLatency: {
+      all: latencyStats(reviewed.map(reviewSeconds)),
+      approved: latencyStats(reviewed.filter(row => row.status === 'approved').map(reviewSeconds)),
+      rejected: latencyStats(reviewed.filter(row => row.status === 'rejected').map(reviewSeconds))
+    },
+    // Free-text reasons, grouped case- and whitespace-insensitively
+    rejectionReasons: Array.from(
+      groupBy(rejected, row => (row.rejection_reason || 'No reason given').trim().replace(/\s+/g, ' ').toLowerCase()),
+      ([, group]) => ({ reason: (group[0].rejection_reason || 'No reason given').trim(), count: group.length, share: group.length / rejected.length })
+    ).sort((a, b) => b.count - a.count)
+  };
+}
@@ -0,0 +1,93 @@
+const DEFAULT_OPTIONS = {
+  headingWindowSeconds: 2,
+  minDisplacement: 30,
+  maxCosine: -0.5,
+  minConsecutiveFrames: 3
+};
+
+// Flags tracks whose heading opposes the direction of travel of the lane they are in.
+// A track must move at least minDisplacement px over headingWindowSeconds, more than 120 degrees
+// off the lane direction (cosine <= maxCosine), on minConsecutiveFrames frames in a row.
+class WrongWayDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.counters = new Map();
+    this.reported = new Set();
+  }
+
+  update(tracks, lanes, frame) {
+    const timestamp = frame.timestamp;
+    const lanesById = new Map((lanes || []).map(lane => [lane.id, lane]));
+    const events = [];
+    const liveIds = new Set();
+
+    for (const track of tracks) {
+      liveIds.add(track.id);
+      if (track.lastSeen !== timestamp) continue;
+
+      const lane = lanesById.get(track.laneId);
+      const heading = lane && this.headingOf(track, timestamp);
+
+      if (!heading) {
+        this.counters.delete(track.id);
+        continue;
+      }
+
+      const cosine = (heading.x * lane.direction.x + heading.y * lane.direction.y) / heading.length;
+      const count = cosine <= this.options.maxCosine ? (this.counters.get(track.id) || 0) + 1 : 0;
+      this.counters.set(track.id, count);
+
+      if (count < this.options.minConsecutiveFrames || this.reported.has(track.id)) continue;
+      this.reported.add(track.id);
+
+      events.push({
+        type: 'wrong_way',
+        trackId: track.id,
+        vehicle: track.class,
+        laneId: lane.id,
+        laneName: lane.name,
+        laneDirection: lane.direction,
+        heading: { x: heading.x / heading.length, y: heading.y / heading.length },
+        cosine,
+        speed: heading.length / heading.seconds,
+        confidence: Math.min(1, -cosine) * Math.sqrt(track.confidence),
+        boundingBox: track.boundingBox,
+        location: {
+          x: track.boundingBox.x + track.boundingBox.width / 2,
+          y: track.boundingBox.y + track.boundingBox.height / 2
+        },
+        consecutiveFrames: count,
+        firstSeen: new Date(track.firstSeen),
+        timestamp: new Date(timestamp)
+      });
+    }
+
+    for (const id of this.counters.keys()) {
+      if (!liveIds.has(id)) this.counters.delete(id);
+    }
+    for (const id of this.reported) {
+      if (!liveIds.has(id)) this.reported.delete(id);
+    }
+
+    return events;
+  }
+
+  // Displacement over the heading window, or null while the track has not moved far enough to tell
+  headingOf(track, timestamp) {
+    const windowStart = timestamp - this.options.headingWindowSeconds * 1000;
+    const history = track.history.filter(h => h.timestamp >= windowStart);
+    if (history.length < 2) return null;
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const x = last.center.x - first.center.x;
+    const y = last.center.y - first.center.y;
+    const length = Math.hypot(x, y);
+    const seconds = (last.timestamp - first.timestamp) / 1000;
+
+    if (length < this.options.minDisplacement || seconds <= 0) return null;
+    return { x, y, length, seconds };
+  }
+}
+
+export default WrongWayDetector;
@@ -0,0 +1,109 @@
+import zlib from 'zlib';
+
+// Minimal reader for the zip archives investigators upload: stored and deflated entries, no encryption,
+// no zip64. Entries are read from the central directory; sizes are checked before anything is inflated.
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+export class ZipArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipArchiveError';
+  }
+}
+
+export function isZipArchive(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64 KB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new ZipArchiveError('Not a zip archive (no end of central directory record)');
+}
+
+// Returns [{ name, buffer }] for the file entries `filter(name)` accepts, in archive order.
+// options.maxEntries / options.maxTotalBytes bound how much an archive may expand to.
+export function readZipEntries(buffer, options = {}) {
+  return [...zipEntries(buffer, options)];
+}
+
+// Same entries one at a time, each inflated only when it is asked for
+export function* zipEntries(buffer, options = {}) {
+  const { maxEntries = 1000, maxTotalBytes = 512 * 1024 * 1024, filter = () => true } = options;
+
+  if (buffer.length < 22) {
+    throw new ZipArchiveError('Not a zip archive');
+  }
+
+  const end = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new ZipArchiveError('Zip64 archives are not supported');
+  }
+
+  let entryTotal = 0;
+  let totalBytes = 0;
+  let offset = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new ZipArchiveError('Corrupt zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // Bit 11 marks UTF-8 names; older tools write code page 437, which latin1 approximates
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+
+    if (flags & 0x1) {
+      throw new ZipArchiveError(`${name} is encrypted`);
+    }
+    if (method !== STORED && method !== DEFLATED) {
+      throw new ZipArchiveError(`${name} uses an unsupported compression method (${method})`);
+    }
+    if (entryTotal >= maxEntries) {
+      throw new ZipArchiveError(`Archive holds more than ${maxEntries} files`);
+    }
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      throw new ZipArchiveError(`Archive expands to more than ${Math.round(maxTotalBytes / 1024 / 1024)} MB`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new ZipArchiveError(`Corrupt zip entry ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    try {
+      content = method === STORED ? Buffer.from(data) : zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      throw new ZipArchiveError(`Cannot extract ${name}: ${error.message}`);
+    }
+    if (content.length !== size) {
+      throw new ZipArchiveError(`Corrupt zip entry ${name} (size mismatch)`);
+    }
+
+    entryTotal++;
+    yield { name, buffer: content };
+  }
+}
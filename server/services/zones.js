@@ -0,0 +1,128 @@
+// Per-stream drawable zones, stored as `streams.zones` (jsonb). Coordinates are pixels in the camera frame.
+//
+//   {
+//     roi: { points: [{ x, y }, ...] } | null,        roadway region; objects outside it get outsideWeight
+//     exclusions: [{ id, name, points }],             sidewalks, parking lots... objects inside are ignored
+//     lanes: [{ id, name, points, direction: { x, y } }],  direction of travel as a unit vector
+//     signals: [{ id, name, points }],                where traffic waits at a stop line (lights, stop signs)
+//     outsideWeight: 0                                weight (0-1) for objects outside the ROI; 0 ignores them
+//   }
+export class ZoneValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZoneValidationError';
+  }
+}
+
+function normalizePoints(points, label) {
+  if (!Array.isArray(points) || points.length < 3) {
+    throw new ZoneValidationError(`${label} needs at least 3 points`);
+  }
+
+  return points.map((point) => {
+    const [x, y] = Array.isArray(point) ? point : [point?.x, point?.y];
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new ZoneValidationError(`${label} has a point without numeric x/y`);
+    }
+    return { x, y };
+  });
+}
+
+function normalizeDirection(direction, label) {
+  const x = direction?.x;
+  const y = direction?.y;
+  const length = Math.hypot(x, y);
+
+  if (!Number.isFinite(length) || length === 0) {
+    throw new ZoneValidationError(`${label} needs a direction of travel { x, y }`);
+  }
+  return { x: x / length, y: y / length };
+}
+
+// Validates zones from the API and returns the stored shape; null clears them
+export function normalizeZones(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ZoneValidationError('Zones must be an object');
+  }
+
+  const outsideWeight = input.outsideWeight ?? 0;
+  if (!Number.isFinite(outsideWeight) || outsideWeight < 0 || outsideWeight > 1) {
+    throw new ZoneValidationError('outsideWeight must be between 0 and 1');
+  }
+
+  return {
+    roi: input.roi ? { points: normalizePoints(input.roi.points, 'ROI') } : null,
+    exclusions: (input.exclusions || []).map((zone, index) => ({
+      id: zone.id || `exclusion_${index + 1}`,
+      name: zone.name || `Exclusion ${index + 1}`,
+      points: normalizePoints(zone.points, `Exclusion ${index + 1}`)
+    })),
+    lanes: (input.lanes || []).map((lane, index) => ({
+      id: lane.id || `lane_${index + 1}`,
+      name: lane.name || `Lane ${index + 1}`,
+      points: normalizePoints(lane.points, `Lane ${index + 1}`),
+      direction: normalizeDirection(lane.direction, `Lane ${index + 1}`)
+    })),
+    signals: (input.signals || []).map((zone, index) => ({
+      id: zone.id || `signal_${index + 1}`,
+      name: zone.name || `Signal ${index + 1}`,
+      points: normalizePoints(zone.points, `Signal ${index + 1}`)
+    })),
+    outsideWeight
+  };
+}
+
+export function pointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Objects touch the road at the bottom-centre of their box, which is what zones are drawn around
+export function groundPoint(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height };
+}
+
+export function locateDetection(detection, zones) {
+  const point = groundPoint(detection.boundingBox);
+
+  if (zones.exclusions.some(zone => pointInPolygon(point, zone.points))) {
+    return { zone: 'excluded', laneId: null, signalId: null, weight: 0 };
+  }
+
+  const lane = zones.lanes.find(candidate => pointInPolygon(point, candidate.points));
+  if (lane || !zones.roi || pointInPolygon(point, zones.roi.points)) {
+    const signal = (zones.signals || []).find(candidate => pointInPolygon(point, candidate.points));
+    return { zone: 'roadway', laneId: lane ? lane.id : null, signalId: signal ? signal.id : null, weight: 1 };
+  }
+
+  return { zone: 'outside', laneId: null, signalId: null, weight: zones.outsideWeight };
+}
+
+// Annotates detections with zone, laneId, signalId and zoneWeight and drops the ones weighted 0
+// (returned as `dropped`, with their count as `ignored`)
+export function applyZones(detections, zones) {
+  if (!zones) return { detections, ignored: 0, dropped: [] };
+
+  const kept = [];
+  const dropped = [];
+  for (const detection of detections) {
+    const { zone, laneId, signalId, weight } = locateDetection(detection, zones);
+    if (weight <= 0) {
+      dropped.push(detection);
+      continue;
+    }
+    kept.push({ ...detection, zone, laneId, signalId, zoneWeight: weight });
+  }
+
+  return { detections: kept, ignored: dropped.length, dropped };
+}
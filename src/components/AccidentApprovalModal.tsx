@@ -1,5 +1,38 @@
-import React, { useState } from 'react';
-import { AlertTriangle, CheckCircle, XCircle, MapPin, Clock, Zap } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, CheckCircle, XCircle, MapPin, Clock, Zap, ArrowLeftRight, Timer, PersonStanding } from 'lucide-react';
+import { EvidenceClip } from './EvidenceClip';
+import { ContributingStreams } from './ContributingStreams';
+import { SeverityFactors } from './SeverityFactors';
+import { ContributingStream, SeverityBreakdown } from '../services/api';
+
+export interface HazardEvent {
+  type: 'wrong_way' | 'stalled_vehicle' | 'debris' | 'pedestrian_hazard';
+  trackId: string;
+  laneId: string | null;
+  laneName: string | null;
+  confidence: number;
+  severity: string;
+  priority: 'normal' | 'urgent';
+  timestamp: string;
+  // wrong_way
+  vehicle?: string;
+  cosine?: number;
+  speed?: number;
+  consecutiveFrames?: number;
+  // stalled_vehicle, debris, pedestrian_hazard
+  object?: string;
+  dwellSeconds?: number;
+  escalated?: boolean;
+  nearbyVehicles?: { trackId: string; vehicle: string; distance: number; closingSpeed: number; timeToReach: number }[];
+}
+
+const ALERT_TITLES: Record<string, { title: string; subtitle: string }> = {
+  accident: { title: 'Accident Detection Pending Approval', subtitle: 'Review the detection and approve or reject' },
+  wrong_way: { title: 'Wrong-Way Driver Detected', subtitle: 'A vehicle is driving against the lane direction' },
+  stalled_vehicle: { title: 'Stalled Vehicle on the Roadway', subtitle: 'A vehicle has stopped in the roadway beyond the dwell time' },
+  debris: { title: 'Debris on the Roadway', subtitle: 'An object has been lying on the roadway beyond the dwell time' },
+  pedestrian_hazard: { title: 'Pedestrian in the Roadway', subtitle: 'A person is in the roadway with traffic approaching or for too long' }
+};
 
 interface DetectionData {
   accidents: any[];
@@ -10,13 +43,30 @@ interface DetectionData {
   longitude?: number;
   severity: string;
   boundingBoxes: any[];
+  events?: HazardEvent[];
+}
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// A severity other than the scored one, sent with the approval
+export interface SeverityOverrideInput {
+  severity: string;
+  reason: string;
 }
 
 interface AccidentApprovalModalProps {
   isOpen: boolean;
   detectionData: DetectionData | null;
   confidence: number;
-  onApprove: () => void;
+  detectionCount?: number;
+  lastDetectedAt?: string | null;
+  contributingStreams?: ContributingStream[];
+  severityBreakdown?: SeverityBreakdown | null;
+  annotatedImageUrl?: string | null;
+  evidenceId?: string | null;
+  alertType?: string;
+  urgent?: boolean;
+  onApprove: (override?: SeverityOverrideInput) => void;
   onReject: () => void;
   isLoading?: boolean;
 }
@@ -25,15 +75,41 @@ export const AccidentApprovalModal: React.FC<AccidentApprovalModalProps> = ({
   isOpen,
   detectionData,
   confidence,
+  detectionCount = 1,
+  lastDetectedAt = null,
+  contributingStreams = [],
+  severityBreakdown = null,
+  annotatedImageUrl = null,
+  evidenceId = null,
+  alertType = 'accident',
+  urgent = false,
   onApprove,
   onReject,
   isLoading = false
 }) => {
   const [rejectionReason, setRejectionReason] = useState('');
   const [showReasonInput, setShowReasonInput] = useState(false);
+  const [imageFailed, setImageFailed] = useState(false);
+  const scoredSeverity = severityBreakdown?.level ?? detectionData?.severity ?? 'medium';
+  const [severity, setSeverity] = useState(scoredSeverity);
+  const [severityReason, setSeverityReason] = useState('');
+
+  useEffect(() => {
+    setImageFailed(false);
+  }, [annotatedImageUrl]);
+
+  // A re-scored incident starts the reviewer's choice over
+  useEffect(() => {
+    setSeverity(scoredSeverity);
+    setSeverityReason('');
+  }, [scoredSeverity]);
 
   if (!isOpen || !detectionData) return null;
 
+  const severityChanged = severity !== scoredSeverity;
+
+  const heading = ALERT_TITLES[alertType] || ALERT_TITLES.accident;
+
   const getSeverityColor = (severity: string) => {
     switch (severity) {
       case 'critical': return 'text-red-600 bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800';
@@ -68,14 +144,38 @@ export const AccidentApprovalModal: React.FC<AccidentApprovalModalProps> = ({
           <div className="flex items-center space-x-3">
             <AlertTriangle className="h-8 w-8 text-white" />
             <div>
-              <h2 className="text-xl font-bold text-white">Accident Detection Pending Approval</h2>
-              <p className="text-red-100 text-sm">Review the detection and approve or reject</p>
+              <h2 className="text-xl font-bold text-white">
+                {urgent ? `URGENT: ${heading.title}` : heading.title}
+              </h2>
+              <p className="text-red-100 text-sm">
+                {urgent ? `${heading.subtitle} - review immediately` : heading.subtitle}
+              </p>
             </div>
           </div>
         </div>
 
         {/* Content */}
-        <div className="p-6 space-y-6">
+        <div className="p-6 space-y-6 max-h-[80vh] overflow-y-auto">
+          {/* Annotated Frame */}
+          {annotatedImageUrl && !imageFailed && (
+            <a href={annotatedImageUrl} target="_blank" rel="noopener noreferrer" className="block">
+              <img
+                src={annotatedImageUrl}
+                alt="Detections as the model saw them"
+                onError={() => setImageFailed(true)}
+                className="w-full rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-800"
+              />
+            </a>
+          )}
+
+          {/* Evidence Clip */}
+          {evidenceId && <EvidenceClip evidenceId={evidenceId} />}
+
+          {/* Other Cameras */}
+          {contributingStreams.length > 1 && (
+            <ContributingStreams streams={contributingStreams} shownEvidenceId={evidenceId} />
+          )}
+
           {/* Frame Timestamp */}
           <div className="flex items-start space-x-4 p-4 bg-gray-50 dark:bg-gray-800 rounded-lg">
             <Clock className="h-5 w-5 text-blue-600 dark:text-blue-400 mt-0.5 flex-shrink-0" />
@@ -84,6 +184,11 @@ export const AccidentApprovalModal: React.FC<AccidentApprovalModalProps> = ({
               <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
                 {new Date(detectionData.frameTimestamp).toLocaleString()}
               </p>
+              {detectionCount > 1 && (
+                <p className="text-xs text-gray-500 dark:text-gray-500 mt-1">
+                  Detected {detectionCount} times{lastDetectedAt && `, last at ${new Date(lastDetectedAt).toLocaleTimeString()}`}
+                </p>
+              )}
             </div>
           </div>
 
@@ -120,11 +225,42 @@ export const AccidentApprovalModal: React.FC<AccidentApprovalModalProps> = ({
             <div className="p-4 bg-orange-50 dark:bg-orange-900/20 rounded-lg border border-orange-200 dark:border-orange-800">
               <p className="text-xs font-medium text-gray-600 dark:text-gray-400 uppercase tracking-wide">Severity</p>
               <div className="mt-2">
-                {getSeverityBadge(detectionData.severity)}
+                {getSeverityBadge(severity)}
               </div>
+              <select
+                value={severity}
+                onChange={(e) => setSeverity(e.target.value)}
+                disabled={isLoading}
+                aria-label="Severity to send"
+                className="mt-2 w-full px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              >
+                {SEVERITY_LEVELS.map(level => (
+                  <option key={level} value={level}>{level === scoredSeverity ? `${level} (scored)` : level}</option>
+                ))}
+              </select>
             </div>
           </div>
 
+          {/* Severity Factors */}
+          {severityBreakdown && <SeverityFactors breakdown={severityBreakdown} />}
+
+          {/* Severity Change Reason */}
+          {severityChanged && (
+            <div className="p-4 bg-orange-50 dark:bg-orange-900/20 rounded-lg border border-orange-200 dark:border-orange-800">
+              <label className="block text-sm font-medium text-gray-900 dark:text-white mb-2">
+                Reason for changing the severity from {scoredSeverity} to {severity} (required)
+              </label>
+              <textarea
+                value={severityReason}
+                onChange={(e) => setSeverityReason(e.target.value)}
+                maxLength={500}
+                placeholder="What does the footage show that the score missed?"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                rows={2}
+              />
+            </div>
+          )}
+
           {/* Accidents Details */}
           {detectionData.accidents && detectionData.accidents.length > 0 && (
             <div className="p-4 bg-red-50 dark:bg-red-900/20 rounded-lg border border-red-200 dark:border-red-800">
@@ -141,12 +277,88 @@ export const AccidentApprovalModal: React.FC<AccidentApprovalModalProps> = ({
                     <span className="text-xs text-red-600 dark:text-red-400">
                       (Distance: {accident.distance.toFixed(1)}px, Confidence: {(accident.confidence * 100).toFixed(1)}%)
                     </span>
+                    {accident.trackIds && (
+                      <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                        Tracks {accident.trackIds.join(' & ')}
+                        {accident.cues && ` · ${Object.keys(accident.cues).filter(cue => accident.cues[cue]).join(', ')}`}
+                        {accident.frameWindow && ` · ${accident.frameWindow.frameNumbers.length} frames`}
+                      </p>
+                    )}
                   </div>
                 ))}
               </div>
             </div>
           )}
 
+          {/* Hazard Details */}
+          {detectionData.events && detectionData.events.length > 0 && (
+            <div className="p-4 bg-red-50 dark:bg-red-900/20 rounded-lg border-2 border-red-500">
+              {detectionData.events.map((event, idx) => event.type === 'wrong_way' ? (
+                <div key={idx} className="flex items-start space-x-3 text-sm text-red-800 dark:text-red-300">
+                  <ArrowLeftRight className="h-5 w-5 text-red-600 dark:text-red-400 flex-shrink-0" />
+                  <div>
+                    <p>
+                      <span className="font-bold">{event.vehicle} {event.trackId}</span>
+                      {' '}driving against the flow in{' '}
+                      <span className="font-medium">{event.laneName}</span>
+                    </p>
+                    <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                      {Math.round(Math.acos(Math.max(-1, Math.min(1, event.cosine ?? -1))) * 180 / Math.PI)}&deg; off lane direction
+                      {' · '}{(event.speed ?? 0).toFixed(0)} px/s
+                      {' · '}{event.consecutiveFrames} frames
+                    </p>
+                  </div>
+                </div>
+              ) : event.type === 'pedestrian_hazard' ? (
+                <div key={idx} className="flex items-start space-x-3 text-sm text-red-800 dark:text-red-300">
+                  <PersonStanding className="h-5 w-5 text-red-600 dark:text-red-400 flex-shrink-0" />
+                  <div>
+                    <p>
+                      <span className="font-bold">person {event.trackId}</span>
+                      {' '}in{' '}
+                      <span className="font-medium">{event.laneName || 'the roadway'}</span>
+                      {' '}for {Math.round(event.dwellSeconds ?? 0)} s
+                    </p>
+                    {event.nearbyVehicles && event.nearbyVehicles.length > 0 ? (
+                      <ul className="text-xs text-red-600 dark:text-red-400 mt-1 space-y-0.5">
+                        {event.nearbyVehicles.map(vehicle => (
+                          <li key={vehicle.trackId}>
+                            {vehicle.vehicle} {vehicle.trackId} {Math.round(vehicle.distance)} px away,
+                            {' '}reaching them in {vehicle.timeToReach.toFixed(1)} s
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-xs text-red-600 dark:text-red-400 mt-1">No vehicle approaching</p>
+                    )}
+                  </div>
+                </div>
+              ) : (
+                <div key={idx} className="flex items-start space-x-3 text-sm text-red-800 dark:text-red-300">
+                  <Timer className="h-5 w-5 text-red-600 dark:text-red-400 flex-shrink-0" />
+                  <div>
+                    <p>
+                      <span className="font-bold">{event.object} {event.trackId}</span>
+                      {' '}stationary in{' '}
+                      <span className="font-medium">{event.laneName || 'the roadway'}</span>
+                    </p>
+                    <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                      {Math.round(event.dwellSeconds ?? 0)} s without moving
+                      {event.escalated && ' · severity escalated'}
+                    </p>
+                  </div>
+                </div>
+              ))}
+              {detectionData.boundingBoxes.some(box => box.highlighted) && (
+                <p className="text-xs text-red-600 dark:text-red-400 mt-3">
+                  Highlighted box: {detectionData.boundingBoxes.filter(box => box.highlighted).map(box =>
+                    `${box.class} at (${Math.round(box.x)}, ${Math.round(box.y)}) ${Math.round(box.width)}×${Math.round(box.height)}`
+                  ).join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Rejection Reason Input */}
           {showReasonInput && (
             <div className="p-4 bg-gray-50 dark:bg-gray-800 rounded-lg">
@@ -181,8 +393,8 @@ export const AccidentApprovalModal: React.FC<AccidentApprovalModalProps> = ({
             </button>
 
             <button
-              onClick={onApprove}
-              disabled={isLoading}
+              onClick={() => onApprove(severityChanged ? { severity, reason: severityReason.trim() } : undefined)}
+              disabled={isLoading || (severityChanged && !severityReason.trim())}
               className="flex-1 px-4 py-3 bg-gradient-to-r from-green-500 to-green-600 hover:from-green-600 hover:to-green-700 disabled:from-green-300 disabled:to-green-400 text-white rounded-lg transition-all duration-200 flex items-center justify-center space-x-2 font-medium shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isLoading ? (
@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
-import { X, Plus, MapPin, Link } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { X, Plus, MapPin, Link, FlaskConical } from 'lucide-react';
+import { apiService, SimulationScenario } from '../services/api';
 
 interface AddStreamModalProps {
   isOpen: boolean;
@@ -15,6 +16,16 @@ export const AddStreamModal: React.FC<AddStreamModalProps> = ({
   const [url, setUrl] = useState('');
   const [location, setLocation] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [scenarios, setScenarios] = useState<SimulationScenario[]>([]);
+
+  useEffect(() => {
+    if (!isOpen || scenarios.length > 0) return;
+
+    apiService.getSimulationScenarios()
+      .then(response => setScenarios(response.data?.scenarios || []));
+  }, [isOpen, scenarios.length]);
+
+  const selectedScenario = scenarios.find(scenario => url.startsWith(`sim://${scenario.name}`));
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -60,6 +71,31 @@ export const AddStreamModal: React.FC<AddStreamModalProps> = ({
                 required
               />
             </div>
+            {scenarios.length > 0 && (
+              <div className="mt-2">
+                <div className="relative">
+                  <FlaskConical className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400 dark:text-gray-500" />
+                  <select
+                    value={selectedScenario?.name || ''}
+                    onChange={(e) => {
+                      const scenario = scenarios.find(s => s.name === e.target.value);
+                      if (scenario) setUrl(scenario.url);
+                    }}
+                    className="w-full pl-10 pr-4 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white/50 dark:bg-gray-800/50 text-gray-700 dark:text-gray-300"
+                  >
+                    <option value="">Or run a simulated scenario...</option>
+                    {scenarios.map(scenario => (
+                      <option key={scenario.name} value={scenario.name}>{scenario.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {selectedScenario && (
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {selectedScenario.description}. Same seed, same frames.
+                  </p>
+                )}
+              </div>
+            )}
           </div>
           
           <div>
@@ -1,14 +1,24 @@
 import React, { useState } from 'react';
-import { AlertTriangle, Send, Clock, MapPin, Activity } from 'lucide-react';
+import { AlertTriangle, Send, Clock, MapPin, Activity, Image } from 'lucide-react';
+import { apiService, ContributingStream, EvidenceLink, SeverityBreakdown, SeverityOverride } from '../services/api';
+import { EvidenceClip } from './EvidenceClip';
+import { ContributingStreams } from './ContributingStreams';
+import { SeverityFactors } from './SeverityFactors';
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
 
 interface Alert {
   id: string;
   location: string;
   severity: 'low' | 'medium' | 'high' | 'critical';
   status: 'pending' | 'sent' | 'acknowledged' | 'resolved';
-  type: 'accident' | 'traffic_jam' | 'weather' | 'system';
+  type: 'accident' | 'traffic_jam' | 'weather' | 'system' | 'wrong_way' | 'stalled_vehicle' | 'debris' | 'pedestrian_hazard';
   created_at: string;
   description?: string;
+  detection_data?: { boundingBoxes?: unknown[]; severityBreakdown?: SeverityBreakdown } | null;
+  evidence?: EvidenceLink | null;
+  contributing_streams?: ContributingStream[] | null;
+  severity_override?: SeverityOverride | null;
 }
 
 interface AlertPanelProps {
@@ -18,6 +28,28 @@ interface AlertPanelProps {
 
 export const AlertPanel: React.FC<AlertPanelProps> = ({ alerts, onSendAlert }) => {
   const [selectedAlert, setSelectedAlert] = useState<Alert | null>(null);
+  const [newSeverity, setNewSeverity] = useState('');
+  const [severityReason, setSeverityReason] = useState('');
+  const [severityError, setSeverityError] = useState<string | null>(null);
+
+  const selectAlert = (alert: Alert) => {
+    setSelectedAlert(alert);
+    setNewSeverity(alert.severity);
+    setSeverityReason('');
+    setSeverityError(null);
+  };
+
+  // The override is recorded with the alert; the list picks it up from alert-status-updated
+  const handleOverrideSeverity = async () => {
+    if (!selectedAlert) return;
+
+    const response = await apiService.overrideAlertSeverity<Alert>(selectedAlert.id, newSeverity, severityReason.trim());
+    if (response.error || !response.data) {
+      setSeverityError(response.error || 'Failed to change the severity');
+      return;
+    }
+    selectAlert(response.data);
+  };
 
   const getSeverityColor = (severity: string) => {
     switch (severity) {
@@ -77,7 +109,7 @@ export const AlertPanel: React.FC<AlertPanelProps> = ({ alerts, onSendAlert }) =
                   ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
                   : 'border-gray-200 dark:border-gray-700 hover:border-gray-300 dark:hover:border-gray-600'
               }`}
-              onClick={() => setSelectedAlert(alert)}
+              onClick={() => selectAlert(alert)}
             >
               <div className="flex items-start justify-between">
                 <div className="flex-1">
@@ -94,6 +126,10 @@ export const AlertPanel: React.FC<AlertPanelProps> = ({ alerts, onSendAlert }) =
                     {alert.type === 'accident' ? '🚨 Accident Detected' :
                      alert.type === 'traffic_jam' ? '🚦 Traffic Jam' :
                      alert.type === 'weather' ? '🌧️ Weather Alert' :
+                     alert.type === 'wrong_way' ? '⛔ Wrong-Way Driver' :
+                     alert.type === 'stalled_vehicle' ? '🚗 Stalled Vehicle' :
+                     alert.type === 'debris' ? '📦 Debris on Roadway' :
+                     alert.type === 'pedestrian_hazard' ? '🚶 Pedestrian in Roadway' :
                      '⚠️ System Alert'}
                   </h4>
                   
@@ -111,6 +147,9 @@ export const AlertPanel: React.FC<AlertPanelProps> = ({ alerts, onSendAlert }) =
                   <div className="flex items-center text-xs text-gray-400 dark:text-gray-500">
                     <Clock className="h-3 w-3 mr-1" />
                     {formatTime(getCreatedAt(alert))}
+                    {alert.detection_data?.boundingBoxes && (
+                      <Image className="h-3 w-3 ml-2" aria-label="Annotated frame available" />
+                    )}
                   </div>
                 </div>
 
@@ -165,6 +204,62 @@ export const AlertPanel: React.FC<AlertPanelProps> = ({ alerts, onSendAlert }) =
               </span>
             </div>
           </div>
+          {selectedAlert.detection_data?.severityBreakdown && (
+            <div className="mt-4">
+              <SeverityFactors breakdown={selectedAlert.detection_data.severityBreakdown} override={selectedAlert.severity_override} />
+            </div>
+          )}
+          <div className="mt-4 space-y-2">
+            <div className="flex items-center space-x-2">
+              <select
+                value={newSeverity}
+                onChange={(e) => setNewSeverity(e.target.value)}
+                aria-label="New severity"
+                className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+              >
+                {SEVERITY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+              </select>
+              <input
+                value={severityReason}
+                onChange={(e) => setSeverityReason(e.target.value)}
+                maxLength={500}
+                placeholder="Reason for changing the severity"
+                className="flex-1 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+              />
+              <button
+                onClick={handleOverrideSeverity}
+                disabled={newSeverity === selectedAlert.severity || !severityReason.trim()}
+                className="px-3 py-1 text-sm bg-orange-600 hover:bg-orange-700 text-white rounded disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Change
+              </button>
+            </div>
+            {severityError && <p className="text-xs text-red-600 dark:text-red-400">{severityError}</p>}
+          </div>
+          {selectedAlert.detection_data?.boundingBoxes && (
+            <a
+              href={apiService.getAlertImageUrl(selectedAlert.id)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="block mt-4"
+            >
+              <img
+                src={apiService.getAlertImageUrl(selectedAlert.id)}
+                alt="Annotated detection frame"
+                className="w-full rounded-lg border border-gray-200 dark:border-gray-600"
+              />
+            </a>
+          )}
+          {selectedAlert.evidence && (
+            <div className="mt-4">
+              <EvidenceClip evidenceId={selectedAlert.evidence.id} />
+            </div>
+          )}
+          {selectedAlert.contributing_streams && selectedAlert.contributing_streams.length > 1 && (
+            <div className="mt-4">
+              <ContributingStreams streams={selectedAlert.contributing_streams} shownEvidenceId={selectedAlert.evidence?.id ?? null} />
+            </div>
+          )}
         </div>
       )}
     </div>
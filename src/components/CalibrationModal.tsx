@@ -0,0 +1,231 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X, Save, Trash2, Ruler } from 'lucide-react';
+import { apiService, StreamCalibration, ZonePoint } from '../services/api';
+
+interface CalibrationModalProps {
+  isOpen: boolean;
+  stream: { id: string; location: string; calibration?: StreamCalibration | null } | null;
+  onClose: () => void;
+}
+
+// Ground coordinates are edited as text so a half-typed number does not snap back
+interface DraftPoint {
+  image: ZonePoint;
+  ground: { x: string; y: string };
+}
+
+const MIN_POINTS = 4;
+
+export const CalibrationModal: React.FC<CalibrationModalProps> = ({
+  isOpen,
+  stream,
+  onClose
+}) => {
+  const svgRef = useRef<SVGSVGElement>(null);
+  const [snapshot, setSnapshot] = useState<{ imageUrl: string | null; width: number; height: number; error?: string } | null>(null);
+  const [points, setPoints] = useState<DraftPoint[]>([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isOpen || !stream) return;
+
+    setPoints((stream.calibration?.points || []).map(point => ({
+      image: point.image,
+      ground: { x: String(point.ground.x), y: String(point.ground.y) }
+    })));
+    setSaveError(null);
+    setSnapshot(null);
+
+    let imageUrl: string | null = null;
+    apiService.getStreamSnapshot(stream.id).then((result) => {
+      imageUrl = result.imageUrl;
+      if (!result.imageUrl) {
+        setSnapshot(result);
+        return;
+      }
+      const image = new Image();
+      image.onload = () => setSnapshot({ ...result, width: image.naturalWidth, height: image.naturalHeight });
+      image.src = result.imageUrl;
+    });
+
+    return () => {
+      if (imageUrl) URL.revokeObjectURL(imageUrl);
+    };
+  }, [isOpen, stream]);
+
+  if (!isOpen || !stream) return null;
+
+  // Map a click to camera pixel coordinates
+  const handleCanvasClick = (e: React.MouseEvent<SVGSVGElement>) => {
+    const svg = svgRef.current;
+    if (!svg || !snapshot) return;
+
+    const rect = svg.getBoundingClientRect();
+    const image = {
+      x: Math.round(((e.clientX - rect.left) / rect.width) * snapshot.width),
+      y: Math.round(((e.clientY - rect.top) / rect.height) * snapshot.height)
+    };
+    setPoints(prev => [...prev, { image, ground: { x: '', y: '' } }]);
+  };
+
+  const updateGround = (index: number, axis: 'x' | 'y', value: string) => {
+    setPoints(prev => prev.map((point, i) => (
+      i === index ? { ...point, ground: { ...point.ground, [axis]: value } } : point
+    )));
+  };
+
+  const isNumber = (value: string) => value.trim() !== '' && Number.isFinite(Number(value));
+  const isComplete = points.length >= MIN_POINTS && points.every(p => isNumber(p.ground.x) && isNumber(p.ground.y));
+
+  const save = async (calibration: StreamCalibration | null) => {
+    setIsSaving(true);
+    setSaveError(null);
+
+    const response = await apiService.updateStreamCalibration(stream.id, calibration);
+
+    setIsSaving(false);
+    if (response.error) {
+      setSaveError(response.error);
+    } else {
+      onClose();
+    }
+  };
+
+  const handleSave = () => save({
+    points: points.map(point => ({
+      image: point.image,
+      ground: { x: Number(point.ground.x), y: Number(point.ground.y) }
+    }))
+  });
+
+  const rmsError = stream.calibration?.rmsError;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white/95 dark:bg-gray-900/95 backdrop-blur-xl rounded-2xl shadow-2xl max-w-5xl w-full border border-gray-200/50 dark:border-gray-700/50 max-h-[95vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200/50 dark:border-gray-700/50">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Camera calibration</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">{stream.location}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors duration-200 p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Click at least {MIN_POINTS} points on the road surface (lane markings, kerb corners...), no three in a line,
+            and enter where each one lies on the ground in metres.
+          </p>
+
+          <div className="relative bg-gray-900 rounded-xl overflow-hidden">
+            {!snapshot ? (
+              <div className="aspect-video flex items-center justify-center">
+                <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+            ) : (
+              <>
+                {snapshot.imageUrl && (
+                  <img src={snapshot.imageUrl} alt="Camera snapshot" className="w-full block" />
+                )}
+                <svg
+                  ref={svgRef}
+                  viewBox={`0 0 ${snapshot.width} ${snapshot.height}`}
+                  className={`${snapshot.imageUrl ? 'absolute inset-0' : 'block'} w-full h-full cursor-crosshair`}
+                  style={snapshot.imageUrl ? undefined : { aspectRatio: `${snapshot.width} / ${snapshot.height}` }}
+                  onClick={handleCanvasClick}
+                >
+                  {points.map((point, index) => (
+                    <g key={index}>
+                      <circle cx={point.image.x} cy={point.image.y} r={8} fill="#facc15" stroke="#1f2937" strokeWidth={2} />
+                      <text x={point.image.x + 12} y={point.image.y - 12} fill="#facc15" fontSize={28} fontWeight="bold">
+                        {index + 1}
+                      </text>
+                    </g>
+                  ))}
+                </svg>
+              </>
+            )}
+          </div>
+
+          {snapshot?.error && (
+            <p className="text-sm text-amber-600 dark:text-amber-400">
+              No camera image ({snapshot.error}); picking points on a blank {snapshot.width}x{snapshot.height} frame.
+            </p>
+          )}
+
+          <div className="space-y-2 text-sm">
+            {points.map((point, index) => (
+              <div key={index} className="flex items-center gap-3 p-2 rounded-lg bg-gray-50 dark:bg-gray-800/50">
+                <span className="w-6 font-semibold text-gray-900 dark:text-white">{index + 1}</span>
+                <span className="w-28 text-gray-500 dark:text-gray-400">{point.image.x}, {point.image.y} px</span>
+                {(['x', 'y'] as const).map(axis => (
+                  <label key={axis} className="flex items-center space-x-1 text-gray-700 dark:text-gray-300">
+                    <span>{axis.toUpperCase()}</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={point.ground[axis]}
+                      onChange={(e) => updateGround(index, axis, e.target.value)}
+                      className="w-24 px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                    />
+                    <span>m</span>
+                  </label>
+                ))}
+                <button
+                  onClick={() => setPoints(prev => prev.filter((_, i) => i !== index))}
+                  className="ml-auto text-gray-400 hover:text-red-500"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {rmsError !== undefined && (
+            <p className="flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-300">
+              <Ruler className="h-4 w-4" />
+              <span>Current calibration fits its points to within {rmsError.toFixed(2)} m (RMS)</span>
+            </p>
+          )}
+
+          {saveError && <p className="text-sm text-red-600 dark:text-red-400">{saveError}</p>}
+
+          <div className="flex space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-3 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors duration-200"
+            >
+              Cancel
+            </button>
+            {stream.calibration && (
+              <button
+                type="button"
+                onClick={() => save(null)}
+                disabled={isSaving}
+                className="flex-1 px-4 py-3 border border-red-300 dark:border-red-700 text-red-600 dark:text-red-400 rounded-xl hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors duration-200"
+              >
+                Remove calibration
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving || !isComplete}
+              className="flex-1 px-4 py-3 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 disabled:from-blue-300 disabled:to-blue-400 text-white rounded-xl transition-all duration-200 flex items-center justify-center space-x-2 shadow-lg"
+            >
+              <Save className="h-4 w-4" />
+              <span>{isSaving ? 'Saving...' : 'Save calibration'}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
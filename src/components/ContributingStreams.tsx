@@ -0,0 +1,31 @@
+import React from 'react';
+import { Video } from 'lucide-react';
+import { ContributingStream } from '../services/api';
+import { EvidenceClip } from './EvidenceClip';
+
+interface ContributingStreamsProps {
+  streams: ContributingStream[];
+  // Clip already shown above the list, not repeated in it
+  shownEvidenceId?: string | null;
+}
+
+// Cameras that reported the same incident, each with what it saw and its own evidence clip
+export const ContributingStreams: React.FC<ContributingStreamsProps> = ({ streams, shownEvidenceId = null }) => (
+  <div className="space-y-3">
+    <p className="flex items-center text-sm font-medium text-gray-900 dark:text-white">
+      <Video className="h-4 w-4 mr-2 text-blue-600 dark:text-blue-400" />
+      Seen by {streams.length} cameras
+    </p>
+    {streams.map(stream => (
+      <div key={stream.pending_alert_id} className="p-3 bg-gray-50 dark:bg-gray-800 rounded-lg space-y-2">
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-gray-900 dark:text-white">{stream.location || 'Unknown location'}</span>
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            {(stream.confidence * 100).toFixed(1)}% · {stream.detection_count} detection{stream.detection_count === 1 ? '' : 's'}
+          </span>
+        </div>
+        {stream.evidence && stream.evidence.id !== shownEvidenceId && <EvidenceClip evidenceId={stream.evidence.id} />}
+      </div>
+    ))}
+  </div>
+);
@@ -7,8 +7,11 @@ import { AddStreamModal } from './AddStreamModal';
 import { MapView } from './MapView';
 import { AlertPanel } from './AlertPanel';
 import { MLAnalytics } from './MLAnalytics';
-import { AccidentApprovalModal } from './AccidentApprovalModal';
-import { apiService } from '../services/api';
+import { AccidentApprovalModal, HazardEvent, SeverityOverrideInput } from './AccidentApprovalModal';
+import { ZoneEditorModal } from './ZoneEditorModal';
+import { CalibrationModal } from './CalibrationModal';
+import { TrafficFlowChart } from './TrafficFlowChart';
+import { apiService, StreamCalibration, StreamZones } from '../services/api';
 import { socketService } from '../services/socketService';
 
 interface Stream {
@@ -16,6 +19,8 @@ interface Stream {
   url: string;
   location: string;
   status: 'active' | 'inactive' | 'alert';
+  zones?: StreamZones | null;
+  calibration?: StreamCalibration | null;
 }
 
 interface Alert {
@@ -23,7 +28,7 @@ interface Alert {
   location: string;
   timestamp: Date;
   stream_id: string;
-  status: 'pending' | 'sent' | 'acknowledged';
+  status: 'pending' | 'sent' | 'acknowledged' | 'resolved';
 }
 
 export const Dashboard: React.FC = () => {
@@ -35,6 +40,8 @@ export const Dashboard: React.FC = () => {
   const [activeTab, setActiveTab] = useState<'streams' | 'analytics'>('streams');
   const [pendingAccident, setPendingAccident] = useState<any>(null);
   const [isApprovingAccident, setIsApprovingAccident] = useState(false);
+  const [zoneStream, setZoneStream] = useState<Stream | null>(null);
+  const [calibrationStream, setCalibrationStream] = useState<Stream | null>(null);
 
   // Initialize data and socket connection
   useEffect(() => {
@@ -109,14 +116,37 @@ export const Dashboard: React.FC = () => {
       setAlerts(prev => prev.map(a => a.id === alert.id ? alert : a));
     });
 
+    // Jams are raised and resolved by the server without review
+    socketService.onAlertStatusUpdated((alert) => {
+      setAlerts(prev => prev.map(a => a.id === alert.id ? alert : a));
+    });
+
+    socketService.on('traffic-jam-detected', (data: { alert: Alert | null }) => {
+      if (data.alert) setAlerts(prev => [data.alert as Alert, ...prev]);
+    });
+
     socketService.onAccidentDetected((data) => {
       setAlerts(prev => [data.alert, ...prev]);
     });
 
-    socketService.on('accident-detected-pending', (data) => {
+    // Urgent hazards (wrong-way drivers, pedestrians in front of traffic...) take over the review modal;
+    // normal detections never replace them
+    const keepUrgent = (data: unknown) => setPendingAccident((prev: { event?: HazardEvent } | null) =>
+      prev?.event?.priority === 'urgent' ? prev : data);
+
+    socketService.on('accident-detected-pending', keepUrgent);
+    socketService.on('hazard-detected-pending', keepUrgent);
+
+    socketService.on('urgent-alert-pending', (data: { pendingAlert: unknown; stream: Stream; event: HazardEvent }) => {
       setPendingAccident(data);
     });
 
+    // Repeat detections update the incident they belong to instead of opening another
+    socketService.on('incident-updated', (data: { pendingAlert: { id: string } | null }) => {
+      setPendingAccident((prev: { pendingAlert?: { id: string } } | null) =>
+        prev && data.pendingAlert && prev.pendingAlert?.id === data.pendingAlert.id ? { ...prev, ...data } : prev);
+    });
+
     socketService.on('alert-approved', (data) => {
       setAlerts(prev => [data.finalAlert, ...prev]);
       setPendingAccident(null);
@@ -172,7 +202,7 @@ export const Dashboard: React.FC = () => {
     }
   }, []);
 
-  const handleApproveAccident = useCallback(async () => {
+  const handleApproveAccident = useCallback(async (override?: SeverityOverrideInput) => {
     if (!pendingAccident) return;
 
     setIsApprovingAccident(true);
@@ -183,7 +213,9 @@ export const Dashboard: React.FC = () => {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          approved_by: 'user'
+          approved_by: 'user',
+          severity: override?.severity,
+          severity_reason: override?.reason
         })
       });
     } catch (error) {
@@ -352,6 +384,8 @@ export const Dashboard: React.FC = () => {
                     status={stream.status}
                     onStart={() => handleStartStream(stream.id)}
                     onStop={() => handleStopStream(stream.id)}
+                    onEditZones={() => setZoneStream(stream)}
+                    onEditCalibration={() => setCalibrationStream(stream)}
                   />
                 ))}
               </div>
@@ -375,8 +409,9 @@ export const Dashboard: React.FC = () => {
           </div>
         ) : (
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-            <div className="lg:col-span-2">
+            <div className="lg:col-span-2 space-y-6">
               <MLAnalytics />
+              <TrafficFlowChart streams={streams} />
             </div>
             <div className="space-y-6">
               <AlertPanel alerts={alerts} onSendAlert={handleSendAlert} />
@@ -391,19 +426,51 @@ export const Dashboard: React.FC = () => {
         onAdd={handleAddStream}
       />
 
+      <ZoneEditorModal
+        isOpen={!!zoneStream}
+        stream={zoneStream}
+        onClose={() => setZoneStream(null)}
+      />
+
+      <CalibrationModal
+        isOpen={!!calibrationStream}
+        stream={calibrationStream}
+        onClose={() => setCalibrationStream(null)}
+      />
+
       <AccidentApprovalModal
         isOpen={!!pendingAccident}
-        detectionData={pendingAccident?.detectionResult?.frameAnalysis ? {
+        detectionData={pendingAccident?.event ? {
+          accidents: [],
+          events: [pendingAccident.event],
+          vehicles: pendingAccident.pendingAlert?.detection_data?.vehicles,
+          frameTimestamp: pendingAccident.event.timestamp,
+          location: pendingAccident.stream?.location || 'Unknown',
+          latitude: pendingAccident.stream?.latitude,
+          longitude: pendingAccident.stream?.longitude,
+          severity: pendingAccident.event.severity,
+          boundingBoxes: pendingAccident.pendingAlert?.detection_data?.boundingBoxes || []
+        } : pendingAccident?.detectionResult?.frameAnalysis ? {
           accidents: pendingAccident.detectionResult.accidents || [],
           vehicles: pendingAccident.detectionResult.frameAnalysis,
           frameTimestamp: pendingAccident.detectionResult.timestamp,
           location: pendingAccident.stream?.location || 'Unknown',
           latitude: pendingAccident.stream?.latitude,
           longitude: pendingAccident.stream?.longitude,
-          severity: pendingAccident.detectionResult.confidence > 0.85 ? 'critical' : pendingAccident.detectionResult.confidence > 0.75 ? 'high' : 'medium',
+          severity: pendingAccident.detectionResult.severity || 'medium',
           boundingBoxes: pendingAccident.detectionResult.detections || []
         } : null}
-        confidence={pendingAccident?.detectionResult?.confidence || 0}
+        confidence={pendingAccident?.pendingAlert?.confidence ?? pendingAccident?.event?.confidence ?? pendingAccident?.detectionResult?.confidence ?? 0}
+        detectionCount={pendingAccident?.pendingAlert?.detection_count ?? 1}
+        lastDetectedAt={pendingAccident?.pendingAlert?.last_detected_at ?? null}
+        contributingStreams={pendingAccident?.pendingAlert?.contributing_streams ?? []}
+        severityBreakdown={pendingAccident?.pendingAlert?.detection_data?.severityBreakdown ?? pendingAccident?.detectionResult?.severityBreakdown ?? null}
+        annotatedImageUrl={pendingAccident?.pendingAlert?.id
+          ? apiService.getPendingAlertImageUrl(pendingAccident.pendingAlert.id, pendingAccident.pendingAlert.frame_timestamp)
+          : null}
+        evidenceId={pendingAccident?.pendingAlert?.evidence?.id ?? null}
+        alertType={pendingAccident?.event?.type || 'accident'}
+        urgent={pendingAccident?.event?.priority === 'urgent'}
         onApprove={handleApproveAccident}
         onReject={handleRejectAccident}
         isLoading={isApprovingAccident}
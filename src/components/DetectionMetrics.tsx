@@ -0,0 +1,171 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Target, Timer, Cpu, MessageSquareX } from 'lucide-react';
+import { apiService } from '../services/api';
+
+interface VerdictTally {
+  total: number;
+  pending: number;
+  approved: number;
+  rejected: number;
+  precision: number | null;
+}
+
+interface LatencyStats {
+  count: number;
+  averageSeconds: number | null;
+  medianSeconds: number | null;
+  p90Seconds: number | null;
+}
+
+interface MetricsResponse {
+  totalProcessedFrames: number;
+  processingSpeed: { framesPerSecond: number; averageLatencyMs: number | null };
+  verdicts: VerdictTally & {
+    byStream: (VerdictTally & { streamId: string; location: string | null })[];
+    bySeverity: (VerdictTally & { severity: string })[];
+    byType: (VerdictTally & { type: string })[];
+    reviewLatency: { all: LatencyStats; approved: LatencyStats; rejected: LatencyStats };
+    rejectionReasons: { reason: string; count: number; share: number }[];
+  };
+  processing: { since: string; latencyMs: { p95: number | null } };
+}
+
+const RANGES = [
+  { days: 1, label: '24 h' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' }
+];
+
+const percent = (value: number | null) => (value === null ? '-' : `${(value * 100).toFixed(0)}%`);
+
+const duration = (seconds: number | null) => {
+  if (seconds === null) return '-';
+  if (seconds < 60) return `${seconds.toFixed(0)} s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+};
+
+// Precision from reviewer verdicts (approved = true positive, rejected = false positive) and live processing stats
+export const DetectionMetrics: React.FC = () => {
+  const [rangeDays, setRangeDays] = useState(30);
+  const [metrics, setMetrics] = useState<MetricsResponse | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadMetrics = useCallback(async () => {
+    const response = await apiService.getMLMetrics(new Date(Date.now() - rangeDays * 86400000));
+    if (response.data) {
+      setMetrics(response.data);
+      setError(null);
+    } else {
+      setError(response.error || 'Failed to load metrics');
+    }
+  }, [rangeDays]);
+
+  useEffect(() => {
+    loadMetrics();
+  }, [loadMetrics]);
+
+  const breakdown = (title: string, rows: (VerdictTally & { label: string })[]) => (
+    <div>
+      <h4 className="font-medium text-gray-900 dark:text-white mb-2 text-sm">{title}</h4>
+      <div className="space-y-1">
+        {rows.map(row => (
+          <div key={row.label} className="flex items-center justify-between text-sm">
+            <span className="text-gray-600 dark:text-gray-400 truncate">{row.label}</span>
+            <span className="text-gray-900 dark:text-white">
+              {percent(row.precision)}
+              <span className="text-xs text-gray-500 ml-1">({row.approved}/{row.approved + row.rejected})</span>
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl p-6 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center">
+          <Target className="h-5 w-5 mr-2 text-green-500" />
+          Detection Accuracy
+        </h3>
+        <select
+          value={rangeDays}
+          onChange={(e) => setRangeDays(Number(e.target.value))}
+          className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white"
+        >
+          {RANGES.map(range => (
+            <option key={range.days} value={range.days}>Last {range.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {metrics && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+            <div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{percent(metrics.verdicts.precision)}</div>
+              <p className="text-xs text-gray-500">
+                precision ({metrics.verdicts.approved} approved / {metrics.verdicts.rejected} rejected)
+              </p>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{metrics.verdicts.pending}</div>
+              <p className="text-xs text-gray-500">awaiting review</p>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white flex items-center justify-center">
+                <Timer className="h-4 w-4 mr-1 text-orange-500" />
+                {duration(metrics.verdicts.reviewLatency.all.medianSeconds)}
+              </div>
+              <p className="text-xs text-gray-500">median review time (p90 {duration(metrics.verdicts.reviewLatency.all.p90Seconds)})</p>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white flex items-center justify-center">
+                <Cpu className="h-4 w-4 mr-1 text-blue-500" />
+                {metrics.processingSpeed.framesPerSecond.toFixed(1)} fps
+              </div>
+              <p className="text-xs text-gray-500">
+                {metrics.totalProcessedFrames} frames since {new Date(metrics.processing.since).toLocaleString()},{' '}
+                {metrics.processingSpeed.averageLatencyMs === null ? '-' : `${metrics.processingSpeed.averageLatencyMs.toFixed(1)} ms`} avg
+              </p>
+            </div>
+          </div>
+
+          {metrics.verdicts.total === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No alerts were raised in this range.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {breakdown('By stream', metrics.verdicts.byStream.map(row => ({ ...row, label: row.location || row.streamId })))}
+              {breakdown('By severity', metrics.verdicts.bySeverity.map(row => ({ ...row, label: row.severity })))}
+              {breakdown('By alert type', metrics.verdicts.byType.map(row => ({ ...row, label: row.type.replace(/_/g, ' ') })))}
+            </div>
+          )}
+
+          {metrics.verdicts.rejectionReasons.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 dark:text-white mb-2 text-sm flex items-center">
+                <MessageSquareX className="h-4 w-4 mr-2 text-red-500" />
+                Rejection reasons
+              </h4>
+              <div className="space-y-1">
+                {metrics.verdicts.rejectionReasons.slice(0, 5).map(reason => (
+                  <div key={reason.reason} className="flex items-center text-sm">
+                    <span className="w-40 text-gray-600 dark:text-gray-400 truncate">{reason.reason}</span>
+                    <div className="flex-1 h-2 bg-gray-100 dark:bg-gray-700 rounded-full mx-2">
+                      <div className="h-2 bg-red-400 rounded-full" style={{ width: `${reason.share * 100}%` }} />
+                    </div>
+                    <span className="text-gray-900 dark:text-white w-8 text-right">{reason.count}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,170 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Film, Play, Pause, Eye, EyeOff } from 'lucide-react';
+import { apiService, Evidence, EvidenceRedaction } from '../services/api';
+
+interface EvidenceClipProps {
+  evidenceId: string;
+}
+
+const REDACTION_KINDS: [keyof Omit<EvidenceRedaction, 'method'>, string][] = [
+  ['face', 'face'],
+  ['plate', 'plate'],
+  ['person', 'person box'],
+  ['vehicle', 'vehicle box']
+];
+
+const describeRedaction = (redaction: EvidenceRedaction | null) => {
+  if (!redaction) return 'Not redacted yet';
+  if (redaction.method === 'full-frame') return 'Whole frame blurred (finding regions to blur failed)';
+  const counts = REDACTION_KINDS
+    .filter(([kind]) => redaction[kind])
+    .map(([kind, label]) => `${redaction[kind]} ${label}${redaction[kind] === 1 ? '' : 's'}`);
+  return counts.length ? `${counts.join(', ')} blurred` : 'Nothing to blur';
+};
+
+// Steps through the redacted frames saved around a detection; polls while the post-event frames are still
+// coming in. Roles allowed to see originals can switch to them one frame at a time (each view is audit-logged).
+export const EvidenceClip: React.FC<EvidenceClipProps> = ({ evidenceId }) => {
+  const [evidence, setEvidence] = useState<Evidence | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [position, setPosition] = useState<number | null>(null);
+  const [playing, setPlaying] = useState(false);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [original, setOriginal] = useState<{ imageUrl: string | null; error?: string } | null>(null);
+
+  const loadEvidence = useCallback(async () => {
+    const response = await apiService.getEvidence(evidenceId);
+    if (response.data) {
+      setEvidence(response.data);
+      setError(null);
+    } else {
+      setError(response.error || 'Failed to load evidence');
+    }
+  }, [evidenceId]);
+
+  useEffect(() => {
+    setEvidence(null);
+    setPosition(null);
+    setPlaying(false);
+    setShowOriginal(false);
+    loadEvidence();
+  }, [loadEvidence]);
+
+  useEffect(() => {
+    if (evidence?.status !== 'recording') return;
+    const timer = setInterval(loadEvidence, 2000);
+    return () => clearInterval(timer);
+  }, [evidence?.status, loadEvidence]);
+
+  const frameCount = evidence?.frames.length ?? 0;
+
+  useEffect(() => {
+    if (!playing || frameCount === 0) return;
+    const timer = setInterval(() => {
+      setPosition(current => ((current ?? 0) + 1) % frameCount);
+    }, 500);
+    return () => clearInterval(timer);
+  }, [playing, frameCount]);
+
+  // Starts on the frame that raised the alert
+  const keyIndex = Math.max(0, evidence?.frames.findIndex(frame => frame.keyFrame) ?? 0);
+  const index = Math.min(position ?? keyIndex, Math.max(0, frameCount - 1));
+
+  useEffect(() => {
+    if (!showOriginal || frameCount === 0) return;
+    let imageUrl: string | null = null;
+    let cancelled = false;
+
+    apiService.getEvidenceOriginalFrame(evidenceId, index).then(result => {
+      imageUrl = result.imageUrl;
+      if (cancelled) {
+        if (imageUrl) URL.revokeObjectURL(imageUrl);
+      } else {
+        setOriginal(result);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      setOriginal(null);
+      if (imageUrl) URL.revokeObjectURL(imageUrl);
+    };
+  }, [showOriginal, evidenceId, index, frameCount]);
+
+  if (error) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Evidence unavailable: {error}
+      </p>
+    );
+  }
+  if (!evidence || frameCount === 0) return null;
+
+  const frame = evidence.frames[index];
+  const imageUrl = showOriginal ? original?.imageUrl : apiService.getEvidenceFrameUrl(evidence.id, frame.index);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="flex items-center font-medium text-gray-900 dark:text-white">
+          <Film className="h-4 w-4 mr-2 text-blue-600 dark:text-blue-400" />
+          Evidence clip
+        </span>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {evidence.status === 'recording' ? 'Recording…' : `Kept until ${new Date(evidence.expiresAt).toLocaleDateString()}`}
+        </span>
+      </div>
+      {imageUrl ? (
+        <img
+          src={imageUrl}
+          alt={`Frame ${index + 1} of ${frameCount}${showOriginal ? ' (original)' : ''}`}
+          className={`w-full rounded-lg border-2 bg-gray-800 ${frame.keyFrame ? 'border-red-500' : 'border-gray-200 dark:border-gray-700'}`}
+        />
+      ) : (
+        <div className="w-full aspect-video rounded-lg bg-gray-800 flex items-center justify-center text-sm text-gray-300 p-4 text-center">
+          {original?.error || 'Loading original…'}
+        </div>
+      )}
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={() => setPlaying(!playing)}
+          disabled={showOriginal}
+          className="p-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-50"
+          title={playing ? 'Pause' : 'Play'}
+        >
+          {playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+        </button>
+        <button
+          onClick={() => {
+            setPlaying(false);
+            setShowOriginal(!showOriginal);
+          }}
+          className="p-1.5 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          title={showOriginal ? 'Show redacted' : 'Show original (access is logged)'}
+        >
+          {showOriginal ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={frameCount - 1}
+          value={index}
+          onChange={(e) => {
+            setPlaying(false);
+            setPosition(Number(e.target.value));
+          }}
+          className="flex-1"
+        />
+        <span className="text-xs text-gray-500 dark:text-gray-400 w-16 text-right">
+          {frame.keyFrame ? 'alert' : `${frame.offsetSeconds > 0 ? '+' : ''}${frame.offsetSeconds.toFixed(1)} s`}
+        </span>
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        {showOriginal ? 'Original, unredacted: this view has been logged' : describeRedaction(frame.redaction)}
+      </p>
+      {evidence.truncated && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">The stream stopped before the clip was complete.</p>
+      )}
+    </div>
+  );
+};
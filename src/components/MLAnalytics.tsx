@@ -1,25 +1,32 @@
 import React, { useState, useEffect } from 'react';
-import { Cloud, Thermometer, Eye, Wind, Car, Clock, TrendingUp, AlertTriangle } from 'lucide-react';
+import { Cloud, Thermometer, Eye, Wind, Car, Clock, TrendingUp, AlertTriangle, MapPin } from 'lucide-react';
 import { apiService } from '../services/api';
+import { DetectionMetrics } from './DetectionMetrics';
 
 interface WeatherData {
-  temperature: number;
+  temperature: number | null;
   conditions: string;
   visibility: number;
   windSpeed: number;
+  source: string;
 }
 
 interface TrafficConditions {
   level: string;
-  averageSpeed: number;
-  congestionIndex: number;
+  averageSpeed: number | null;
+  speedUnit: 'km/h' | 'px/s' | null;
+  congestionIndex: number | null;
+  jam: boolean;
 }
 
-interface MLAnalysis {
-  weather: WeatherData;
-  trafficConditions: TrafficConditions;
-  mlResults: any;
-  riskAssessment: {
+// One entry per stream location; `error` replaces the assessment when a provider failed there
+interface LocationAnalysis {
+  streamId: string;
+  location: string;
+  error?: string;
+  weather?: WeatherData;
+  trafficConditions?: TrafficConditions;
+  riskAssessment?: {
     overallRisk: number;
     factors: {
       weather: string[];
@@ -27,13 +34,22 @@ interface MLAnalysis {
       ml: string[];
     };
   };
-  recommendations: string[];
+  recommendations?: string[];
+}
+
+type AssessedLocation = Required<Omit<LocationAnalysis, 'error'>>;
+
+interface MLAnalysis {
+  locations: LocationAnalysis[];
+  mlResults: any;
+  overallRisk: number;
 }
 
 export const MLAnalytics: React.FC = () => {
   const [analysis, setAnalysis] = useState<MLAnalysis | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [selectedStreamId, setSelectedStreamId] = useState<string | null>(null);
 
   useEffect(() => {
     loadAnalysis();
@@ -106,8 +122,63 @@ export const MLAnalytics: React.FC = () => {
 
   if (!analysis) return null;
 
+  if (analysis.locations.length === 0) {
+    return (
+      <div className="space-y-6">
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl p-6 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50 text-center">
+          <MapPin className="h-8 w-8 text-gray-400 mx-auto mb-2" />
+          <p className="text-sm text-gray-500 dark:text-gray-400">Add a stream to assess conditions at its location.</p>
+        </div>
+        <DetectionMetrics />
+      </div>
+    );
+  }
+
+  const selected = analysis.locations.find(location => location.streamId === selectedStreamId) || analysis.locations[0];
+  const current = selected as AssessedLocation;
+  const formatSpeed = (traffic: TrafficConditions) =>
+    traffic.averageSpeed === null ? 'No speed data' : `${traffic.averageSpeed.toFixed(0)} ${traffic.speedUnit}`;
+
+  const locationTabs = (
+    <div className="flex flex-wrap gap-2">
+      {analysis.locations.map(location => (
+        <button
+          key={location.streamId}
+          onClick={() => setSelectedStreamId(location.streamId)}
+          className={`flex items-center space-x-1 px-3 py-1.5 rounded-lg text-sm transition-colors duration-200 ${
+            location.streamId === selected.streamId
+              ? 'bg-blue-600 text-white'
+              : 'bg-white/80 dark:bg-gray-800/80 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+          }`}
+        >
+          <MapPin className="h-3 w-3" />
+          <span>{location.location}</span>
+          {location.riskAssessment && (
+            <span className={`ml-1 px-1.5 rounded-full text-xs ${getRiskColor(location.riskAssessment.overallRisk)}`}>
+              {getRiskLevel(location.riskAssessment.overallRisk)}
+            </span>
+          )}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (selected.error) {
+    return (
+      <div className="space-y-6">
+        {locationTabs}
+        <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl p-6 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50 text-center">
+          <AlertTriangle className="h-8 w-8 text-red-500 mx-auto mb-2" />
+          <p className="text-red-600 dark:text-red-400 text-sm">Conditions unavailable for {selected.location}: {selected.error}</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
+      {locationTabs}
+
       {/* Risk Assessment */}
       <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl p-6 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4 flex items-center">
@@ -117,27 +188,27 @@ export const MLAnalytics: React.FC = () => {
         
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
           <div className="text-center">
-            <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${getRiskColor(analysis.riskAssessment.overallRisk)}`}>
-              {getRiskLevel(analysis.riskAssessment.overallRisk)} Risk
+            <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${getRiskColor(current.riskAssessment.overallRisk)}`}>
+              {getRiskLevel(current.riskAssessment.overallRisk)} Risk
             </div>
             <p className="text-xs text-gray-500 mt-1">
-              {(analysis.riskAssessment.overallRisk * 100).toFixed(1)}% probability
+              {(current.riskAssessment.overallRisk * 100).toFixed(1)}% probability
             </p>
           </div>
           
           <div className="text-center">
             <div className="text-2xl font-bold text-gray-900 dark:text-white">
-              {analysis.weather.temperature}°C
+              {current.weather.temperature ?? '-'}°C
             </div>
-            <p className="text-xs text-gray-500">{analysis.weather.conditions}</p>
+            <p className="text-xs text-gray-500">{current.weather.conditions}</p>
           </div>
           
           <div className="text-center">
-            <div className={`text-lg font-semibold ${getTrafficColor(analysis.trafficConditions.level)}`}>
-              {analysis.trafficConditions.level.charAt(0).toUpperCase() + analysis.trafficConditions.level.slice(1)}
+            <div className={`text-lg font-semibold ${getTrafficColor(current.trafficConditions.level)}`}>
+              {current.trafficConditions.level.charAt(0).toUpperCase() + current.trafficConditions.level.slice(1)}
             </div>
             <p className="text-xs text-gray-500">
-              {analysis.trafficConditions.averageSpeed.toFixed(0)} mph avg
+              {formatSpeed(current.trafficConditions)} avg
             </p>
           </div>
         </div>
@@ -159,7 +230,7 @@ export const MLAnalytics: React.FC = () => {
                 <span className="text-sm text-gray-600 dark:text-gray-400">Temperature</span>
               </div>
               <span className="font-medium text-gray-900 dark:text-white">
-                {analysis.weather.temperature}°C
+                {current.weather.temperature ?? '-'}°C
               </span>
             </div>
             
@@ -169,7 +240,7 @@ export const MLAnalytics: React.FC = () => {
                 <span className="text-sm text-gray-600 dark:text-gray-400">Visibility</span>
               </div>
               <span className="font-medium text-gray-900 dark:text-white">
-                {(analysis.weather.visibility / 1000).toFixed(1)} km
+                {(current.weather.visibility / 1000).toFixed(1)} km
               </span>
             </div>
             
@@ -179,7 +250,7 @@ export const MLAnalytics: React.FC = () => {
                 <span className="text-sm text-gray-600 dark:text-gray-400">Wind Speed</span>
               </div>
               <span className="font-medium text-gray-900 dark:text-white">
-                {analysis.weather.windSpeed.toFixed(1)} m/s
+                {current.weather.windSpeed.toFixed(1)} m/s
               </span>
             </div>
           </div>
@@ -198,8 +269,8 @@ export const MLAnalytics: React.FC = () => {
                 <TrendingUp className="h-4 w-4 text-purple-500 mr-2" />
                 <span className="text-sm text-gray-600 dark:text-gray-400">Level</span>
               </div>
-              <span className={`font-medium ${getTrafficColor(analysis.trafficConditions.level)}`}>
-                {analysis.trafficConditions.level.charAt(0).toUpperCase() + analysis.trafficConditions.level.slice(1)}
+              <span className={`font-medium ${getTrafficColor(current.trafficConditions.level)}`}>
+                {current.trafficConditions.level.charAt(0).toUpperCase() + current.trafficConditions.level.slice(1)}
               </span>
             </div>
             
@@ -209,7 +280,7 @@ export const MLAnalytics: React.FC = () => {
                 <span className="text-sm text-gray-600 dark:text-gray-400">Avg Speed</span>
               </div>
               <span className="font-medium text-gray-900 dark:text-white">
-                {analysis.trafficConditions.averageSpeed.toFixed(0)} mph
+                {formatSpeed(current.trafficConditions)}
               </span>
             </div>
             
@@ -219,7 +290,7 @@ export const MLAnalytics: React.FC = () => {
                 <span className="text-sm text-gray-600 dark:text-gray-400">Congestion</span>
               </div>
               <span className="font-medium text-gray-900 dark:text-white">
-                {(analysis.trafficConditions.congestionIndex * 100).toFixed(0)}%
+                {current.trafficConditions.congestionIndex === null ? '-' : `${(current.trafficConditions.congestionIndex * 100).toFixed(0)}%`}
               </span>
             </div>
           </div>
@@ -237,7 +308,7 @@ export const MLAnalytics: React.FC = () => {
               Weather
             </h4>
             <ul className="space-y-1">
-              {analysis.riskAssessment.factors.weather.map((risk, index) => (
+              {current.riskAssessment.factors.weather.map((risk, index) => (
                 <li key={index} className="text-sm text-gray-600 dark:text-gray-400 flex items-start">
                   <span className="w-1.5 h-1.5 bg-blue-500 rounded-full mt-2 mr-2 flex-shrink-0"></span>
                   {risk}
@@ -252,7 +323,7 @@ export const MLAnalytics: React.FC = () => {
               Traffic
             </h4>
             <ul className="space-y-1">
-              {analysis.riskAssessment.factors.traffic.map((risk, index) => (
+              {current.riskAssessment.factors.traffic.map((risk, index) => (
                 <li key={index} className="text-sm text-gray-600 dark:text-gray-400 flex items-start">
                   <span className="w-1.5 h-1.5 bg-green-500 rounded-full mt-2 mr-2 flex-shrink-0"></span>
                   {risk}
@@ -267,7 +338,7 @@ export const MLAnalytics: React.FC = () => {
               ML Detection
             </h4>
             <ul className="space-y-1">
-              {analysis.riskAssessment.factors.ml.map((risk, index) => (
+              {current.riskAssessment.factors.ml.map((risk, index) => (
                 <li key={index} className="text-sm text-gray-600 dark:text-gray-400 flex items-start">
                   <span className="w-1.5 h-1.5 bg-orange-500 rounded-full mt-2 mr-2 flex-shrink-0"></span>
                   {risk}
@@ -283,7 +354,7 @@ export const MLAnalytics: React.FC = () => {
         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Recommendations</h3>
         
         <div className="space-y-2">
-          {analysis.recommendations.map((recommendation, index) => (
+          {current.recommendations.map((recommendation, index) => (
             <div key={index} className="flex items-start">
               <span className="w-2 h-2 bg-blue-500 rounded-full mt-2 mr-3 flex-shrink-0"></span>
               <p className="text-sm text-gray-700 dark:text-gray-300">{recommendation}</p>
@@ -292,6 +363,8 @@ export const MLAnalytics: React.FC = () => {
         </div>
       </div>
 
+      <DetectionMetrics />
+
       {/* Refresh Button */}
       <div className="text-center">
         <button
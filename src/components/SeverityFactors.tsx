@@ -0,0 +1,44 @@
+import React from 'react';
+import { Scale } from 'lucide-react';
+import { SeverityBreakdown, SeverityOverride } from '../services/api';
+
+interface SeverityFactorsProps {
+  breakdown: SeverityBreakdown;
+  override?: SeverityOverride | null;
+}
+
+const formatWeight = (weight: number) => `${weight > 0 ? '+' : ''}${weight.toFixed(2)}`;
+
+// What the severity was based on, and the reviewer's change to it if any
+export const SeverityFactors: React.FC<SeverityFactorsProps> = ({ breakdown, override = null }) => (
+  <div className="p-3 bg-gray-50 dark:bg-gray-800 rounded-lg space-y-2">
+    <p className="flex items-center justify-between text-sm font-medium text-gray-900 dark:text-white">
+      <span className="flex items-center">
+        <Scale className="h-4 w-4 mr-2 text-orange-600 dark:text-orange-400" />
+        {breakdown.source === 'scorer' ? 'Severity factors' : 'Detector rule'}
+      </span>
+      <span className="text-xs text-gray-500 dark:text-gray-400">
+        {breakdown.level}{breakdown.score !== null && ` · score ${breakdown.score.toFixed(2)}`}
+      </span>
+    </p>
+    <ul className="space-y-1">
+      {breakdown.factors.map(factor => (
+        <li key={`${factor.factor}-${factor.label}`} className="flex items-center justify-between text-xs">
+          <span className={factor.weight === 0 ? 'text-gray-400 dark:text-gray-500' : 'text-gray-700 dark:text-gray-300'}>
+            {factor.label}
+          </span>
+          {factor.weight !== null && (
+            <span className={`font-mono ${factor.weight > 0 ? 'text-red-600 dark:text-red-400' : factor.weight < 0 ? 'text-green-600 dark:text-green-400' : 'text-gray-400 dark:text-gray-500'}`}>
+              {formatWeight(factor.weight)}
+            </span>
+          )}
+        </li>
+      ))}
+    </ul>
+    {override && (
+      <p className="text-xs text-gray-600 dark:text-gray-400 pt-2 border-t border-gray-200 dark:border-gray-700">
+        Changed from {override.scored} to {override.severity} by {override.by}, {new Date(override.at).toLocaleString()}: {override.reason}
+      </p>
+    )}
+  </div>
+);
@@ -0,0 +1,196 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { BarChart3, RefreshCw } from 'lucide-react';
+import { apiService, FlowBucket } from '../services/api';
+
+interface TrafficFlowChartProps {
+  streams: { id: string; location: string }[];
+}
+
+const BUCKETS = [
+  { seconds: 60, label: '1 min' },
+  { seconds: 300, label: '5 min' },
+  { seconds: 900, label: '15 min' }
+];
+
+const RANGES = [
+  { hours: 1, label: '1 h' },
+  { hours: 6, label: '6 h' },
+  { hours: 24, label: '24 h' }
+];
+
+const CLASS_COLORS: Record<string, string> = {
+  car: '#3b82f6',
+  truck: '#f97316',
+  bus: '#a855f7',
+  motorcycle: '#22c55e',
+  bicycle: '#14b8a6'
+};
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const REFRESH_MS = 60000;
+
+export const TrafficFlowChart: React.FC<TrafficFlowChartProps> = ({ streams }) => {
+  const [streamId, setStreamId] = useState<string>('');
+  const [bucketSeconds, setBucketSeconds] = useState(300);
+  const [rangeHours, setRangeHours] = useState(1);
+  const [buckets, setBuckets] = useState<FlowBucket[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!streamId && streams.length > 0) setStreamId(streams[0].id);
+  }, [streams, streamId]);
+
+  const loadFlow = useCallback(async () => {
+    if (!streamId) return;
+
+    setIsLoading(true);
+    const response = await apiService.getStreamFlow(streamId, bucketSeconds, new Date(Date.now() - rangeHours * 3600000));
+    setIsLoading(false);
+
+    if (response.data) {
+      setBuckets(response.data.buckets);
+      setError(null);
+    } else {
+      setError(response.error || 'Failed to load flow statistics');
+    }
+  }, [streamId, bucketSeconds, rangeHours]);
+
+  useEffect(() => {
+    loadFlow();
+    const interval = setInterval(loadFlow, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [loadFlow]);
+
+  const classes = Array.from(new Set(buckets.flatMap(bucket => Object.keys(bucket.vehicles))));
+  const maxTotal = Math.max(1, ...buckets.map(bucket => bucket.total));
+  const speeds = buckets.filter(bucket => bucket.averageSpeed !== null);
+  const maxSpeed = Math.max(1, ...speeds.map(bucket => bucket.averageSpeed as number));
+  const speedUnit = speeds[speeds.length - 1]?.speedUnit;
+  const slot = CHART_WIDTH / Math.max(buckets.length, 1);
+  const totalVehicles = buckets.reduce((sum, bucket) => sum + bucket.total, 0);
+  const frames = buckets.reduce((sum, bucket) => sum + bucket.frames, 0);
+  const occupancy = frames > 0 ? buckets.reduce((sum, bucket) => sum + bucket.occupancy * bucket.frames, 0) / frames : 0;
+
+  const speedPath = buckets
+    .map((bucket, index) => bucket.averageSpeed === null ? null
+      : `${index * slot + slot / 2},${CHART_HEIGHT - (bucket.averageSpeed / maxSpeed) * CHART_HEIGHT}`)
+    .filter(Boolean)
+    .join(' ');
+
+  const select = 'px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-sm text-gray-900 dark:text-white';
+
+  return (
+    <div className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl p-6 rounded-2xl shadow-lg border border-gray-200/50 dark:border-gray-700/50">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center">
+          <BarChart3 className="h-5 w-5 mr-2 text-blue-500" />
+          Traffic Flow
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={streamId} onChange={(e) => setStreamId(e.target.value)} className={select}>
+            {streams.map(stream => (
+              <option key={stream.id} value={stream.id}>{stream.location}</option>
+            ))}
+          </select>
+          <select value={bucketSeconds} onChange={(e) => setBucketSeconds(Number(e.target.value))} className={select}>
+            {BUCKETS.map(bucket => (
+              <option key={bucket.seconds} value={bucket.seconds}>{bucket.label}</option>
+            ))}
+          </select>
+          <select value={rangeHours} onChange={(e) => setRangeHours(Number(e.target.value))} className={select}>
+            {RANGES.map(range => (
+              <option key={range.hours} value={range.hours}>Last {range.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={loadFlow}
+            title="Refresh"
+            className="p-2 rounded-lg text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {streams.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Add a stream to collect flow statistics.</p>
+      ) : error ? (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      ) : buckets.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No flow data in this range yet. Buckets are saved as they end while the stream is running.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-4 mb-4 text-center">
+            <div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{totalVehicles}</div>
+              <p className="text-xs text-gray-500">vehicles</p>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                {speeds.length > 0 ? (speeds.reduce((sum, bucket) => sum + (bucket.averageSpeed as number), 0) / speeds.length).toFixed(0) : '-'}
+              </div>
+              <p className="text-xs text-gray-500">avg speed {speedUnit ? `(${speedUnit})` : ''}</p>
+            </div>
+            <div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{(occupancy * 100).toFixed(0)}%</div>
+              <p className="text-xs text-gray-500">occupancy</p>
+            </div>
+          </div>
+
+          <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-48" preserveAspectRatio="none">
+            {buckets.map((bucket, index) => {
+              let offset = 0;
+              return (
+                <g key={bucket.start}>
+                  <title>
+                    {`${new Date(bucket.start).toLocaleTimeString()}: ${bucket.total} vehicles, ` +
+                      `${bucket.averageSpeed === null ? '-' : bucket.averageSpeed.toFixed(0)} ${bucket.speedUnit ?? ''}, ` +
+                      `${(bucket.occupancy * 100).toFixed(0)}% occupancy`}
+                  </title>
+                  {classes.map(vehicleClass => {
+                    const height = ((bucket.vehicles[vehicleClass] || 0) / maxTotal) * CHART_HEIGHT;
+                    offset += height;
+                    return height > 0 ? (
+                      <rect
+                        key={vehicleClass}
+                        x={index * slot + slot * 0.1}
+                        y={CHART_HEIGHT - offset}
+                        width={slot * 0.8}
+                        height={height}
+                        fill={CLASS_COLORS[vehicleClass] || '#9ca3af'}
+                      />
+                    ) : null;
+                  })}
+                </g>
+              );
+            })}
+            {speedPath && (
+              <polyline points={speedPath} fill="none" stroke="#ef4444" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+            )}
+          </svg>
+
+          <div className="flex flex-wrap items-center justify-between gap-2 mt-2 text-xs text-gray-500 dark:text-gray-400">
+            <span>{new Date(buckets[0].start).toLocaleTimeString()}</span>
+            <div className="flex flex-wrap items-center gap-3">
+              {classes.map(vehicleClass => (
+                <span key={vehicleClass} className="flex items-center space-x-1">
+                  <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: CLASS_COLORS[vehicleClass] || '#9ca3af' }} />
+                  <span>{vehicleClass}</span>
+                </span>
+              ))}
+              <span className="flex items-center space-x-1">
+                <span className="inline-block w-3 h-0.5 bg-red-500" />
+                <span>avg speed (max {maxSpeed.toFixed(0)})</span>
+              </span>
+            </div>
+            <span>{new Date(buckets[buckets.length - 1].start).toLocaleTimeString()}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
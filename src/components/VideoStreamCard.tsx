@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Play, Pause, AlertTriangle, MapPin, Clock } from 'lucide-react';
+import { Play, Pause, AlertTriangle, MapPin, Clock, Shapes, Ruler } from 'lucide-react';
 
 interface VideoStreamCardProps {
   id: string;
@@ -8,6 +8,8 @@ interface VideoStreamCardProps {
   status: 'active' | 'inactive' | 'alert';
   onStart: () => void;
   onStop: () => void;
+  onEditZones?: () => void;
+  onEditCalibration?: () => void;
 }
 
 export const VideoStreamCard: React.FC<VideoStreamCardProps> = ({
@@ -16,7 +18,9 @@ export const VideoStreamCard: React.FC<VideoStreamCardProps> = ({
   location,
   status,
   onStart,
-  onStop
+  onStop,
+  onEditZones,
+  onEditCalibration
 }) => {
   const [lastUpdate, setLastUpdate] = useState(new Date());
   const [detectionActive, setDetectionActive] = useState(false);
@@ -89,13 +93,33 @@ export const VideoStreamCard: React.FC<VideoStreamCardProps> = ({
       <div className="p-4">
         <div className="flex items-center justify-between mb-3">
           <h3 className="font-semibold text-gray-900 dark:text-white truncate">{location}</h3>
-          <button
-            onClick={handlePlayPause}
-            className="flex items-center space-x-1 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white px-4 py-2 rounded-xl text-sm transition-all duration-200 shadow-lg hover:shadow-xl"
-          >
-            {isPlaying ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
-            <span>{isPlaying ? 'Stop' : 'Start'}</span>
-          </button>
+          <div className="flex items-center space-x-2">
+            {onEditZones && (
+              <button
+                onClick={onEditZones}
+                title="Edit zones"
+                className="p-2 rounded-xl text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
+              >
+                <Shapes className="h-4 w-4" />
+              </button>
+            )}
+            {onEditCalibration && (
+              <button
+                onClick={onEditCalibration}
+                title="Calibrate camera"
+                className="p-2 rounded-xl text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
+              >
+                <Ruler className="h-4 w-4" />
+              </button>
+            )}
+            <button
+              onClick={handlePlayPause}
+              className="flex items-center space-x-1 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white px-4 py-2 rounded-xl text-sm transition-all duration-200 shadow-lg hover:shadow-xl"
+            >
+              {isPlaying ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+              <span>{isPlaying ? 'Stop' : 'Start'}</span>
+            </button>
+          </div>
         </div>
         
         <div className="space-y-2 text-sm text-gray-600 dark:text-gray-300">
@@ -0,0 +1,363 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X, Save, Trash2, Undo2, Hexagon, Ban, Route, TrafficCone } from 'lucide-react';
+import { apiService, StreamZones, ZonePoint } from '../services/api';
+
+interface ZoneEditorModalProps {
+  isOpen: boolean;
+  stream: { id: string; location: string; zones?: StreamZones | null } | null;
+  onClose: () => void;
+}
+
+type DrawMode = 'roi' | 'exclusion' | 'lane' | 'signal';
+
+const EMPTY_ZONES: StreamZones = { roi: null, exclusions: [], lanes: [], signals: [], outsideWeight: 0 };
+
+const toPath = (points: ZonePoint[]) => points.map(p => `${p.x},${p.y}`).join(' ');
+
+const centroid = (points: ZonePoint[]) => ({
+  x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+  y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+});
+
+export const ZoneEditorModal: React.FC<ZoneEditorModalProps> = ({
+  isOpen,
+  stream,
+  onClose
+}) => {
+  const svgRef = useRef<SVGSVGElement>(null);
+  const [snapshot, setSnapshot] = useState<{ imageUrl: string | null; width: number; height: number; error?: string } | null>(null);
+  const [zones, setZones] = useState<StreamZones>(EMPTY_ZONES);
+  const [mode, setMode] = useState<DrawMode>('roi');
+  const [draft, setDraft] = useState<ZonePoint[]>([]);
+  // Lanes are drawn in two steps: the polygon, then two clicks for the direction of travel
+  const [pendingLane, setPendingLane] = useState<{ points: ZonePoint[]; start?: ZonePoint } | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isOpen || !stream) return;
+
+    setZones({ ...EMPTY_ZONES, ...stream.zones });
+    setDraft([]);
+    setPendingLane(null);
+    setSaveError(null);
+    setSnapshot(null);
+
+    let imageUrl: string | null = null;
+    apiService.getStreamSnapshot(stream.id).then((result) => {
+      imageUrl = result.imageUrl;
+      if (!result.imageUrl) {
+        setSnapshot(result);
+        return;
+      }
+      const image = new Image();
+      image.onload = () => setSnapshot({ ...result, width: image.naturalWidth, height: image.naturalHeight });
+      image.src = result.imageUrl;
+    });
+
+    return () => {
+      if (imageUrl) URL.revokeObjectURL(imageUrl);
+    };
+  }, [isOpen, stream]);
+
+  if (!isOpen || !stream) return null;
+
+  // Map a click to camera pixel coordinates
+  const toFramePoint = (e: React.MouseEvent<SVGSVGElement>): ZonePoint | null => {
+    const svg = svgRef.current;
+    if (!svg || !snapshot) return null;
+
+    const rect = svg.getBoundingClientRect();
+    return {
+      x: Math.round(((e.clientX - rect.left) / rect.width) * snapshot.width),
+      y: Math.round(((e.clientY - rect.top) / rect.height) * snapshot.height)
+    };
+  };
+
+  const handleCanvasClick = (e: React.MouseEvent<SVGSVGElement>) => {
+    const point = toFramePoint(e);
+    if (!point) return;
+
+    if (pendingLane) {
+      if (!pendingLane.start) {
+        setPendingLane({ ...pendingLane, start: point });
+        return;
+      }
+      const direction = { x: point.x - pendingLane.start.x, y: point.y - pendingLane.start.y };
+      if (direction.x === 0 && direction.y === 0) return;
+
+      setZones(prev => ({
+        ...prev,
+        lanes: [...prev.lanes, {
+          id: `lane_${Date.now()}`,
+          name: `Lane ${prev.lanes.length + 1}`,
+          points: pendingLane.points,
+          direction
+        }]
+      }));
+      setPendingLane(null);
+      return;
+    }
+
+    setDraft(prev => [...prev, point]);
+  };
+
+  const finishShape = () => {
+    if (draft.length < 3) return;
+
+    if (mode === 'roi') {
+      setZones(prev => ({ ...prev, roi: { points: draft } }));
+    } else if (mode === 'exclusion') {
+      setZones(prev => ({
+        ...prev,
+        exclusions: [...prev.exclusions, {
+          id: `exclusion_${Date.now()}`,
+          name: `Exclusion ${prev.exclusions.length + 1}`,
+          points: draft
+        }]
+      }));
+    } else if (mode === 'signal') {
+      setZones(prev => ({
+        ...prev,
+        signals: [...prev.signals, {
+          id: `signal_${Date.now()}`,
+          name: `Signal ${prev.signals.length + 1}`,
+          points: draft
+        }]
+      }));
+    } else {
+      setPendingLane({ points: draft });
+    }
+    setDraft([]);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveError(null);
+
+    const hasZones = zones.roi || zones.exclusions.length > 0 || zones.lanes.length > 0 || zones.signals.length > 0;
+    const response = await apiService.updateStreamZones(stream.id, hasZones ? zones : null);
+
+    setIsSaving(false);
+    if (response.error) {
+      setSaveError(response.error);
+    } else {
+      onClose();
+    }
+  };
+
+  const modeButton = (value: DrawMode, label: string, Icon: typeof Hexagon) => (
+    <button
+      type="button"
+      onClick={() => { setMode(value); setDraft([]); setPendingLane(null); }}
+      className={`flex items-center space-x-1 px-3 py-2 rounded-lg text-sm transition-colors duration-200 ${
+        mode === value
+          ? 'bg-blue-600 text-white'
+          : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+      }`}
+    >
+      <Icon className="h-4 w-4" />
+      <span>{label}</span>
+    </button>
+  );
+
+  const instructions = pendingLane
+    ? (pendingLane.start ? 'Click where traffic in this lane is heading' : 'Click where traffic in this lane comes from')
+    : 'Click to add points, then finish the shape';
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white/95 dark:bg-gray-900/95 backdrop-blur-xl rounded-2xl shadow-2xl max-w-5xl w-full border border-gray-200/50 dark:border-gray-700/50 max-h-[95vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200/50 dark:border-gray-700/50">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Zones</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">{stream.location}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors duration-200 p-1 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="flex flex-wrap items-center gap-2">
+            {modeButton('roi', 'Roadway ROI', Hexagon)}
+            {modeButton('exclusion', 'Exclusion', Ban)}
+            {modeButton('lane', 'Lane', Route)}
+            {modeButton('signal', 'Signal stop', TrafficCone)}
+            <span className="text-sm text-gray-500 dark:text-gray-400 ml-2">{instructions}</span>
+          </div>
+
+          <div className="relative bg-gray-900 rounded-xl overflow-hidden">
+            {!snapshot ? (
+              <div className="aspect-video flex items-center justify-center">
+                <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+            ) : (
+              <>
+                {snapshot.imageUrl && (
+                  <img src={snapshot.imageUrl} alt="Camera snapshot" className="w-full block" />
+                )}
+                <svg
+                  ref={svgRef}
+                  viewBox={`0 0 ${snapshot.width} ${snapshot.height}`}
+                  className={`${snapshot.imageUrl ? 'absolute inset-0' : 'block'} w-full h-full cursor-crosshair`}
+                  style={snapshot.imageUrl ? undefined : { aspectRatio: `${snapshot.width} / ${snapshot.height}` }}
+                  onClick={handleCanvasClick}
+                >
+                  <defs>
+                    <marker id="lane-arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+                      <path d="M0,0 L10,5 L0,10 z" fill="#22c55e" />
+                    </marker>
+                  </defs>
+                  {zones.roi && (
+                    <polygon points={toPath(zones.roi.points)} fill="rgba(59,130,246,0.15)" stroke="#3b82f6" strokeWidth={3} />
+                  )}
+                  {zones.exclusions.map(zone => (
+                    <polygon key={zone.id} points={toPath(zone.points)} fill="rgba(239,68,68,0.25)" stroke="#ef4444" strokeWidth={3} />
+                  ))}
+                  {zones.lanes.map(lane => {
+                    const c = centroid(lane.points);
+                    const length = Math.hypot(lane.direction.x, lane.direction.y) || 1;
+                    const scale = 60 / length;
+                    return (
+                      <g key={lane.id}>
+                        <polygon points={toPath(lane.points)} fill="rgba(34,197,94,0.15)" stroke="#22c55e" strokeWidth={3} />
+                        <line
+                          x1={c.x - lane.direction.x * scale}
+                          y1={c.y - lane.direction.y * scale}
+                          x2={c.x + lane.direction.x * scale}
+                          y2={c.y + lane.direction.y * scale}
+                          stroke="#22c55e"
+                          strokeWidth={6}
+                          markerEnd="url(#lane-arrow)"
+                        />
+                      </g>
+                    );
+                  })}
+                  {zones.signals.map(zone => (
+                    <polygon key={zone.id} points={toPath(zone.points)} fill="rgba(245,158,11,0.25)" stroke="#f59e0b" strokeWidth={3} />
+                  ))}
+                  {pendingLane && (
+                    <polygon points={toPath(pendingLane.points)} fill="rgba(34,197,94,0.1)" stroke="#22c55e" strokeWidth={3} strokeDasharray="12 8" />
+                  )}
+                  {draft.length > 0 && (
+                    <polyline points={toPath(draft)} fill="none" stroke="#facc15" strokeWidth={3} strokeDasharray="12 8" />
+                  )}
+                  {draft.map((point, index) => (
+                    <circle key={index} cx={point.x} cy={point.y} r={6} fill="#facc15" />
+                  ))}
+                </svg>
+              </>
+            )}
+          </div>
+
+          {snapshot?.error && (
+            <p className="text-sm text-amber-600 dark:text-amber-400">
+              No camera image ({snapshot.error}); drawing on a blank {snapshot.width}x{snapshot.height} frame.
+            </p>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={finishShape}
+              disabled={draft.length < 3}
+              className="px-3 py-2 rounded-lg text-sm bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white transition-colors duration-200"
+            >
+              Finish shape
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft(prev => prev.slice(0, -1))}
+              disabled={draft.length === 0}
+              className="flex items-center space-x-1 px-3 py-2 rounded-lg text-sm bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+            >
+              <Undo2 className="h-4 w-4" />
+              <span>Undo point</span>
+            </button>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300 ml-auto">
+              <span>Weight outside ROI</span>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.1}
+                value={zones.outsideWeight}
+                onChange={(e) => setZones(prev => ({ ...prev, outsideWeight: parseFloat(e.target.value) }))}
+              />
+              <span className="w-8 text-right">{zones.outsideWeight.toFixed(1)}</span>
+            </label>
+          </div>
+
+          <div className="space-y-2 text-sm">
+            {zones.roi && (
+              <div className="flex items-center justify-between p-2 rounded-lg bg-blue-50 dark:bg-blue-900/20">
+                <span className="text-blue-700 dark:text-blue-300">Roadway ROI ({zones.roi.points.length} points)</span>
+                <button onClick={() => setZones(prev => ({ ...prev, roi: null }))} className="text-gray-400 hover:text-red-500">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+            {zones.exclusions.map(zone => (
+              <div key={zone.id} className="flex items-center justify-between p-2 rounded-lg bg-red-50 dark:bg-red-900/20">
+                <span className="text-red-700 dark:text-red-300">{zone.name}</span>
+                <button
+                  onClick={() => setZones(prev => ({ ...prev, exclusions: prev.exclusions.filter(z => z.id !== zone.id) }))}
+                  className="text-gray-400 hover:text-red-500"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            {zones.lanes.map(lane => (
+              <div key={lane.id} className="flex items-center justify-between p-2 rounded-lg bg-green-50 dark:bg-green-900/20">
+                <span className="text-green-700 dark:text-green-300">{lane.name}</span>
+                <button
+                  onClick={() => setZones(prev => ({ ...prev, lanes: prev.lanes.filter(l => l.id !== lane.id) }))}
+                  className="text-gray-400 hover:text-red-500"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            {zones.signals.map(zone => (
+              <div key={zone.id} className="flex items-center justify-between p-2 rounded-lg bg-amber-50 dark:bg-amber-900/20">
+                <span className="text-amber-700 dark:text-amber-300">{zone.name}</span>
+                <button
+                  onClick={() => setZones(prev => ({ ...prev, signals: prev.signals.filter(z => z.id !== zone.id) }))}
+                  className="text-gray-400 hover:text-red-500"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {saveError && <p className="text-sm text-red-600 dark:text-red-400">{saveError}</p>}
+
+          <div className="flex space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-3 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving || draft.length > 0 || !!pendingLane}
+              className="flex-1 px-4 py-3 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 disabled:from-blue-300 disabled:to-blue-400 text-white rounded-xl transition-all duration-200 flex items-center justify-center space-x-2 shadow-lg"
+            >
+              <Save className="h-4 w-4" />
+              <span>{isSaving ? 'Saving...' : 'Save zones'}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -6,6 +6,151 @@ interface ApiResponse<T> {
   message?: string;
 }
 
+export interface ZonePoint {
+  x: number;
+  y: number;
+}
+
+export interface StreamZones {
+  roi: { points: ZonePoint[] } | null;
+  exclusions: { id: string; name: string; points: ZonePoint[] }[];
+  lanes: { id: string; name: string; points: ZonePoint[]; direction: ZonePoint }[];
+  signals: { id: string; name: string; points: ZonePoint[] }[];
+  outsideWeight: number;
+}
+
+// Image points (camera pixels) paired with road positions in metres; the server fits the homography
+export interface StreamCalibration {
+  points: { image: ZonePoint; ground: ZonePoint }[];
+  homography?: number[];
+  rmsError?: number;
+}
+
+export interface FlowBucket {
+  start: string;
+  vehicles: Record<string, number>;
+  total: number;
+  averageSpeed: number | null;
+  speedUnit: 'km/h' | 'px/s' | null;
+  speedSamples: number;
+  occupancy: number;
+  frames: number;
+}
+
+export interface StreamFlow {
+  streamId: string;
+  bucketSeconds: number;
+  from: string;
+  to: string;
+  buckets: FlowBucket[];
+}
+
+export interface StreamSnapshot {
+  imageUrl: string | null;
+  width: number;
+  height: number;
+  error?: string;
+}
+
+export interface SimulationScenario {
+  name: string;
+  description: string;
+  url: string;
+}
+
+export interface BatchJob {
+  id: string;
+  status: 'queued' | 'running' | 'completed' | 'cancelled' | 'failed';
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  total: number;
+  processed: number;
+  failed: number;
+  accidents: number;
+  progress: number;
+  images?: {
+    index: number;
+    name: string;
+    size: number;
+    status: 'queued' | 'processing' | 'completed' | 'failed' | 'skipped';
+    latencyMs: number | null;
+    error: string | null;
+    result: Record<string, unknown> | null;
+    annotatedImageUrl: string | null;
+  }[];
+}
+
+export interface EvidenceLink {
+  id: string;
+  provider: 'local' | 'supabase';
+  capturedAt: string;
+}
+
+// One camera's part in an incident reported by several streams
+export interface ContributingStream {
+  pending_alert_id: string;
+  stream_id: string;
+  location: string | null;
+  latitude: number | null;
+  longitude: number | null;
+  confidence: number;
+  detection_count: number;
+  last_detected_at: string;
+  evidence: EvidenceLink | null;
+}
+
+// Why an alert got its severity: the scorer's weighted factors for accidents, the detector's rule for hazards and jams
+export interface SeverityBreakdown {
+  level: 'low' | 'medium' | 'high' | 'critical';
+  score: number | null;
+  source: 'scorer' | 'detector';
+  factors: { factor: string; label: string; weight: number | null }[];
+}
+
+// A reviewer's change to the scored severity
+export interface SeverityOverride {
+  scored: string;
+  severity: string;
+  reason: string;
+  by: string;
+  at: string;
+}
+
+export interface Evidence {
+  id: string;
+  streamId: string;
+  location: string | null;
+  status: 'recording' | 'complete';
+  truncated?: boolean;
+  capturedAt: string;
+  keyFrameTimestamp: string;
+  redactionProvider: string;
+  keyFrameRedaction: EvidenceRedaction | null;
+  preSeconds: number;
+  postSeconds: number;
+  expiresAt: string;
+  retained: boolean;
+  frames: {
+    index: number;
+    frameNumber: number;
+    timestamp: string;
+    offsetSeconds: number;
+    keyFrame: boolean;
+    redaction: EvidenceRedaction | null;
+  }[];
+}
+
+// How a stored image was redacted: the number of regions of each kind blurred, or the whole frame when the
+// provider failed. detection-boxes blurs whole person and vehicle boxes; an http provider reports faces and plates.
+export interface EvidenceRedaction {
+  method: 'regions' | 'full-frame';
+  face?: number;
+  plate?: number;
+  person?: number;
+  vehicle?: number;
+}
+
 class ApiService {
   private baseUrl: string;
   private token: string | null = null;
@@ -112,6 +257,74 @@ class ApiService {
     });
   }
 
+  async updateStreamZones(id: string, zones: StreamZones | null) {
+    return this.request(`/streams/${id}/zones`, {
+      method: 'PUT',
+      body: JSON.stringify({ zones }),
+    });
+  }
+
+  async updateStreamCalibration(id: string, calibration: StreamCalibration | null) {
+    return this.request(`/streams/${id}/calibration`, {
+      method: 'PUT',
+      body: JSON.stringify({ calibration }),
+    });
+  }
+
+  async getStreamFlow(id: string, bucketSeconds: number, from: Date, to: Date = new Date()) {
+    const params = new URLSearchParams({ bucket: String(bucketSeconds), from: from.toISOString(), to: to.toISOString() });
+    return this.request<StreamFlow>(`/streams/${id}/flow?${params}`);
+  }
+
+  // Returns an object URL for the JPEG, or just the frame size for sources without a picture
+  async getStreamSnapshot(id: string): Promise<StreamSnapshot> {
+    try {
+      const response = await fetch(`${this.baseUrl}/streams/${id}/snapshot`, {
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      });
+
+      if (response.ok) {
+        const imageUrl = URL.createObjectURL(await response.blob());
+        return { imageUrl, width: 0, height: 0 };
+      }
+
+      const data = await response.json();
+      return {
+        imageUrl: null,
+        width: data.width || 1280,
+        height: data.height || 720,
+        error: data.error,
+      };
+    } catch (error) {
+      return {
+        imageUrl: null,
+        width: 1280,
+        height: 720,
+        error: error instanceof Error ? error.message : 'Unknown error',
+      };
+    }
+  }
+
+  async getStreamTracks(id: string) {
+    return this.request(`/streams/${id}/tracks`);
+  }
+
+  async startRecording(id: string) {
+    return this.request(`/streams/${id}/recording`, {
+      method: 'POST',
+    });
+  }
+
+  async stopRecording(id: string) {
+    return this.request(`/streams/${id}/recording`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getRecordings() {
+    return this.request('/streams/recordings');
+  }
+
   // Alert methods
   async getAlerts(params?: { status?: string; severity?: string; limit?: number }) {
     const queryString = params ? '?' + new URLSearchParams(params as any).toString() : '';
@@ -125,6 +338,13 @@ class ApiService {
     });
   }
 
+  async overrideAlertSeverity<T>(id: string, severity: string, reason: string) {
+    return this.request<T>(`/alerts/${id}/severity`, {
+      method: 'PUT',
+      body: JSON.stringify({ severity, reason, overridden_by: 'user' }),
+    });
+  }
+
   async sendAlert(id: string) {
     return this.request<any>(`/alerts/${id}/send`, {
       method: 'POST',
@@ -140,11 +360,12 @@ class ApiService {
     return this.request<any>('/ml/status');
   }
 
-  async analyzeImage(imageFile: File) {
+  // With annotate, the response also carries the annotated frame as a data URL (annotatedImage)
+  async analyzeImage(imageFile: File, annotate = false) {
     const formData = new FormData();
     formData.append('image', imageFile);
 
-    return this.request<any>('/ml/analyze-image', {
+    return this.request<any>(`/ml/analyze-image${annotate ? '?annotate=true' : ''}`, {
       method: 'POST',
       headers: {
         ...(this.token && { Authorization: `Bearer ${this.token}` }),
@@ -153,28 +374,105 @@ class ApiService {
     });
   }
 
-  async analyzeImageUrl(imageUrl: string) {
+  async analyzeImageUrl(imageUrl: string, annotate = false) {
     return this.request<any>('/ml/analyze-url', {
       method: 'POST',
-      body: JSON.stringify({ imageUrl }),
+      body: JSON.stringify({ imageUrl, annotate }),
     });
   }
 
-  async getMLMetrics() {
-    return this.request<any>('/ml/metrics');
+  // Annotated frames (JPEG) of the detections stored with an alert, for <img> tags and reports
+  // `version` (the alert's frame_timestamp) changes when a repeat detection replaces the incident's key frame
+  getPendingAlertImageUrl(id: string, version?: string) {
+    const query = version ? `?v=${encodeURIComponent(version)}` : '';
+    return `${this.baseUrl}/pending-alerts/${id}/annotated${query}`;
+  }
+
+  getAlertImageUrl(id: string) {
+    return `${this.baseUrl}/alerts/${id}/annotated`;
+  }
+
+  // Key frame and clip saved when a detection was raised (pending_alerts.evidence / alerts.evidence)
+  async getEvidence(id: string) {
+    return this.request<Evidence>(`/evidence/${id}`);
+  }
+
+  getEvidenceKeyFrameUrl(id: string) {
+    return `${this.baseUrl}/evidence/${id}/key-frame`;
+  }
+
+  getEvidenceFrameUrl(id: string, index: number) {
+    return `${this.baseUrl}/evidence/${id}/frames/${index}`;
+  }
+
+  // Unredacted frame for roles allowed to see originals; the server audit-logs every request
+  async getEvidenceOriginalFrame(id: string, index: number): Promise<{ imageUrl: string | null; error?: string }> {
+    try {
+      const response = await fetch(`${this.baseUrl}/evidence/${id}/original/frames/${index}`, {
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      });
+
+      if (response.ok) {
+        return { imageUrl: URL.createObjectURL(await response.blob()) };
+      }
+
+      const data = await response.json();
+      return { imageUrl: null, error: data.error || `HTTP error! status: ${response.status}` };
+    } catch (error) {
+      return { imageUrl: null, error: error instanceof Error ? error.message : 'Unknown error' };
+    }
+  }
+
+  // Images and/or zip archives of images; progress arrives over the socket (socketService.joinBatch)
+  async createBatchJob(files: File[], annotate = false) {
+    const formData = new FormData();
+    files.forEach(file => formData.append(/\.zip$/i.test(file.name) ? 'archive' : 'images', file));
+
+    return this.request<{ job: BatchJob }>(`/ml/batch${annotate ? '?annotate=true' : ''}`, {
+      method: 'POST',
+      headers: {
+        ...(this.token && { Authorization: `Bearer ${this.token}` }),
+      },
+      body: formData,
+    });
+  }
+
+  async getBatchJob(id: string) {
+    return this.request<{ job: BatchJob }>(`/ml/batch/${id}`);
+  }
+
+  async cancelBatchJob(id: string) {
+    return this.request<{ job: BatchJob }>(`/ml/batch/${id}/cancel`, { method: 'POST' });
+  }
+
+  getBatchSummaryUrl(id: string, format: 'json' | 'csv' = 'csv') {
+    return `${this.baseUrl}/ml/batch/${id}/summary?format=${format}`;
+  }
+
+  async getMLMetrics(from?: Date, to?: Date, streamId?: string) {
+    const params = new URLSearchParams({
+      ...(from && { from: from.toISOString() }),
+      ...(to && { to: to.toISOString() }),
+      ...(streamId && { streamId }),
+    });
+    return this.request<any>(`/ml/metrics?${params}`);
   }
 
   // New ML methods
-  async getWeatherData() {
-    return this.request<any>('/ml/weather');
+  async getWeatherData(streamId: string) {
+    return this.request<any>(`/ml/weather?streamId=${encodeURIComponent(streamId)}`);
   }
 
   async getSampleImages() {
     return this.request<any>('/ml/sample-images');
   }
 
-  async getTrafficConditions() {
-    return this.request<any>('/ml/traffic-conditions');
+  async getSimulationScenarios() {
+    return this.request<{ scenarios: SimulationScenario[]; count: number }>('/ml/scenarios');
+  }
+
+  async getTrafficConditions(streamId?: string) {
+    return this.request<any>(`/ml/traffic-conditions${streamId ? `?streamId=${encodeURIComponent(streamId)}` : ''}`);
   }
 
   async getComprehensiveAnalysis() {
@@ -1,4 +1,5 @@
 import { io, Socket } from 'socket.io-client';
+import type { BatchJob } from './api';
 
 class SocketService {
   private socket: Socket | null = null;
@@ -75,6 +76,25 @@ class SocketService {
     }
   }
 
+  // Batch job events
+  joinBatch(jobId: string) {
+    if (this.socket) {
+      this.socket.emit('join-batch', jobId);
+    }
+  }
+
+  onBatchProgress(callback: (data: BatchJob & { image: { index: number; name: string; status: string; accidentDetected: boolean | null } }) => void) {
+    if (this.socket) {
+      this.socket.on('batch-progress', callback);
+    }
+  }
+
+  onBatchCompleted(callback: (data: BatchJob) => void) {
+    if (this.socket) {
+      this.socket.on('batch-completed', callback);
+    }
+  }
+
   // Detection events
   onDetectionResult(callback: (data: { streamId: string; result: any }) => void) {
     if (this.socket) {
@@ -0,0 +1,15 @@
+/*
+  # Add Zones to Streams
+
+  1. Changes
+    - `streams`
+      - `zones` (jsonb) - Drawable polygons in camera pixel coordinates:
+        `roi` (roadway region), `exclusions` (ignored areas), `lanes` (with direction of travel)
+        and `outsideWeight` (weight of objects outside the ROI)
+
+  2. Notes
+    - NULL means no zones: every detection in the frame is used
+    - The shape is validated by the API (`PUT /api/streams/:id/zones`)
+*/
+
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS zones jsonb;
@@ -0,0 +1,16 @@
+/*
+  # Add Accident Threshold Settings to Streams
+
+  1. Changes
+    - `streams`
+      - `detection_profile` (text) - Named preset: default, highway, urban-intersection, tunnel
+      - `thresholds` (jsonb) - Per-stream overrides of minVehicles, maxDistanceBetweenVehicles,
+        collisionConfidenceThreshold, timeWindowForCollision and severityCutoffs
+
+  2. Notes
+    - NULL profile means `default`; NULL thresholds means no overrides
+    - Effective values are defaults, then the profile, then the overrides
+*/
+
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS detection_profile text;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS thresholds jsonb;
@@ -0,0 +1,23 @@
+/*
+  # Add Hazard Alert Types and Review Priority
+
+  1. Changes
+    - `pending_alerts`
+      - `type` (text) - Alert type the detection will become once approved (accident, wrong_way)
+      - `priority` (text) - normal or urgent; urgent detections are listed first for review
+    - `alerts`
+      - `type` check now also allows `wrong_way`
+
+  2. Notes
+    - Existing pending alerts become normal-priority accidents
+*/
+
+ALTER TABLE pending_alerts ADD COLUMN IF NOT EXISTS type text NOT NULL DEFAULT 'accident';
+ALTER TABLE pending_alerts ADD COLUMN IF NOT EXISTS priority text NOT NULL DEFAULT 'normal'
+  CHECK (priority IN ('normal', 'urgent'));
+
+CREATE INDEX IF NOT EXISTS idx_pending_alerts_priority ON pending_alerts(priority);
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_type_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_type_check
+  CHECK (type IN ('accident', 'traffic_jam', 'weather', 'system', 'wrong_way'));
@@ -0,0 +1,14 @@
+/*
+  # Add Stalled Vehicle and Debris Alert Types
+
+  1. Changes
+    - `alerts`
+      - `type` check now also allows `stalled_vehicle` and `debris`
+
+  2. Notes
+    - Pending alerts already carry their type in `pending_alerts.type`
+*/
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_type_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_type_check
+  CHECK (type IN ('accident', 'traffic_jam', 'weather', 'system', 'wrong_way', 'stalled_vehicle', 'debris'));
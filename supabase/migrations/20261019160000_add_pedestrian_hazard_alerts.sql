@@ -0,0 +1,11 @@
+/*
+  # Add Pedestrian Hazard Alert Type
+
+  1. Changes
+    - `alerts`
+      - `type` check now also allows `pedestrian_hazard`
+*/
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_type_check;
+ALTER TABLE alerts ADD CONSTRAINT alerts_type_check
+  CHECK (type IN ('accident', 'traffic_jam', 'weather', 'system', 'wrong_way', 'stalled_vehicle', 'debris', 'pedestrian_hazard'));
@@ -0,0 +1,15 @@
+/*
+  # Add Camera Calibration to Streams
+
+  1. Changes
+    - `streams`
+      - `calibration` (jsonb) - Four or more `points`, each pairing an `image` position (camera pixels)
+        with a `ground` position on the road plane (metres), plus the fitted `homography`
+        (row-major 3x3, image to ground) and its `rmsError` in metres
+
+  2. Notes
+    - NULL means uncalibrated: speeds and distances stay in pixels
+    - The shape is validated and the homography computed by the API (`PUT /api/streams/:id/calibration`)
+*/
+
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS calibration jsonb;
@@ -0,0 +1,56 @@
+/*
+  # Add Flow Stats Table for Traffic Flow Time Series
+
+  1. New Table
+    - `flow_stats`
+      - `id` (uuid, primary key)
+      - `stream_id` (uuid, foreign key to streams)
+      - `bucket_seconds` (integer) - Bucket size: 60, 300 or 900
+      - `bucket_start` (timestamptz) - Start of the bucket, aligned to its size
+      - `vehicle_counts` (jsonb) - Distinct vehicles seen per class, e.g. {"car": 41, "truck": 3}
+      - `vehicle_total` (integer) - Sum of vehicle_counts
+      - `average_speed` (numeric) - Mean vehicle speed, null when nothing moved measurably
+      - `speed_unit` (text) - `km/h` for calibrated streams, `px/s` otherwise
+      - `speed_samples` (integer) - Vehicle-frames the average speed is taken over
+      - `occupancy` (numeric) - Share of frames (0-1) a lane held a vehicle, averaged over lanes
+      - `frames` (integer) - Frames processed in the bucket
+      - `created_at` (timestamptz)
+
+  2. Security
+    - Enable RLS on `flow_stats` table
+    - Add policies for public read and insert
+    - Index for range queries per stream and bucket size
+
+  3. Notes
+    - Rows are written by the stream processor when a bucket ends, or early when the stream stops;
+      a stream restarted within a bucket writes a second row that the API merges
+*/
+
+CREATE TABLE IF NOT EXISTS flow_stats (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  stream_id uuid NOT NULL REFERENCES streams(id) ON DELETE CASCADE,
+  bucket_seconds integer NOT NULL CHECK (bucket_seconds IN (60, 300, 900)),
+  bucket_start timestamptz NOT NULL,
+  vehicle_counts jsonb NOT NULL DEFAULT '{}'::jsonb,
+  vehicle_total integer NOT NULL DEFAULT 0,
+  average_speed numeric,
+  speed_unit text CHECK (speed_unit IN ('km/h', 'px/s')),
+  speed_samples integer NOT NULL DEFAULT 0,
+  occupancy numeric NOT NULL DEFAULT 0,
+  frames integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_stats_stream_bucket ON flow_stats(stream_id, bucket_seconds, bucket_start);
+
+ALTER TABLE flow_stats ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access to flow_stats"
+  ON flow_stats FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow public insert to flow_stats"
+  ON flow_stats FOR INSERT
+  TO anon
+  WITH CHECK (true);
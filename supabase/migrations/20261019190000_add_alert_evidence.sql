@@ -0,0 +1,18 @@
+/*
+  # Add Evidence Links to Alerts
+
+  1. Changes
+    - `pending_alerts`
+      - `evidence` (jsonb) - Link to the evidence set saved when the detection was raised:
+        `id`, storage `provider` (local or supabase) and `capturedAt`
+    - `alerts`
+      - `evidence` (jsonb) - Copied from the pending alert on approval
+
+  2. Notes
+    - The key frame, clip frames and manifest live in evidence storage, not in the database
+      (`GET /api/evidence/:id`); they are deleted when their retention period ends
+    - NULL for alerts raised by sources without images (simulated and replayed streams)
+*/
+
+ALTER TABLE pending_alerts ADD COLUMN IF NOT EXISTS evidence jsonb;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS evidence jsonb;
@@ -0,0 +1,49 @@
+/*
+  # Add Evidence Access Log
+
+  1. New Table
+    - `evidence_access_log`
+      - `id` (uuid, primary key)
+      - `evidence_id` (uuid) - Evidence set whose unredacted original was requested
+      - `resource` (text) - `key-frame` or `frame <index>`
+      - `outcome` (text) - granted, denied (role without permission) or unauthenticated
+      - `user_id`, `user_email`, `user_role` (text) - From the requester's token, null when unauthenticated
+      - `ip_address`, `user_agent` (text)
+      - `created_at` (timestamptz)
+
+  2. Security
+    - Enable RLS on `evidence_access_log` table
+    - Add policies for public read and insert; there are none for update or delete, so the log is append-only
+    - Index for the log of one evidence set
+
+  3. Notes
+    - The API writes the entry before it serves an original and refuses access it cannot log
+    - Evidence IDs are not foreign keys: evidence lives in storage and the log outlives it
+*/
+
+CREATE TABLE IF NOT EXISTS evidence_access_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  evidence_id uuid NOT NULL,
+  resource text NOT NULL,
+  outcome text NOT NULL CHECK (outcome IN ('granted', 'denied', 'unauthenticated')),
+  user_id text,
+  user_email text,
+  user_role text,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_evidence_access_log_evidence ON evidence_access_log(evidence_id, created_at);
+
+ALTER TABLE evidence_access_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public read access to evidence_access_log"
+  ON evidence_access_log FOR SELECT
+  TO anon
+  USING (true);
+
+CREATE POLICY "Allow public insert to evidence_access_log"
+  ON evidence_access_log FOR INSERT
+  TO anon
+  WITH CHECK (true);
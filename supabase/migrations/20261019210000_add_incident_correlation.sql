@@ -0,0 +1,22 @@
+/*
+  # Merge Repeated Detections into Incidents
+
+  1. Changes
+    - `pending_alerts`
+      - `detection_count` (integer) - Detections merged into the alert, 1 for the one that opened it
+      - `last_detected_at` (timestamptz) - When the incident was last detected; repeats within the stream's
+        `incidentMergeSeconds` threshold are merged into it
+
+  2. Notes
+    - A merged detection that outranks the alert's (priority, then severity, then confidence) replaces its
+      `detection_data`, `frame_timestamp` and `evidence`; `confidence` is the highest seen
+    - Repeats of an approved or rejected alert are dropped for the stream's `incidentCooldownSeconds`
+    - Existing pending alerts count as detected once, at their creation
+*/
+
+ALTER TABLE pending_alerts ADD COLUMN IF NOT EXISTS detection_count integer NOT NULL DEFAULT 1;
+ALTER TABLE pending_alerts ADD COLUMN IF NOT EXISTS last_detected_at timestamptz;
+
+UPDATE pending_alerts SET last_detected_at = created_at WHERE last_detected_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pending_alerts_stream_type ON pending_alerts(stream_id, type, created_at DESC);
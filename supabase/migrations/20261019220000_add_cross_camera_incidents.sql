@@ -0,0 +1,22 @@
+/*
+  # Group Detections of Nearby Cameras into One Incident
+
+  1. Changes
+    - `pending_alerts`
+      - `incident_id` (uuid) - First pending alert of the incident when the detection was made by another
+        camera within INCIDENT_CORRELATION_RADIUS_METERS of it; NULL for the alert that opened the incident
+    - `alerts`
+      - `contributing_streams` (jsonb) - Every camera that reported the incident: stream, location, confidence,
+        number of detections and evidence link
+
+  2. Notes
+    - Approving or rejecting any pending alert of an incident approves or rejects all of them; approval
+      creates a single alert from the first one
+    - Deleting the first pending alert leaves the others as incidents of their own
+*/
+
+ALTER TABLE pending_alerts ADD COLUMN IF NOT EXISTS incident_id uuid REFERENCES pending_alerts(id) ON DELETE SET NULL;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS contributing_streams jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_pending_alerts_incident_id ON pending_alerts(incident_id);
+CREATE INDEX IF NOT EXISTS idx_pending_alerts_type_last_detected ON pending_alerts(type, last_detected_at DESC);
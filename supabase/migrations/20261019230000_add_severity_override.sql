@@ -0,0 +1,14 @@
+/*
+  # Record Reviewer Severity Overrides
+
+  1. Changes
+    - `alerts`
+      - `severity_override` (jsonb) - Set when a reviewer changed the scored severity, on approval or later:
+        `{ scored, severity, reason, by, at }`; NULL while the alert keeps its scored severity
+
+  2. Notes
+    - `severity` is the effective level; the scored one stays in `severity_override.scored`
+    - The factors behind the scored severity are in `detection_data.severityBreakdown`
+*/
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS severity_override jsonb;
@@ -4,6 +4,10 @@ import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getRecordingsDir, resolveRecordingPath } from './server/services/detectionReplay.js';
+import { createDetectorFromEnv } from './server/services/detectors/index.js';
+import MLService from './server/services/mlService.js';
+import { simulateFrames } from './server/services/simulation/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -50,9 +54,18 @@ async function testMLStatus() {
   }
   
   const data = response.data;
+  if (!data.provider) {
+    throw new Error('ML status does not report a detector provider');
+  }
+  if (typeof data.debrisDetection !== 'boolean') {
+    throw new Error('ML status does not say whether the detector supports debris');
+  }
+
   console.log(`   Model loaded: ${data.modelLoaded}`);
+  console.log(`   Provider: ${data.provider}`);
   console.log(`   Model type: ${data.modelType}`);
   console.log(`   Version: ${data.version}`);
+  console.log(`   Debris detection: ${data.debrisDetection}`);
 }
 
 async function testMLTest() {
@@ -99,10 +112,16 @@ async function testTrafficConditions() {
     throw new Error('Traffic conditions request was not successful');
   }
   
-  const traffic = data.trafficConditions;
-  console.log(`   Level: ${traffic.level}`);
-  console.log(`   Average speed: ${traffic.averageSpeed.toFixed(0)} mph`);
-  console.log(`   Congestion: ${(traffic.congestionIndex * 100).toFixed(0)}%`);
+  if (!Array.isArray(data.locations)) {
+    throw new Error('Traffic conditions response has no locations');
+  }
+
+  console.log(`   Locations: ${data.locations.length}`);
+  for (const location of data.locations) {
+    const traffic = location.trafficConditions;
+    const speed = traffic.averageSpeed === null ? 'no speed data' : `${traffic.averageSpeed.toFixed(0)} ${traffic.speedUnit}`;
+    console.log(`   ${location.location}: ${traffic.level}, ${speed}`);
+  }
 }
 
 async function testComprehensiveAnalysis() {
@@ -117,8 +136,88 @@ async function testComprehensiveAnalysis() {
   }
   
   const analysis = data.analysis;
-  console.log(`   Overall risk: ${(analysis.riskAssessment.overallRisk * 100).toFixed(1)}%`);
-  console.log(`   Recommendations: ${analysis.recommendations.length}`);
+  const recommendations = analysis.locations.reduce((sum, location) => sum + (location.recommendations?.length || 0), 0);
+  console.log(`   Overall risk: ${(analysis.overallRisk * 100).toFixed(1)}%`);
+  console.log(`   Locations: ${analysis.locations.length}`);
+  console.log(`   Recommendations: ${recommendations}`);
+}
+
+async function testSimulationScenarios() {
+  const response = await axios.get(`${BASE_URL}/ml/scenarios`);
+  if (response.status !== 200) {
+    throw new Error(`Expected status 200, got ${response.status}`);
+  }
+  
+  const names = response.data.scenarios.map(scenario => scenario.name);
+  if (!names.includes('rear-end')) {
+    throw new Error('Scenario list is missing the rear-end scenario');
+  }
+  
+  console.log(`   Scenarios: ${names.join(', ')}`);
+}
+
+async function testReplayPaths() {
+  const outside = [
+    'replay://../../etc/passwd.jsonl',
+    'replay://nested/../../secrets.jsonl',
+    'replay:///etc/passwd.jsonl',
+    '/etc/recording.jsonl',
+    '../recording.jsonl'
+  ];
+
+  for (const url of outside) {
+    let rejected = false;
+    try {
+      resolveRecordingPath(url);
+    } catch (error) {
+      rejected = error.name === 'RecordingPathError';
+    }
+    if (!rejected) {
+      throw new Error(`${url} resolves outside the recordings directory`);
+    }
+  }
+
+  const { file } = resolveRecordingPath('replay://nested/../rear-end.jsonl?speed=2');
+  if (file !== path.join(getRecordingsDir(), 'rear-end.jsonl')) {
+    throw new Error(`Expected the recording inside ${getRecordingsDir()}, got ${file}`);
+  }
+
+  console.log(`   Paths outside ${getRecordingsDir()}: ${outside.length} rejected`);
+}
+
+// Runs a simulated scenario through the detection pipeline in this process and collects its accidents and events
+async function runScenario(url) {
+  const mlService = new MLService(createDetectorFromEnv({ ML_DETECTOR: 'simulator' }));
+  await mlService.initialize();
+
+  const found = [];
+  for await (const frame of simulateFrames(url, { realtime: false })) {
+    const result = await mlService.processFrame(frame, { streamId: 'test', zones: frame.zones });
+    if (result.error) throw new Error(`Frame ${frame.frameNumber}: ${result.error}`);
+    const at = `t=${frame.simulation.elapsed.toFixed(1)}s`;
+    result.accidents.forEach(accident => found.push(`${at} accident ${accident.trackIds.join('+')}`));
+    result.events.forEach(event => found.push(`${at} ${event.type} ${event.trackId || ''}`));
+  }
+  return found;
+}
+
+async function testQueuedTraffic() {
+  const found = await runScenario('sim://queued-traffic?seed=2&duration=60');
+  if (found.length > 0) {
+    throw new Error(`Traffic waiting at a red light raised ${found.join(', ')}`);
+  }
+
+  console.log('   Red light queue: no accidents or events');
+}
+
+async function testRearEndCollision() {
+  const found = await runScenario('sim://rear-end?seed=1&duration=100');
+  const accidents = found.filter(entry => entry.includes(' accident '));
+  if (accidents.length !== 1 || found.length !== 1) {
+    throw new Error(`Expected one accident and nothing else, got ${found.join(', ') || 'nothing'}`);
+  }
+
+  console.log(`   ${accidents[0]}; the crashed cars are not reported as stalled`);
 }
 
 async function testStreamsAPI() {
@@ -175,6 +274,10 @@ async function runAllTests() {
   await runTest('Weather Data API', testWeatherData);
   await runTest('Traffic Conditions API', testTrafficConditions);
   await runTest('Comprehensive Analysis', testComprehensiveAnalysis);
+  await runTest('Simulation Scenarios', testSimulationScenarios);
+  await runTest('Replay Paths', testReplayPaths);
+  await runTest('Queued Traffic', testQueuedTraffic);
+  await runTest('Rear-End Collision', testRearEndCollision);
   
   // Test core APIs
   await runTest('Streams API', testStreamsAPI);